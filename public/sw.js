@@ -0,0 +1,273 @@
+/**
+ * RAKALL notification service worker
+ *
+ * Owns the notification schedule. The page posts the full schedule with
+ * `SCHEDULE`; entries are kept in IndexedDB and armed as timers whenever the
+ * worker wakes up (install, activate, messages, periodic sync). Browsers stop
+ * an idle worker soon after the last tab closes, taking its timers with it,
+ * and periodic sync only runs for an installed app, so with the app closed an
+ * alert may come late: it fires on the worker's next wake-up instead.
+ * "Mark done" / snooze actions are queued in IndexedDB and broadcast to open
+ * tabs, which write them into the reminder store.
+ */
+
+const DB_NAME = 'rakall-notifications'
+const DB_VERSION = 1
+const SCHEDULE_STORE = 'schedule'
+const ACTION_STORE = 'actions'
+const SNOOZE_MORNING_HOUR = 9
+// Mirrors SNOOZE_PRESETS in src/services/notificationService.js; browsers
+// show as many of these as Notification.maxActions allows (often two)
+const SNOOZE_ACTIONS = [
+  { action: 'snooze-10m', title: 'Snooze 10 min' },
+  { action: 'snooze-1h', title: 'Snooze 1 hour' },
+  { action: 'snooze-tomorrow', title: 'Tomorrow morning' }
+]
+const MAX_TIMEOUT_MS = 2147483647
+const PERIODIC_SYNC_TAG = 'rakall-reminders'
+
+const armedTimers = new Map()
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim().then(armSchedule))
+})
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(armSchedule())
+  }
+})
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {}
+
+  if (message.type === 'SCHEDULE') {
+    event.waitUntil(replaceSchedule(message.entries || []).then(armSchedule))
+    return
+  }
+
+  if (message.type === 'CLEAR') {
+    event.waitUntil(replaceSchedule([]).then(armSchedule))
+    return
+  }
+
+  if (message.type === 'DRAIN_ACTIONS') {
+    event.waitUntil(drainActions().then(actions => {
+      event.ports[0]?.postMessage({ actions })
+    }))
+  }
+})
+
+self.addEventListener('notificationclick', (event) => {
+  const notification = event.notification
+  const entry = notification.data || {}
+  notification.close()
+
+  if (event.action === 'done' || event.action.startsWith('snooze')) {
+    event.waitUntil(handleAction(event.action, entry))
+    return
+  }
+
+  event.waitUntil(focusClient())
+})
+
+async function handleAction(action, entry) {
+  const isSnooze = action.startsWith('snooze')
+  const record = {
+    type: isSnooze ? 'snooze' : action,
+    reminderId: entry.reminderId,
+    occurrenceDate: entry.occurrenceDate || null,
+    at: Date.now()
+  }
+
+  if (isSnooze) {
+    const snoozedUntil = getSnoozeUntil(action.replace(/^snooze-?/, ''))
+    record.snoozedUntil = new Date(snoozedUntil).toISOString()
+    // Follow-ups that would fire during the snooze are skipped
+    await skipEntriesBefore(entry.reminderId, snoozedUntil)
+    await putEntry({
+      ...entry,
+      id: `${entry.reminderId}:snooze`,
+      triggerAt: snoozedUntil,
+      shown: false
+    })
+  } else {
+    await removeEntriesForReminder(entry.reminderId)
+  }
+
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  if (clients.length > 0) {
+    clients.forEach(client => client.postMessage({ type: 'REMINDER_ACTION', action: record }))
+  } else {
+    await queueAction(record)
+  }
+
+  await armSchedule()
+}
+
+function getSnoozeUntil(preset) {
+  const now = new Date()
+  if (preset === '1h') {
+    return now.getTime() + 60 * 60 * 1000
+  }
+  if (preset === 'tomorrow') {
+    const morning = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, SNOOZE_MORNING_HOUR)
+    return morning.getTime()
+  }
+  return now.getTime() + 10 * 60 * 1000
+}
+
+async function focusClient() {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  if (clients.length > 0) {
+    return clients[0].focus()
+  }
+  return self.clients.openWindow('/#reminders')
+}
+
+async function armSchedule() {
+  armedTimers.forEach(timeoutId => clearTimeout(timeoutId))
+  armedTimers.clear()
+
+  const entries = await getAllEntries()
+  const now = Date.now()
+
+  for (const entry of entries) {
+    if (entry.shown) continue
+    const delay = entry.triggerAt - now
+
+    // Anything that came due while the worker was asleep fires right away
+    if (delay <= 0) {
+      await showEntry(entry)
+      continue
+    }
+
+    if (delay > MAX_TIMEOUT_MS) continue
+
+    armedTimers.set(entry.id, setTimeout(() => {
+      armedTimers.delete(entry.id)
+      showEntry(entry)
+    }, delay))
+  }
+
+  await registerPeriodicSync()
+}
+
+async function showEntry(entry) {
+  await self.registration.showNotification(entry.title || 'Reminder', {
+    body: entry.body || '',
+    icon: '/logo.png',
+    tag: entry.tag || `reminder-${entry.reminderId}`,
+    data: entry,
+    requireInteraction: true,
+    renotify: true,
+    actions: [
+      { action: 'done', title: 'Mark done' },
+      ...SNOOZE_ACTIONS
+    ].slice(0, self.Notification?.maxActions || 2)
+  })
+  await putEntry({ ...entry, shown: true })
+}
+
+async function registerPeriodicSync() {
+  if (!self.registration.periodicSync) return
+  try {
+    await self.registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: 15 * 60 * 1000
+    })
+  } catch (error) {
+    // Periodic sync needs an installed PWA; timers and wake-ups still work
+  }
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(SCHEDULE_STORE)) {
+        db.createObjectStore(SCHEDULE_STORE, { keyPath: 'id' })
+      }
+      if (!db.objectStoreNames.contains(ACTION_STORE)) {
+        db.createObjectStore(ACTION_STORE, { autoIncrement: true })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const store = transaction.objectStore(storeName)
+    const result = callback(store)
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(result?.result ?? result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  })
+}
+
+async function replaceSchedule(entries) {
+  const existing = await getAllEntries()
+  const shownIds = new Set(existing.filter(entry => entry.shown).map(entry => entry.id))
+
+  return withStore(SCHEDULE_STORE, 'readwrite', store => {
+    store.clear()
+    entries.forEach(entry => {
+      store.put({ ...entry, shown: shownIds.has(entry.id) })
+    })
+  })
+}
+
+function getAllEntries() {
+  return withStore(SCHEDULE_STORE, 'readonly', store => store.getAll())
+}
+
+function putEntry(entry) {
+  return withStore(SCHEDULE_STORE, 'readwrite', store => {
+    store.put(entry)
+  })
+}
+
+async function removeEntriesForReminder(reminderId) {
+  const entries = await getAllEntries()
+  return withStore(SCHEDULE_STORE, 'readwrite', store => {
+    entries
+      .filter(entry => entry.reminderId === reminderId)
+      .forEach(entry => store.delete(entry.id))
+  })
+}
+
+async function skipEntriesBefore(reminderId, time) {
+  const entries = await getAllEntries()
+  return withStore(SCHEDULE_STORE, 'readwrite', store => {
+    entries
+      .filter(entry => entry.reminderId === reminderId && !entry.shown && entry.triggerAt < time)
+      .forEach(entry => store.put({ ...entry, shown: true }))
+  })
+}
+
+function queueAction(record) {
+  return withStore(ACTION_STORE, 'readwrite', store => {
+    store.add(record)
+  })
+}
+
+async function drainActions() {
+  const actions = await withStore(ACTION_STORE, 'readonly', store => store.getAll())
+  await withStore(ACTION_STORE, 'readwrite', store => {
+    store.clear()
+  })
+  return actions
+}
@@ -0,0 +1,286 @@
+/**
+ * RAKALL API server
+ *
+ * Proxies extraction prompts to the AI provider so API keys stay on the
+ * server. The browser builds the prompts (and repairs and validates replies)
+ * exactly as before and posts them here:
+ *
+ *   GET  /api/status            which providers have keys configured
+ *   POST /api/extract/document  bill and deadline extraction (may carry images)
+ *   POST /api/extract/tasks     task extraction from pasted text
+ *
+ * Extraction bodies are { provider, model, messages, temperature, max_tokens }
+ * and answer { content } with the model's reply. Errors answer
+ * { error: { message, code } }; over-limit clients get 429 with Retry-After.
+ *
+ * Outside /api the built app in dist/ is served, so one process runs RAKALL in
+ * production. In development Vite proxies /api here (see vite.config.js).
+ */
+
+import { readFile, stat } from 'node:fs/promises'
+import { extname, resolve, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { completeWithProvider, getProviderStatus } from './providers.js'
+import { createRateLimiter } from './rateLimiter.js'
+import { logUsage } from './usageLog.js'
+
+const DIST_DIR = fileURLToPath(new URL('../dist', import.meta.url))
+// Photos for vision models arrive as base64
+const MAX_BODY_BYTES = 20 * 1024 * 1024
+const MAX_OUTPUT_TOKENS = 2000
+const MAX_MESSAGES = 10
+const MESSAGE_ROLES = ['system', 'user', 'assistant']
+
+const ENDPOINTS = {
+  '/api/extract/document': { name: 'document', images: true },
+  '/api/extract/tasks': { name: 'tasks', images: false }
+}
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json',
+  '.wasm': 'application/wasm',
+  '.map': 'application/json',
+  '.txt': 'text/plain; charset=utf-8'
+}
+
+/**
+ * Builds the request handler for `http.createServer`.
+ */
+export function createRequestHandler({ env = process.env, distDir = DIST_DIR } = {}) {
+  const limiter = createRateLimiter({
+    perMinute: Number(env.RATE_LIMIT_PER_MINUTE ?? 120),
+    perDay: Number(env.RATE_LIMIT_PER_DAY ?? 500)
+  })
+  setInterval(() => limiter.prune(), 60 * 60 * 1000).unref()
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    if (env.CORS_ORIGIN) {
+      res.setHeader('Access-Control-Allow-Origin', env.CORS_ORIGIN)
+      res.setHeader('Vary', 'Origin')
+      // The app waits out rate limits using this header
+      res.setHeader('Access-Control-Expose-Headers', 'Retry-After')
+    }
+
+    try {
+      if (!pathname.startsWith('/api/')) {
+        await serveStatic(req, res, pathname, distDir)
+        return
+      }
+
+      if (req.method === 'OPTIONS' && env.CORS_ORIGIN) {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'GET, POST',
+          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Max-Age': '600'
+        })
+        res.end()
+        return
+      }
+
+      if (pathname === '/api/status' && req.method === 'GET') {
+        sendJson(res, 200, getProviderStatus(env))
+        return
+      }
+
+      const endpoint = ENDPOINTS[pathname]
+      if (!endpoint) {
+        sendError(res, 404, 'NOT_FOUND', `No API endpoint at ${pathname}.`)
+        return
+      }
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST')
+        sendError(res, 405, 'METHOD_NOT_ALLOWED', `${pathname} only accepts POST.`)
+        return
+      }
+
+      await handleExtraction(req, res, endpoint, { env, limiter })
+    } catch (error) {
+      // Expected errors (bad requests, provider answers) carry a status
+      if (!error.status) console.error('Request failed:', error)
+      if (!res.headersSent) {
+        sendError(res, error.status || 500, error.code || 'SERVER_ERROR', error.status ? error.message : 'Internal server error.')
+      }
+    }
+  }
+}
+
+async function handleExtraction(req, res, endpoint, { env, limiter }) {
+  const client = getClientId(req, env)
+  const { allowed, retryAfter } = limiter.take(client)
+  if (!allowed) {
+    res.setHeader('Retry-After', String(retryAfter))
+    sendError(res, 429, 'RATE_LIMITED', `Too many extraction requests. Try again in ${formatWait(retryAfter)}.`)
+    logUsage({ client, endpoint: endpoint.name, status: 429 }, env)
+    return
+  }
+
+  const request = validateExtractionRequest(await readJsonBody(req), endpoint)
+  const started = Date.now()
+  const usage = {
+    client,
+    endpoint: endpoint.name,
+    provider: request.provider,
+    model: request.model,
+    promptChars: request.messages.reduce((total, message) => total + message.content.length, 0),
+    images: request.messages.reduce((total, message) => total + (message.images?.length || 0), 0)
+  }
+
+  try {
+    const content = await completeWithProvider(request.provider, request, env)
+    sendJson(res, 200, { content })
+    logUsage({ ...usage, status: 200, replyChars: content.length, ms: Date.now() - started }, env)
+  } catch (error) {
+    logUsage({ ...usage, status: error.status || 500, ms: Date.now() - started }, env)
+    throw error
+  }
+}
+
+/**
+ * Checks an extraction body and returns it with defaults applied; throws a
+ * 400 error naming the first problem.
+ */
+export function validateExtractionRequest(body, endpoint) {
+  const fail = (message) => {
+    const err = new Error(message)
+    err.status = 400
+    err.code = 'INVALID_REQUEST'
+    throw err
+  }
+
+  if (!body || typeof body !== 'object') fail('Expected a JSON object.')
+  const { provider, model, messages, temperature = 0.2, max_tokens: maxTokens = 1000 } = body
+
+  if (typeof provider !== 'string' || !provider) fail('"provider" is required.')
+  if (typeof model !== 'string' || !model.trim() || model.length > 200) fail('"model" must be a model name.')
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+    fail(`"messages" must hold 1 to ${MAX_MESSAGES} messages.`)
+  }
+  messages.forEach((message, index) => {
+    if (!message || !MESSAGE_ROLES.includes(message.role) || typeof message.content !== 'string') {
+      fail(`Message ${index + 1} needs a role (${MESSAGE_ROLES.join(', ')}) and text content.`)
+    }
+    if (message.images === undefined || message.images === null) return
+    if (!endpoint.images) fail(`The ${endpoint.name} endpoint does not accept images.`)
+    const valid = Array.isArray(message.images) && message.images.every(image => (
+      typeof image?.mimeType === 'string' && image.mimeType.startsWith('image/') && typeof image.data === 'string'
+    ))
+    if (!valid) fail(`Message ${index + 1} has invalid images; expected [{ mimeType, data }] with base64 data.`)
+  })
+  if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) fail('"temperature" must be between 0 and 2.')
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) fail('"max_tokens" must be a positive integer.')
+
+  return {
+    provider,
+    model: model.trim(),
+    messages: messages.map(({ role, content, images }) => (images ? { role, content, images } : { role, content })),
+    temperature,
+    max_tokens: Math.min(maxTokens, MAX_OUTPUT_TOKENS)
+  }
+}
+
+function getClientId(req, env) {
+  // Behind a reverse proxy every request comes from the proxy itself
+  if (env.TRUST_PROXY === '1' || env.TRUST_PROXY === 'true') {
+    const forwarded = req.headers['x-forwarded-for']?.split(',')[0].trim()
+    if (forwarded) return forwarded
+  }
+  return req.socket.remoteAddress || 'unknown'
+}
+
+function readJsonBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        const err = new Error('Request body is too large.')
+        err.status = 413
+        err.code = 'TOO_LARGE'
+        reject(err)
+        // Drain the rest so the error response still reaches the client
+        req.removeAllListeners('data')
+        req.resume()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+      } catch (error) {
+        const err = new Error('Request body is not valid JSON.')
+        err.status = 400
+        err.code = 'INVALID_REQUEST'
+        reject(err)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+async function serveStatic(req, res, pathname, distDir) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Only GET is supported here.')
+    return
+  }
+
+  const root = resolve(distDir)
+  let filePath
+  try {
+    filePath = resolve(root, `.${decodeURIComponent(pathname)}`)
+  } catch (error) {
+    filePath = root
+  }
+  if (filePath !== root && !filePath.startsWith(root + sep)) {
+    sendError(res, 404, 'NOT_FOUND', 'Not found.')
+    return
+  }
+
+  // Routes without a file extension belong to the single-page app
+  const info = await stat(filePath).catch(() => null)
+  if (!info?.isFile()) {
+    if (extname(filePath)) {
+      sendError(res, 404, 'NOT_FOUND', 'Not found.')
+      return
+    }
+    filePath = resolve(root, 'index.html')
+  }
+
+  let body
+  try {
+    body = await readFile(filePath)
+  } catch (error) {
+    sendError(res, 404, 'NOT_FOUND', 'The app has not been built yet. Run `npm run build` first.')
+    return
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' })
+  res.end(req.method === 'HEAD' ? undefined : body)
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' })
+  res.end(JSON.stringify(body))
+}
+
+function sendError(res, status, code, message) {
+  sendJson(res, status, { error: { message, code } })
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`
+  const minutes = Math.ceil(seconds / 60)
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  const hours = Math.ceil(minutes / 60)
+  return `${hours} hour${hours === 1 ? '' : 's'}`
+}
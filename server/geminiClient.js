@@ -0,0 +1,43 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+
+export async function createGeminiChatCompletion({
+  baseUrl,
+  apiKey,
+  model,
+  messages,
+  temperature = 0.2,
+  max_tokens = 500
+}) {
+  const client = new GoogleGenerativeAI(apiKey)
+  const systemText = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n')
+
+  const generativeModel = client.getGenerativeModel(
+    {
+      model,
+      generationConfig: {
+        temperature,
+        maxOutputTokens: max_tokens
+      },
+      ...(systemText ? { systemInstruction: systemText } : {})
+    },
+    baseUrl ? { baseUrl } : undefined
+  )
+
+  const contents = messages
+    .filter(message => message.role !== 'system')
+    .map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [
+        { text: message.content },
+        ...(message.images || []).map(image => ({
+          inlineData: { mimeType: image.mimeType, data: image.data }
+        }))
+      ]
+    }))
+
+  const result = await generativeModel.generateContent({ contents })
+  return result.response.text() || ''
+}
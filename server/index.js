@@ -0,0 +1,29 @@
+/**
+ * Starts the RAKALL API server (see app.js).
+ *
+ *   npm run server     next to `npm run dev` while developing
+ *   npm start          after `npm run build`, serves the app and the API
+ *
+ * Listens on API_PORT (default 8787); HOST defaults to localhost, set
+ * HOST=0.0.0.0 to accept outside connections.
+ */
+
+import 'dotenv/config'
+import { createServer } from 'node:http'
+import { createRequestHandler } from './app.js'
+import { PROVIDERS, isProviderConfigured } from './providers.js'
+
+const port = Number(process.env.API_PORT || 8787)
+const host = process.env.HOST || 'localhost'
+
+// Keys with the old VITE_ prefix would be bundled into the browser build
+Object.values(PROVIDERS).forEach(provider => {
+  if (process.env[`VITE_${provider.apiKeyEnv}`]) {
+    console.warn(`VITE_${provider.apiKeyEnv} is set: rename it to ${provider.apiKeyEnv} so the key stays on the server.`)
+  }
+})
+
+const configured = Object.keys(PROVIDERS).filter(id => isProviderConfigured(id))
+createServer(createRequestHandler()).listen(port, host, () => {
+  console.log(`RAKALL API server on http://${host}:${port} (providers: ${configured.join(', ') || 'none configured'})`)
+})
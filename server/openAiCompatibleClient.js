@@ -0,0 +1,62 @@
+export async function createOpenAiCompatibleChatCompletion({
+  baseUrl,
+  apiKey,
+  model,
+  messages,
+  temperature = 0.2,
+  max_tokens = 500,
+  providerLabel = 'LLM'
+}) {
+  const headers = {
+    'Content-Type': 'application/json'
+  }
+  // Local servers (Ollama, llama.cpp) usually run without a key
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: messages.map(toOpenAiMessage),
+      temperature,
+      max_tokens
+    })
+  })
+
+  if (!response.ok) {
+    let errorMessage = `${providerLabel} request failed.`
+    try {
+      const errorBody = await response.json()
+      errorMessage = errorBody?.error?.message || errorMessage
+    } catch (error) {
+      // ignore parsing errors
+    }
+    const err = new Error(errorMessage)
+    err.status = response.status
+    throw err
+  }
+
+  const data = await response.json()
+  return data?.choices?.[0]?.message?.content || ''
+}
+
+// Images ride along as data URLs in the OpenAI multi-part content format
+function toOpenAiMessage(message) {
+  if (!message.images?.length) {
+    return { role: message.role, content: message.content }
+  }
+
+  return {
+    role: message.role,
+    content: [
+      { type: 'text', text: message.content },
+      ...message.images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      }))
+    ]
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Server-side LLM providers
+ *
+ * API keys and base URLs are read from the server's environment (.env) and
+ * never sent to the browser:
+ *
+ *   GROQ_API_KEY, OPENAI_API_KEY, GEMINI_API_KEY
+ *   GROQ_BASE_URL, OPENAI_BASE_URL, GEMINI_BASE_URL (optional overrides)
+ *   LLM_ALLOWED_MODELS=llama-3.1-8b-instant,gemini-1.5-flash (optional)
+ *
+ * The browser only picks a provider and model; requests always go to the
+ * base URL configured here, so a client cannot point the key elsewhere.
+ */
+
+import { createOpenAiCompatibleChatCompletion } from './openAiCompatibleClient.js'
+import { createGeminiChatCompletion } from './geminiClient.js'
+
+export const PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    apiKeyEnv: 'GROQ_API_KEY',
+    baseUrlEnv: 'GROQ_BASE_URL',
+    defaultBaseUrl: 'https://api.groq.com/openai/v1',
+    requiresApiKey: true,
+    complete: createOpenAiCompatibleChatCompletion
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible (OpenAI, Ollama, llama.cpp)',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    complete: createOpenAiCompatibleChatCompletion
+  },
+  gemini: {
+    label: 'Google Gemini',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    baseUrlEnv: 'GEMINI_BASE_URL',
+    defaultBaseUrl: '',
+    requiresApiKey: true,
+    complete: createGeminiChatCompletion
+  }
+}
+
+export function isProviderConfigured(id, env = process.env) {
+  const provider = PROVIDERS[id]
+  return Boolean(provider) && (!provider.requiresApiKey || Boolean(env[provider.apiKeyEnv]))
+}
+
+export function getAllowedModels(env = process.env) {
+  return (env.LLM_ALLOWED_MODELS || '')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean)
+}
+
+/**
+ * What the browser may know: which providers are usable and where their
+ * requests go (shown in Settings), never the keys.
+ */
+export function getProviderStatus(env = process.env) {
+  return {
+    providers: Object.fromEntries(Object.entries(PROVIDERS).map(([id, provider]) => [id, {
+      label: provider.label,
+      configured: isProviderConfigured(id, env),
+      apiKeyEnv: provider.apiKeyEnv,
+      baseUrlEnv: provider.baseUrlEnv,
+      baseUrl: withoutCredentials(env[provider.baseUrlEnv] || provider.defaultBaseUrl)
+    }])),
+    allowedModels: getAllowedModels(env)
+  }
+}
+
+/**
+ * Runs one chat completion with the server's credentials for `providerId`.
+ * Errors carry `status` (HTTP status to answer with) and `code`.
+ */
+export async function completeWithProvider(providerId, { model, messages, temperature, max_tokens }, env = process.env) {
+  const provider = PROVIDERS[providerId]
+  if (!provider) {
+    throw createError(400, 'UNKNOWN_PROVIDER', `Unknown AI provider "${providerId}".`)
+  }
+  if (!isProviderConfigured(providerId, env)) {
+    throw createError(503, 'NOT_CONFIGURED', `${provider.label} API key not configured. Set ${provider.apiKeyEnv} in the server's .env and restart it.`)
+  }
+  const allowedModels = getAllowedModels(env)
+  if (allowedModels.length > 0 && !allowedModels.includes(model)) {
+    throw createError(403, 'MODEL_NOT_ALLOWED', `Model "${model}" is not enabled on this server. Allowed: ${allowedModels.join(', ')}.`)
+  }
+
+  try {
+    return await provider.complete({
+      baseUrl: env[provider.baseUrlEnv] || provider.defaultBaseUrl,
+      apiKey: env[provider.apiKeyEnv],
+      model,
+      messages,
+      temperature,
+      max_tokens,
+      providerLabel: provider.label
+    })
+  } catch (error) {
+    // Provider auth, quota and overload errors keep their status for the
+    // browser's messages; anything else is a bad gateway
+    const status = error.status || error.response?.status
+    throw createError([401, 429, 503].includes(status) ? status : 502, 'PROVIDER_ERROR', error.message || `${provider.label} request failed.`)
+  }
+}
+
+// A base URL may carry a user and password; those stay on the server
+function withoutCredentials(url) {
+  try {
+    const parsed = new URL(url)
+    parsed.username = ''
+    parsed.password = ''
+    return parsed.href.replace(/\/$/, '')
+  } catch (error) {
+    return ''
+  }
+}
+
+function createError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
@@ -0,0 +1,61 @@
+/**
+ * Per-client rate limits
+ *
+ * Each client (its IP address) gets a per-minute and a per-day request budget
+ * in fixed windows:
+ *
+ *   RATE_LIMIT_PER_MINUTE=120
+ *   RATE_LIMIT_PER_DAY=500
+ *
+ * A long document is read in several chunks, each one a request, and the scan
+ * queue reads two files at once, so the per-minute budget leaves room for two
+ * long contracts plus repair prompts. Clients that still hit it wait for the
+ * next window (the 429 carries Retry-After).
+ */
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+export function createRateLimiter({ perMinute = 120, perDay = 500 } = {}) {
+  const clients = new Map()
+
+  const getWindow = (client, name, length, now) => {
+    const windowStart = Math.floor(now / length) * length
+    if (client[name]?.start !== windowStart) {
+      client[name] = { start: windowStart, count: 0 }
+    }
+    return client[name]
+  }
+
+  return {
+    /**
+     * Counts a request from `clientId`. Returns { allowed, retryAfter }
+     * (seconds until the exhausted window resets).
+     */
+    take(clientId, now = Date.now()) {
+      const client = clients.get(clientId) || {}
+      clients.set(clientId, client)
+      const minute = getWindow(client, 'minute', MINUTE, now)
+      const day = getWindow(client, 'day', DAY, now)
+
+      const blocked = [[minute, MINUTE, perMinute], [day, DAY, perDay]]
+        .find(([window, , limit]) => limit > 0 && window.count >= limit)
+      if (blocked) {
+        const [window, length] = blocked
+        return { allowed: false, retryAfter: Math.ceil((window.start + length - now) / 1000) }
+      }
+
+      minute.count += 1
+      day.count += 1
+      return { allowed: true, retryAfter: 0 }
+    },
+
+    // Drops clients whose day window is over so the map does not grow forever
+    prune(now = Date.now()) {
+      const today = Math.floor(now / DAY) * DAY
+      clients.forEach((client, clientId) => {
+        if (client.day?.start !== today) clients.delete(clientId)
+      })
+    }
+  }
+}
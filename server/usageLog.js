@@ -0,0 +1,23 @@
+/**
+ * Usage log
+ *
+ * One JSON line per extraction request: when, which client and endpoint,
+ * provider and model, the HTTP status, prompt and reply sizes and how long the
+ * provider took. Lines go to stdout and, when USAGE_LOG_FILE is set, are
+ * appended to that file. Prompts and replies themselves are never logged.
+ */
+
+import { appendFile } from 'node:fs/promises'
+
+export async function logUsage(entry, env = process.env) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry })
+  console.log(line)
+
+  if (env.USAGE_LOG_FILE) {
+    try {
+      await appendFile(env.USAGE_LOG_FILE, `${line}\n`)
+    } catch (error) {
+      console.error('Could not write the usage log:', error.message)
+    }
+  }
+}
@@ -1,20 +1,75 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import DocumentScanner from './components/DocumentScanner'
 import ReminderList from './components/ReminderList'
+import AiProviderSettings from './components/AiProviderSettings'
+import TimeZoneSettings from './components/TimeZoneSettings'
+import Dashboard from './components/Dashboard'
+import TrashPanel from './components/TrashPanel'
+import UndoToast from './components/UndoToast'
 import {
   isNotificationSupported,
+  isServiceWorkerSupported,
   requestNotificationPermission,
+  registerNotificationWorker,
   scheduleNotifications,
-  clearAllScheduledNotifications
+  clearAllScheduledNotifications,
+  clearWorkerSchedule,
+  subscribeToNotificationActions,
+  getNotificationActionUpdates
 } from './services/notificationService'
 import {
   requestGoogleAccessToken,
   fetchGoogleUserProfile
 } from './services/googleOAuthService'
+import { loadReminders, persistReminderChanges } from './services/reminderRepository'
+import { getReminderUid } from './services/icsService'
+import { withReminderOffsets } from './services/reminderOffsetService'
+import { withTimeZone } from './services/dateService'
+import { applyBulkChange } from './services/bulkService'
+import { isTrashed, moveToTrash, purgeExpired, restoreFromTrash } from './services/trashService'
+import {
+  EMPTY_HISTORY,
+  diffReminders,
+  forgetReminders,
+  recordChange,
+  redoChange,
+  undoChange
+} from './services/historyService'
+import {
+  CALENDAR_SCOPE,
+  loadSyncState,
+  saveSyncState,
+  syncRemindersWithGoogle
+} from './services/googleCalendarSyncService'
 import './App.css'
 
+const CALENDAR_SYNC_INTERVAL_MS = 5 * 60 * 1000
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+let lastReminderId = 0
+
+// Timestamp-based ids that stay unique when several reminders are created
+// within the same millisecond
+function createReminderId() {
+  lastReminderId = Math.max(Date.now(), lastReminderId + 1)
+  return lastReminderId
+}
+
 function App() {
-  const [reminders, setReminders] = useState([])
+  // Every reminder, trashed ones included; most of the app only sees the
+  // active ones
+  const [allReminders, setAllReminders] = useState([])
+  const reminders = useMemo(() => allReminders.filter(r => !isTrashed(r)), [allReminders])
+  const trash = useMemo(() => allReminders.filter(isTrashed), [allReminders])
+  const latestReminders = useRef([])
+  const [history, setHistory] = useState(EMPTY_HISTORY)
+  const [toast, setToast] = useState(null)
+  const [remindersLoaded, setRemindersLoaded] = useState(false)
+  const [storageError, setStorageError] = useState('')
+  const [calendarSync, setCalendarSync] = useState(() => loadSyncState())
+  const [calendarSyncStatus, setCalendarSyncStatus] = useState('idle')
+  const [calendarSyncMessage, setCalendarSyncMessage] = useState('')
+  const calendarToken = useRef(null)
   const [notificationStatus, setNotificationStatus] = useState('default')
   const [notificationsEnabled, setNotificationsEnabled] = useState(false)
   const [notificationMessage, setNotificationMessage] = useState('')
@@ -22,12 +77,16 @@ function App() {
   const [oauthStatus, setOauthStatus] = useState('signed-out')
   const [oauthError, setOauthError] = useState('')
 
-  // Load reminders from localStorage on mount
+  // Load reminders from IndexedDB (migrating the legacy localStorage blob)
   useEffect(() => {
-    const savedReminders = localStorage.getItem('rakall-reminders')
-    if (savedReminders) {
-      setReminders(JSON.parse(savedReminders))
-    }
+    loadReminders()
+      .then(saved => setAllReminders(purgeExpired(saved)))
+      .catch(error => {
+        console.error('Failed to load reminders:', error)
+        setStorageError(error.message)
+      })
+      .finally(() => setRemindersLoaded(true))
+
     const savedNotifEnabled = localStorage.getItem('rakall-notifications-enabled')
     if (savedNotifEnabled) {
       setNotificationsEnabled(savedNotifEnabled === 'true')
@@ -47,37 +106,218 @@ function App() {
     setNotificationStatus(Notification.permission)
   }, [])
 
-  // Save reminders to localStorage whenever they change
+  // The service worker owns the notification schedule and fires alerts while
+  // it is awake; actions taken on its notifications come back here.
   useEffect(() => {
-    localStorage.setItem('rakall-reminders', JSON.stringify(reminders))
-  }, [reminders])
+    registerNotificationWorker()
+    if (!remindersLoaded) return undefined
+    return subscribeToNotificationActions((action) => {
+      setReminders(current => current.map(reminder => {
+        if (reminder.id !== action.reminderId) return reminder
+        const updates = getNotificationActionUpdates(reminder, action)
+        return updates ? { ...reminder, ...updates, updatedAt: new Date().toISOString() } : reminder
+      }))
+    })
+  }, [remindersLoaded])
 
+  // Write changed reminders to the repository, one record at a time
   useEffect(() => {
+    latestReminders.current = allReminders
+    if (!remindersLoaded) return
+    persistReminderChanges(allReminders)
+      .then(() => setStorageError(''))
+      .catch(error => {
+        console.error('Failed to save reminders:', error)
+        setStorageError(error.message)
+      })
+  }, [allReminders, remindersLoaded])
+
+  useEffect(() => {
+    // Scheduling waits for the service worker; a newer run supersedes it
+    let cancelled = false
     if (notificationsEnabled && notificationStatus === 'granted') {
-      scheduleNotifications(reminders)
+      scheduleNotifications(reminders, () => cancelled)
     } else {
       clearAllScheduledNotifications()
+      clearWorkerSchedule()
+    }
+    return () => {
+      cancelled = true
+      clearAllScheduledNotifications()
     }
-    return () => clearAllScheduledNotifications()
   }, [reminders, notificationsEnabled, notificationStatus])
 
+  // Changes made outside the user's hands (sync, notification actions) see
+  // only the active reminders and are not undoable; a reminder trashed in
+  // the meantime stays trashed
+  const setReminders = (update) => {
+    setAllReminders(current => {
+      const trashed = current.filter(isTrashed)
+      const trashedIds = new Set(trashed.map(r => r.id))
+      const next = typeof update === 'function' ? update(current.filter(r => !isTrashed(r))) : update
+      return [...next.filter(r => !trashedIds.has(r.id)), ...trashed]
+    })
+  }
+
+  // Applies a user change to the whole list and records it for undo. The
+  // ref keeps several changes in one tick (a scan creating many reminders)
+  // from overwriting each other.
+  const commitChange = (label, update, key) => {
+    const previous = latestReminders.current
+    const next = update(previous)
+    const records = diffReminders(previous, next)
+    if (records.length === 0) return
+
+    latestReminders.current = next
+    setAllReminders(next)
+    setHistory(current => recordChange(current, { label, records, key }))
+    setToast({ message: label, action: 'undo', at: Date.now() })
+  }
+
+  const handleUndo = () => {
+    const result = undoChange(history, latestReminders.current)
+    if (!result) return
+    latestReminders.current = result.reminders
+    setAllReminders(result.reminders)
+    setHistory(result.history)
+    setToast({ message: `Undone: ${result.entry.label}`, action: 'redo', at: Date.now() })
+  }
+
+  const handleRedo = () => {
+    const result = redoChange(history, latestReminders.current)
+    if (!result) return
+    latestReminders.current = result.reminders
+    setAllReminders(result.reminders)
+    setHistory(result.history)
+    setToast({ message: `Redone: ${result.entry.label}`, action: 'undo', at: Date.now() })
+  }
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep
+  // their own undo
+  const historyHandlers = useRef({})
+  historyHandlers.current = { undo: handleUndo, redo: handleRedo }
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      const target = e.target
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        historyHandlers.current.undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        historyHandlers.current.redo()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  const getTitle = (id) => {
+    const reminder = latestReminders.current.find(r => r.id === id)
+    return `"${reminder?.title || 'Reminder'}"`
+  }
+
   const addReminder = (reminder) => {
-    const newReminder = {
-      id: Date.now(),
+    const now = new Date().toISOString()
+    const newReminder = withTimeZone(withReminderOffsets({
+      id: createReminderId(),
       ...reminder,
-      createdAt: new Date().toISOString()
-    }
-    setReminders([...reminders, newReminder])
+      createdAt: now,
+      updatedAt: now
+    }))
+    commitChange(`Added "${newReminder.title || 'Reminder'}"`, all => [...all, newReminder])
   }
 
+  // Deleting moves the reminder to the Trash
   const deleteReminder = (id) => {
-    setReminders(reminders.filter(r => r.id !== id))
+    commitChange(`Moved ${getTitle(id)} to Trash`, all => all.map(r => (r.id === id ? moveToTrash(r) : r)))
   }
 
   const updateReminder = (id, updates) => {
-    setReminders(reminders.map(r => 
-      r.id === id ? { ...r, ...updates } : r
-    ))
+    commitChange(`Updated ${getTitle(id)}`, all => all.map(r => 
+      r.id === id ? { ...r, ...updates, updatedAt: new Date().toISOString() } : r
+    ), `update-${id}`)
+  }
+
+  const changeReminders = (change, label) => {
+    commitChange(label, all => applyBulkChange(all, change))
+  }
+
+  const restoreReminder = (id) => {
+    commitChange(`Restored ${getTitle(id)}`, all => all.map(r => (r.id === id ? restoreFromTrash(r) : r)))
+  }
+
+  // Deleting for good is not undoable; the purged reminders leave the
+  // history too, since their stored documents are deleted with them
+  const purgeReminders = (update) => {
+    const previous = latestReminders.current
+    const next = update(previous)
+    if (next === previous) return
+
+    const keptIds = new Set(next.map(r => r.id))
+    const purgedIds = previous.filter(r => !keptIds.has(r.id)).map(r => r.id)
+    latestReminders.current = next
+    setAllReminders(next)
+    setHistory(current => forgetReminders(current, purgedIds))
+  }
+
+  const deleteForever = (ids) => {
+    const removed = new Set(ids)
+    purgeReminders(current => current.filter(r => !removed.has(r.id)))
+  }
+
+  const purgeTrash = () => {
+    purgeReminders(current => purgeExpired(current))
+  }
+
+  // Trashed reminders past the retention period are deleted for good
+  const purgeTrashRef = useRef(purgeTrash)
+  purgeTrashRef.current = purgeTrash
+  useEffect(() => {
+    if (!remindersLoaded) return undefined
+    const intervalId = setInterval(() => purgeTrashRef.current(), TRASH_PURGE_INTERVAL_MS)
+    return () => clearInterval(intervalId)
+  }, [remindersLoaded])
+
+  // Imported calendar events are deduplicated by UID: events already in the
+  // list are updated in place, new ones are added.
+  // A UID that belongs to a trashed reminder brings that reminder back
+  // rather than creating a second one with the same UID
+  const importReminders = (drafts) => {
+    const existingByUid = new Map(allReminders.map(r => [getReminderUid(r), r]))
+    const updatesById = new Map()
+    const additions = []
+
+    drafts.forEach((draft) => {
+      const existing = existingByUid.get(draft.icsUid)
+      if (existing) {
+        updatesById.set(existing.id, {
+          ...draft,
+          reminderPeriod: draft.reminderPeriod || existing.reminderPeriod,
+          updatedAt: new Date().toISOString()
+        })
+      } else {
+        additions.push(withTimeZone(withReminderOffsets({
+          id: createReminderId(),
+          ...draft,
+          reminderPeriod: draft.reminderPeriod || '1 day',
+          origin: 'calendar',
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        })))
+      }
+    })
+
+    const count = updatesById.size + additions.length
+    commitChange(`Imported ${count} reminder${count === 1 ? '' : 's'}`, all => [
+      ...all.map(r => (updatesById.has(r.id) ? { ...restoreFromTrash(r), ...updatesById.get(r.id) } : r)),
+      ...additions
+    ])
+
+    return { added: additions.length, updated: updatesById.size }
   }
 
   const toggleNotifications = async () => {
@@ -95,6 +335,7 @@ function App() {
       setNotificationsEnabled(false)
       localStorage.setItem('rakall-notifications-enabled', 'false')
       clearAllScheduledNotifications()
+      clearWorkerSchedule()
       setNotificationMessage('Notifications paused.')
       return
     }
@@ -110,6 +351,89 @@ function App() {
     }
   }
 
+  const getCalendarAccessToken = async ({ interactive }) => {
+    const token = calendarToken.current
+    if (token && token.expiresAt > Date.now() + 60000) {
+      return token.accessToken
+    }
+    if (!interactive) return null
+
+    const tokenResponse = await requestGoogleAccessToken({ scope: CALENDAR_SCOPE })
+    calendarToken.current = {
+      accessToken: tokenResponse.access_token,
+      expiresAt: Date.now() + (Number(tokenResponse.expires_in) || 3600) * 1000
+    }
+    return calendarToken.current.accessToken
+  }
+
+  const runCalendarSync = async ({ interactive = true } = {}) => {
+    if (calendarSyncStatus === 'syncing') return
+
+    setCalendarSyncStatus('syncing')
+    setCalendarSyncMessage('')
+
+    try {
+      const accessToken = await getCalendarAccessToken({ interactive })
+      if (!accessToken) {
+        setCalendarSyncStatus('idle')
+        return
+      }
+
+      const snapshot = reminders
+      const result = await syncRemindersWithGoogle({
+        accessToken,
+        reminders: snapshot,
+        state: calendarSync,
+        createId: createReminderId
+      })
+
+      // Keep edits made while the sync was running; they go out next time
+      setReminders(current => {
+        const snapshotById = new Map(snapshot.map(r => [r.id, r]))
+        const currentById = new Map(current.map(r => [r.id, r]))
+        const merged = result.reminders.map(r => {
+          const latest = currentById.get(r.id)
+          return latest && latest !== snapshotById.get(r.id) ? { ...latest, googleEventId: r.googleEventId } : r
+        })
+        const added = current.filter(r => !snapshotById.has(r.id))
+        return [...merged, ...added]
+      })
+
+      saveSyncState(result.state)
+      setCalendarSync(result.state)
+      setCalendarSyncStatus('idle')
+      const { pushed, pulled, created, deletedLocal, deletedRemote } = result.summary
+      setCalendarSyncMessage(`Synced: ${pushed} pushed, ${pulled + created} pulled, ${deletedRemote} deleted, ${deletedLocal} moved to Trash.`)
+    } catch (error) {
+      console.error('Google Calendar sync error:', error)
+      if (error.status === 401) {
+        calendarToken.current = null
+      }
+      setCalendarSyncStatus('error')
+      setCalendarSyncMessage(error.message || 'Google Calendar sync failed.')
+    }
+  }
+
+  // Pull Google-side changes periodically while a calendar token is valid;
+  // this never opens the consent popup on its own.
+  const runCalendarSyncRef = useRef(runCalendarSync)
+  runCalendarSyncRef.current = runCalendarSync
+  useEffect(() => {
+    if (!calendarSync) return undefined
+    const intervalId = setInterval(() => {
+      runCalendarSyncRef.current({ interactive: false })
+    }, CALENDAR_SYNC_INTERVAL_MS)
+    return () => clearInterval(intervalId)
+  }, [calendarSync])
+
+  const handleDisconnectCalendar = () => {
+    calendarToken.current = null
+    saveSyncState(null)
+    setCalendarSync(null)
+    setCalendarSyncMessage('Google Calendar sync turned off. Events already in the RAKALL calendar were left in place.')
+    setAllReminders(current => current.map(({ googleEventId, googleSyncedAt, ...rest }) => rest))
+  }
+
   const handleGoogleSignIn = async () => {
     setOauthError('')
     setOauthStatus('loading')
@@ -155,13 +479,21 @@ function App() {
         </aside>
 
         <div className="app-content">
-          <header id="dashboard" className="app-header">
+          <header className="app-header">
             <img src="/logo.png" alt="RAKALL Logo" className="app-logo" />
             <h1>RAKALL</h1>
             <p>AI-Powered Reminder App</p>
           </header>
           
           <main className="app-main">
+            {storageError && (
+              <div className="storage-error" role="alert">
+                ⚠️ {storageError}
+              </div>
+            )}
+            <section id="dashboard" className="app-section">
+              <Dashboard reminders={reminders} />
+            </section>
             <section id="scanner" className="app-section">
               <DocumentScanner onReminderCreated={addReminder} />
             </section>
@@ -170,10 +502,20 @@ function App() {
                 reminders={reminders}
                 onDelete={deleteReminder}
                 onUpdate={updateReminder}
+                onImport={importReminders}
+                onBulkChange={changeReminders}
+              />
+              <TrashPanel
+                trash={trash}
+                onRestore={restoreReminder}
+                onDeleteForever={deleteForever}
+                onRetentionChange={purgeTrash}
               />
             </section>
             <section id="settings" className="app-section app-settings">
               <h3>Settings</h3>
+              <AiProviderSettings />
+              <TimeZoneSettings />
               <div className="oauth-section">
                 <p className="oauth-title">Google Sign-in</p>
                 {oauthUser ? (
@@ -197,6 +539,36 @@ function App() {
                 )}
                 {oauthError && <p className="oauth-error">{oauthError}</p>}
               </div>
+              <div className="oauth-section">
+                <p className="oauth-title">Google Calendar Sync</p>
+                <p className="notification-hint">
+                  Push reminders into a dedicated "RAKALL" calendar and pull back edits and deletions made in Google Calendar.
+                </p>
+                <div className="calendar-sync-controls">
+                  <button
+                    className="oauth-button"
+                    onClick={() => runCalendarSync()}
+                    disabled={calendarSyncStatus === 'syncing' || !remindersLoaded}
+                  >
+                    {calendarSyncStatus === 'syncing'
+                      ? 'Syncing...'
+                      : calendarSync ? 'Sync now' : 'Connect Google Calendar'}
+                  </button>
+                  {calendarSync && (
+                    <button className="oauth-button secondary" onClick={handleDisconnectCalendar}>
+                      Turn off sync
+                    </button>
+                  )}
+                </div>
+                {calendarSync?.lastSyncedAt && (
+                  <p className="oauth-email">Last synced {new Date(calendarSync.lastSyncedAt).toLocaleString()}</p>
+                )}
+                {calendarSyncMessage && (
+                  <p className={calendarSyncStatus === 'error' ? 'oauth-error' : 'notification-message'}>
+                    {calendarSyncMessage}
+                  </p>
+                )}
+              </div>
               <div className="notification-controls">
                 <button
                   className="notification-button"
@@ -212,13 +584,22 @@ function App() {
                 <p className="notification-message">{notificationMessage}</p>
               )}
               <p className="notification-hint">
-                Notifications work while the app is open in your browser.
+                {isServiceWorkerSupported()
+                  ? 'Notifications fire while RAKALL is open. Once it is closed the browser may put the alert worker to sleep; installed as an app, it is woken about every 15 minutes where the browser allows it, and anything missed shows once it wakes again. Use "Mark done" or "Snooze" right from the alert.'
+                  : 'Notifications work while the app is open in your browser.'}
               </p>
-              <p>Coming soon: reminders sync, advanced schedules, and themes.</p>
+              <p>Coming soon: themes.</p>
             </section>
           </main>
         </div>
       </div>
+      <UndoToast
+        toast={toast}
+        canUndo={history.undo.length > 0}
+        canRedo={history.redo.length > 0}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+      />
     </div>
   )
 }
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react'
+import {
+  LLM_PROVIDERS,
+  getDefaultLlmSettings,
+  getLlmSettings,
+  getServerStatus,
+  loadServerStatus,
+  saveLlmSettings
+} from '../services/llmClient'
+
+function AiProviderSettings() {
+  const [settings, setSettings] = useState(() => getLlmSettings())
+  const [message, setMessage] = useState('')
+  const [serverStatus, setServerStatus] = useState(() => getServerStatus())
+  const provider = LLM_PROVIDERS[settings.provider]
+  const providerStatus = serverStatus?.providers[settings.provider]
+
+  useEffect(() => {
+    loadServerStatus().then(setServerStatus)
+  }, [])
+
+  const handleProviderChange = (providerId) => {
+    setSettings(getDefaultLlmSettings(providerId))
+    setMessage('')
+  }
+
+  const handleSave = () => {
+    const next = {
+      ...settings,
+      model: settings.model.trim()
+    }
+    saveLlmSettings(next)
+    setSettings(next)
+    setMessage(`Using ${provider.label} · ${next.model}`)
+  }
+
+  return (
+    <div className="oauth-section ai-provider-settings">
+      <p className="oauth-title">AI Provider</p>
+      <label className="settings-field">
+        <span>Provider</span>
+        <select
+          value={settings.provider}
+          onChange={(e) => handleProviderChange(e.target.value)}
+        >
+          {Object.entries(LLM_PROVIDERS).map(([id, option]) => (
+            <option key={id} value={id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="settings-field">
+        <span>Model</span>
+        <input
+          type="text"
+          value={settings.model}
+          onChange={(e) => setSettings({ ...settings, model: e.target.value })}
+          placeholder={provider.defaultModel}
+        />
+      </label>
+      {providerStatus && (
+        <label className="settings-field">
+          <span>Base URL</span>
+          <input type="text" value={providerStatus.baseUrl} placeholder="Provider default" readOnly />
+        </label>
+      )}
+      <label className="settings-checkbox">
+        <input
+          type="checkbox"
+          checked={settings.vision}
+          onChange={(e) => setSettings({ ...settings, vision: e.target.checked })}
+        />
+        <span>Model accepts images (send photos directly instead of running OCR)</span>
+      </label>
+      <p className="notification-hint">
+        The API key stays on the RAKALL server: <code>{provider.apiKeyEnv}</code> in its .env
+        {provider.requiresApiKey ? '' : ' if set (local servers like Ollama need none)'}.
+        {' '}Requests go to the server's base URL, set with <code>{provider.baseUrlEnv}</code>.
+        {serverStatus && !serverStatus.reachable && ' ⚠️ The server is not running — start it with npm run server.'}
+        {providerStatus && (providerStatus.configured ? ' ✅ Configured on the server.' : ' ⚠️ Not configured on the server yet.')}
+      </p>
+      <button className="oauth-button" onClick={handleSave}>
+        Save AI settings
+      </button>
+      {message && <p className="notification-message">{message}</p>}
+    </div>
+  )
+}
+
+export default AiProviderSettings
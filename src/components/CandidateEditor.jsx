@@ -0,0 +1,115 @@
+import React, { useState } from 'react'
+import { CURRENCY_CODES, getDefaultCurrency, parseMoney } from '../services/moneyService'
+import { CATEGORIES } from '../services/tagService'
+
+// Edits one bill found in a scanned document before it becomes a reminder
+function CandidateEditor({ candidate, onSave, onCancel }) {
+  const [edited, setEdited] = useState({
+    billName: candidate.billName || '',
+    deadlineDate: candidate.deadlineDate || '',
+    time: candidate.time || '',
+    amount: candidate.amount ?? '',
+    currency: candidate.currency || getDefaultCurrency(),
+    category: candidate.category || '',
+    description: candidate.description || ''
+  })
+
+  const handleSave = () => {
+    // A symbol or code typed with the amount wins over the selected currency
+    const money = parseMoney(edited.amount, { defaultCurrency: edited.currency })
+    onSave({
+      ...edited,
+      deadlineDate: edited.deadlineDate || null,
+      time: edited.time || null,
+      amount: money?.amount ?? null,
+      currency: money?.currency || edited.currency,
+      category: edited.category || null
+    })
+  }
+
+  return (
+    <div className="task-editor">
+      <div className="editor-field">
+        <label>Bill Name</label>
+        <input
+          type="text"
+          value={edited.billName}
+          onChange={(e) => setEdited({ ...edited, billName: e.target.value })}
+          className="editor-input"
+        />
+      </div>
+      <div className="editor-row">
+        <div className="editor-field">
+          <label>Deadline</label>
+          <input
+            type="date"
+            value={edited.deadlineDate}
+            onChange={(e) => setEdited({ ...edited, deadlineDate: e.target.value })}
+            className="editor-input"
+          />
+        </div>
+        <div className="editor-field">
+          <label>Time</label>
+          <input
+            type="time"
+            value={edited.time}
+            onChange={(e) => setEdited({ ...edited, time: e.target.value })}
+            className="editor-input"
+          />
+        </div>
+      </div>
+      <div className="editor-row">
+        <div className="editor-field">
+          <label>Amount</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={edited.amount}
+            onChange={(e) => setEdited({ ...edited, amount: e.target.value })}
+            className="editor-input"
+          />
+        </div>
+        <div className="editor-field">
+          <label>Currency</label>
+          <select
+            value={edited.currency}
+            onChange={(e) => setEdited({ ...edited, currency: e.target.value })}
+            className="editor-input"
+          >
+            {CURRENCY_CODES.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="editor-field">
+        <label>Category</label>
+        <select
+          value={edited.category}
+          onChange={(e) => setEdited({ ...edited, category: e.target.value })}
+          className="editor-input"
+        >
+          <option value="">None</option>
+          {CATEGORIES.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+      </div>
+      <div className="editor-field">
+        <label>Description</label>
+        <textarea
+          value={edited.description}
+          onChange={(e) => setEdited({ ...edited, description: e.target.value })}
+          className="editor-input"
+          rows={3}
+        />
+      </div>
+      <div className="editor-actions">
+        <button onClick={onCancel} className="cancel-button">Cancel</button>
+        <button onClick={handleSave} className="save-button">Save</button>
+      </div>
+    </div>
+  )
+}
+
+export default CandidateEditor
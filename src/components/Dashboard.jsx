@@ -0,0 +1,54 @@
+import React, { useMemo } from 'react'
+import { formatDate } from '../services/dateService'
+import { buildPaymentSummary, formatTotals } from '../services/paymentService'
+import './Dashboard.css'
+
+function Dashboard({ reminders }) {
+  const summary = useMemo(() => buildPaymentSummary(reminders), [reminders])
+
+  return (
+    <div className="dashboard">
+      <h2>💰 Bills Overview</h2>
+
+      <div className="dashboard-totals">
+        <div className="dashboard-card">
+          <span className="dashboard-card-label">Due this week</span>
+          <strong>{formatTotals(summary.dueThisWeek)}</strong>
+        </div>
+        <div className="dashboard-card">
+          <span className="dashboard-card-label">Due this month</span>
+          <strong>{formatTotals(summary.dueThisMonth)}</strong>
+        </div>
+        <div className={`dashboard-card ${summary.overdueCount > 0 ? 'overdue' : ''}`}>
+          <span className="dashboard-card-label">
+            Overdue{summary.overdueCount > 0 ? ` (${summary.overdueCount})` : ''}
+          </span>
+          <strong>{formatTotals(summary.overdue)}</strong>
+        </div>
+      </div>
+
+      <h3>Spending by month</h3>
+      {summary.spending.length === 0 ? (
+        <p className="dashboard-empty">No payments recorded yet. Mark a bill as paid to see it here.</p>
+      ) : (
+        <div className="dashboard-spending">
+          {summary.spending.map(({ month, payees }) => (
+            <div key={month} className="spending-month">
+              <h4>{formatDate(`${month}-01`, 'MMMM yyyy')}</h4>
+              <ul>
+                {payees.map(({ payee, totals }) => (
+                  <li key={payee}>
+                    <span>{payee}</span>
+                    <span>{formatTotals(totals)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Dashboard
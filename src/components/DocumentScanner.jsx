@@ -1,35 +1,31 @@
 import React, { useState, useRef, useEffect } from 'react'
-import { extractDocumentInfo, extractDocumentInfoFromText } from '../services/aiService'
+import { isLlmConfigured, loadServerStatus } from '../services/llmClient'
 import { extractTasksFromText } from '../services/textExtractionService'
-import * as pdfjsLib from 'pdfjs-dist'
-import pdfWorker from 'pdfjs-dist/build/pdf.worker?url'
-import mammoth from 'mammoth'
+import { fileToDataUrl, scanDocument } from '../services/documentReaderService'
+import { EMAIL_EXTENSIONS, isEmailFile } from '../services/emailService'
+import { getSupportedExtensions } from '../services/fileExtractorService'
+import { describePages } from '../services/documentChunkService'
+import CandidateEditor from './CandidateEditor'
+import RecurrenceFields from './RecurrenceFields'
+import ReminderOffsetFields from './ReminderOffsetFields'
+import ScanQueue from './ScanQueue'
+import TaskEditor from './TaskEditor'
+import { normalizeRecurrence } from '../services/recurrenceService'
+import { describeValidationErrors } from '../services/structuredOutputService'
+import { ESCALATION_POLICIES } from '../services/notificationService'
+import { buildOffsetFields, calculateReminderDate, describeOffsets } from '../services/reminderOffsetService'
+import { formatMoney, getDefaultCurrency } from '../services/moneyService'
+import { normalizeTags } from '../services/tagService'
+import {
+  createScanItem,
+  getDroppedFiles,
+  getNextScans,
+  isScannableFile,
+  removeCandidates
+} from '../services/scanQueueService'
 import './DocumentScanner.css'
 
-// Helper function to calculate reminder date based on period
-function calculateReminderDate(deadlineDate, periodType = '1 day') {
-  const deadline = new Date(deadlineDate)
-  const reminderDate = new Date(deadline)
-  
-  // Parse period type and subtract accordingly
-  const periodMap = {
-    '1 day': 1,
-    '3 days': 3,
-    '1 week': 7,
-    '2 weeks': 14,
-    '3 weeks': 21,
-    '1 month': 30,
-    '2 months': 60,
-    '3 months': 90,
-    '6 months': 180,
-    '1 year': 365
-  }
-  
-  const daysToSubtract = periodMap[periodType] || 1
-  reminderDate.setDate(reminderDate.getDate() - daysToSubtract)
-  
-  return reminderDate.toISOString().split('T')[0]
-}
+const ACCEPTED_FILES = ['image/*', ...[...getSupportedExtensions(), ...EMAIL_EXTENSIONS].map(extension => `.${extension}`)].join(',')
 
 function DocumentScanner({ onReminderCreated }) {
   // Tab state
@@ -39,15 +35,25 @@ function DocumentScanner({ onReminderCreated }) {
   const [file, setFile] = useState(null)
   const [preview, setPreview] = useState(null)
   const [loading, setLoading] = useState(false)
-  const [extractedInfo, setExtractedInfo] = useState(null)
+  const [candidates, setCandidates] = useState([])
+  const [editingCandidate, setEditingCandidate] = useState(null)
   const [reminderTitle, setReminderTitle] = useState('')
   const [reminderDate, setReminderDate] = useState('')
   const [deadlineDate, setDeadlineDate] = useState('')
   const [reminderTime, setReminderTime] = useState('')
-  const [reminderPeriod, setReminderPeriod] = useState('1 day')
+  const [reminderOffsets, setReminderOffsets] = useState(['1 day'])
+  const [recurrence, setRecurrence] = useState(null)
+  const [escalation, setEscalation] = useState('off')
   const [error, setError] = useState(null)
-  const [autoCreate, setAutoCreate] = useState(true)
+  const [autoCreate, setAutoCreate] = useState(false)
   const [successMessage, setSuccessMessage] = useState(null)
+  const [ocrProgress, setOcrProgress] = useState(null)
+  const [ocrPages, setOcrPages] = useState([])
+  const [scanQueue, setScanQueue] = useState([])
+  const [dragging, setDragging] = useState(false)
+  // Set once the API server has said which providers have keys (re-renders
+  // the extract button between AI and offline)
+  const [, setServerStatus] = useState(null)
   
   // Text scanner states
   const [text, setText] = useState('')
@@ -58,10 +64,15 @@ function DocumentScanner({ onReminderCreated }) {
   // Camera states
   const [showCamera, setShowCamera] = useState(false)
   const [stream, setStream] = useState(null)
+  const [mirrorPreview, setMirrorPreview] = useState(false)
   const [cameraAvailable, setCameraAvailable] = useState(false)
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
 
+  useEffect(() => {
+    loadServerStatus().then(setServerStatus)
+  }, [])
+
   // Check camera availability on mount
   useEffect(() => {
     const checkCameraAvailability = async () => {
@@ -82,19 +93,108 @@ function DocumentScanner({ onReminderCreated }) {
 
   // Document scanner functions
   const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0]
-    if (selectedFile) {
+    selectFiles([...e.target.files])
+    e.target.value = ''
+  }
+
+  // One file opens in the single scanner; several go to the batch queue
+  const selectFiles = (selected) => {
+    const files = selected.filter(isScannableFile)
+    if (files.length === 0) return
+    setError(null)
+
+    if (files.length === 1 && scanQueue.length === 0) {
+      const [selectedFile] = files
       setFile(selectedFile)
-      setError(null)
-      
-      const reader = new FileReader()
-      reader.onloadend = () => {
-        setPreview(reader.result)
+      // Emails are linked by their headers instead of a stored copy
+      if (!isEmailFile(selectedFile)) fileToDataUrl(selectedFile).then(setPreview)
+      return
+    }
+
+    setScanQueue(current => [...current, ...files.map(createScanItem)])
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    setDragging(false)
+    try {
+      selectFiles(await getDroppedFiles(e.dataTransfer))
+    } catch (err) {
+      setError(`Could not read the dropped files: ${err.message || err}`)
+    }
+  }
+
+  const updateScanItem = (id, changes) => {
+    setScanQueue(current => current.map(item => (item.id === id ? { ...item, ...changes } : item)))
+  }
+
+  // Starts queued files as slots free up
+  useEffect(() => {
+    const next = getNextScans(scanQueue)
+    if (next.length === 0) return
+
+    const startedIds = new Set(next.map(item => item.id))
+    setScanQueue(current => current.map(item => (
+      startedIds.has(item.id) ? { ...item, status: 'extracting', progress: null, error: null } : item
+    )))
+    next.forEach(processScanItem)
+  }, [scanQueue])
+
+  const processScanItem = async (item) => {
+    try {
+      const [documentPreview, { bills, ocrPages: pages }] = await Promise.all([
+        isEmailFile(item.file) ? null : fileToDataUrl(item.file),
+        scanDocument(item.file, { onProgress: (progress) => updateScanItem(item.id, { progress }) })
+      ])
+      const found = bills.map((bill, index) => ({ ...bill, key: `${item.id}-${index}` }))
+      if (found.length === 0) {
+        updateScanItem(item.id, { status: 'failed', progress: null, error: 'No deadlines found' })
+        return
       }
-      reader.readAsDataURL(selectedFile)
+
+      // Everything a batch finds goes to the review table; reminders are only
+      // created from there, by the bulk approve
+      updateScanItem(item.id, {
+        status: 'review',
+        progress: null,
+        preview: documentPreview,
+        ocrPages: pages,
+        candidates: found,
+        created: 0
+      })
+    } catch (err) {
+      console.error(`Scan error (${item.name}):`, err)
+      updateScanItem(item.id, { status: 'failed', progress: null, error: err.message || 'Failed to process document' })
     }
   }
 
+  // rows: [{ item, candidate }] from the batch review table
+  const approveQueued = (rows) => {
+    if (rows.length === 0) return
+    rows.forEach(({ item, candidate }) => onReminderCreated(buildReminderFromCandidate(candidate, item.preview)))
+
+    const keys = new Set(rows.map(({ candidate }) => candidate.key))
+    setScanQueue(current => removeCandidates(current, keys, keys))
+    setSuccessMessage(`✅ ${rows.length} reminder${rows.length === 1 ? '' : 's'} created from the batch`)
+    setTimeout(() => setSuccessMessage(null), 5000)
+  }
+
+  const rejectQueued = (rows) => {
+    const keys = new Set(rows.map(({ candidate }) => candidate.key))
+    setScanQueue(current => removeCandidates(current, keys))
+  }
+
+  const editQueuedCandidate = (itemId, key, edited) => {
+    setScanQueue(current => current.map(item => (item.id === itemId
+      ? {
+        ...item,
+        candidates: item.candidates.map(candidate => (
+          candidate.key === key ? { ...candidate, ...edited, validationErrors: [] } : candidate
+        ))
+      }
+      : item)))
+  }
+
   const handleScan = async () => {
     if (!file) {
       setError('Please select a file first')
@@ -103,68 +203,98 @@ function DocumentScanner({ onReminderCreated }) {
 
     setLoading(true)
     setError(null)
+    setOcrPages([])
 
     try {
-      let info = null
+      const { bills, ocrPages: pages } = await scanDocument(file, { onProgress: setOcrProgress })
+      setOcrPages(pages)
 
-      if (file.type.startsWith('image/')) {
-        const base64 = await fileToBase64(file)
-        info = await extractDocumentInfo(base64, file.type)
-      } else {
-        const text = await fileToText(file)
-        info = await extractDocumentInfoFromText(text)
-      }
-      
-      setExtractedInfo(info)
-      
-      if (info.billName) {
-        setReminderTitle(`Pay ${info.billName}`)
-      }
-      
-      if (info.deadlineDate) {
-        setDeadlineDate(info.deadlineDate)
-        const calculatedReminderDate = calculateReminderDate(info.deadlineDate, reminderPeriod)
-        setReminderDate(calculatedReminderDate)
-      }
-      
-      if (info.time) {
-        setReminderTime(info.time)
-      } else {
-        setReminderTime('09:00')
+      const found = bills.map((bill, index) => ({ ...bill, key: `${Date.now()}-${index}` }))
+      setCandidates(found)
+      setEditingCandidate(null)
+
+      if (found.length === 0) {
+        setError('No deadlines found in this document.')
       }
-      
-      if (autoCreate && info.billName && info.deadlineDate) {
-        setTimeout(() => {
-          handleCreateReminderAuto(info)
-        }, 500)
+
+      // Auto-create (opt-in) skips review only for a lone, complete deadline;
+      // several findings always wait for approve, edit or reject
+      if (autoCreate && found.length === 1 && isCandidateComplete(found[0])) {
+        approveCandidates(found, found)
       }
     } catch (err) {
       setError(err.message || 'Failed to process document')
       console.error('Scan error:', err)
     } finally {
       setLoading(false)
+      setOcrProgress(null)
     }
   }
 
-  const handleCreateReminderAuto = (info) => {
-    const calculatedReminderDate = calculateReminderDate(info.deadlineDate, reminderPeriod)
-    const reminder = {
+  const isCandidateComplete = (candidate) => Boolean(candidate.billName && candidate.deadlineDate)
+
+  const buildReminderFromCandidate = (candidate, documentPreview = preview) => {
+    const { key, ...info } = candidate
+    return {
       title: `Pay ${info.billName}`,
-      date: calculatedReminderDate,
       deadlineDate: info.deadlineDate,
-      reminderPeriod: reminderPeriod,
+      ...buildOffsetFields(info.deadlineDate, reminderOffsets),
+      recurrence: normalizeRecurrence(recurrence),
+      escalation,
       time: info.time || '09:00',
       description: info.description || '',
-      documentPreview: preview,
+      amount: info.amount ?? null,
+      currency: info.currency || getDefaultCurrency(),
+      tags: normalizeTags([info.category]),
+      origin: info.email ? 'email' : 'document',
+      email: info.email || null,
+      documentPreview,
       extractedInfo: info
     }
+  }
 
-    onReminderCreated(reminder)
-    
-    setSuccessMessage(`✅ Reminder created! Reminder set ${reminderPeriod} before deadline (${info.deadlineDate})`)
+  // Creates one reminder per approved candidate and drops them from review
+  const approveCandidates = (approved, current = candidates) => {
+    approved.forEach(candidate => onReminderCreated(buildReminderFromCandidate(candidate)))
+
+    const approvedKeys = new Set(approved.map(candidate => candidate.key))
+    const remaining = current.filter(candidate => !approvedKeys.has(candidate.key))
+
+    setSuccessMessage(approved.length === 1
+      ? `✅ Reminder created! Alerts ${describeOffsets(reminderOffsets)} the deadline (${approved[0].deadlineDate})`
+      : `✅ ${approved.length} reminders created, each alerting ${describeOffsets(reminderOffsets)} its deadline`)
     setTimeout(() => setSuccessMessage(null), 5000)
-    
-    resetDocumentForm()
+
+    finishReview(remaining)
+  }
+
+  const handleApproveCandidate = (candidate) => {
+    if (!isCandidateComplete(candidate)) {
+      setEditingCandidate(candidate.key)
+      setError('Add a name and deadline date before approving this item')
+      return
+    }
+    setError(null)
+    approveCandidates([candidate])
+  }
+
+  const handleRejectCandidate = (candidate) => {
+    finishReview(candidates.filter(item => item.key !== candidate.key))
+  }
+
+  const handleSaveCandidate = (key, edited) => {
+    setCandidates(candidates.map(candidate => (
+      candidate.key === key ? { ...candidate, ...edited, validationErrors: [] } : candidate
+    )))
+    setEditingCandidate(null)
+    setError(null)
+  }
+
+  const finishReview = (remaining) => {
+    setCandidates(remaining)
+    if (remaining.length === 0) {
+      resetDocumentForm()
+    }
   }
 
   const handleCreateReminder = () => {
@@ -173,15 +303,22 @@ function DocumentScanner({ onReminderCreated }) {
       return
     }
 
+    // A reminder date picked by hand is kept as a single custom alert
+    const offsetFields = deadlineDate ? buildOffsetFields(deadlineDate, reminderOffsets) : null
+    const usesOffsets = offsetFields?.date === reminderDate
+
     const reminder = {
       title: reminderTitle,
       date: reminderDate,
-      deadlineDate: deadlineDate || extractedInfo?.deadlineDate || reminderDate,
-      reminderPeriod: reminderPeriod,
+      deadlineDate: deadlineDate || reminderDate,
+      ...(usesOffsets ? offsetFields : { reminderOffsets: [], reminderPeriod: null }),
+      recurrence: normalizeRecurrence(recurrence),
+      escalation,
       time: reminderTime || '09:00',
-      description: extractedInfo?.description || '',
+      description: '',
+      origin: 'manual',
       documentPreview: preview,
-      extractedInfo: extractedInfo
+      extractedInfo: null
     }
 
     onReminderCreated(reminder)
@@ -191,72 +328,22 @@ function DocumentScanner({ onReminderCreated }) {
   const resetDocumentForm = () => {
     setFile(null)
     setPreview(null)
-    setExtractedInfo(null)
+    setCandidates([])
+    setEditingCandidate(null)
     setReminderTitle('')
     setReminderDate('')
     setDeadlineDate('')
     setReminderTime('')
-    setReminderPeriod('1 day')
+    setReminderOffsets(['1 day'])
+    setRecurrence(null)
+    setEscalation('off')
+    setOcrPages([])
     setError(null)
     
     const fileInput = document.getElementById('file-input')
     if (fileInput) fileInput.value = ''
   }
 
-  const fileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result.split(',')[1])
-      reader.onerror = error => reject(error)
-    })
-  }
-
-  const fileToText = (file) => {
-    const extension = file.name.split('.').pop()?.toLowerCase() || ''
-
-    if (file.type === 'application/pdf' || extension === 'pdf') {
-      return pdfToText(file)
-    }
-
-    if (
-      file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-      extension === 'docx'
-    ) {
-      return docxToText(file)
-    }
-
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsText(file)
-      reader.onload = () => resolve(reader.result || '')
-      reader.onerror = error => reject(error)
-    })
-  }
-
-  const pdfToText = async (file) => {
-    const arrayBuffer = await file.arrayBuffer()
-    pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
-    const maxPages = Math.min(pdf.numPages, 20)
-    const textChunks = []
-
-    for (let pageNum = 1; pageNum <= maxPages; pageNum += 1) {
-      const page = await pdf.getPage(pageNum)
-      const content = await page.getTextContent()
-      const pageText = content.items.map(item => item.str).join(' ')
-      textChunks.push(pageText)
-    }
-
-    return textChunks.join('\n').trim()
-  }
-
-  const docxToText = async (file) => {
-    const arrayBuffer = await file.arrayBuffer()
-    const result = await mammoth.extractRawText({ arrayBuffer })
-    return (result.value || '').trim()
-  }
-
   // Text scanner functions
   const handleExtractText = async () => {
     if (!text.trim()) {
@@ -289,7 +376,11 @@ function DocumentScanner({ onReminderCreated }) {
       date: task.date,
       time: task.time || '09:00',
       description: task.description,
-      reminderPeriod: '1 day',
+      reminderOffsets: [],
+      amount: task.price ?? null,
+      currency: task.currency || getDefaultCurrency(),
+      tags: normalizeTags([task.category]),
+      origin: 'text',
       isSuggested: true,
       confidence: task.confidence
     }
@@ -309,7 +400,7 @@ function DocumentScanner({ onReminderCreated }) {
 
   const handleSaveEditTask = (index, editedTask) => {
     const updated = [...suggestedTasks]
-    updated[index] = { ...updated[index], ...editedTask }
+    updated[index] = { ...updated[index], ...editedTask, validationErrors: [] }
     setSuggestedTasks(updated)
     setExpandedTask(null)
   }
@@ -391,6 +482,9 @@ function DocumentScanner({ onReminderCreated }) {
       }
 
       if (mediaStream) {
+        // A front camera preview is mirrored like a selfie view; the
+        // captured frame never is, or OCR would read reversed text
+        setMirrorPreview(mediaStream.getVideoTracks()[0]?.getSettings().facingMode === 'user')
         setStream(mediaStream)
         setShowCamera(true)
         if (videoRef.current) {
@@ -440,10 +534,7 @@ function DocumentScanner({ onReminderCreated }) {
       canvas.width = video.videoWidth
       canvas.height = video.videoHeight
       
-      context.translate(canvas.width, 0)
-      context.scale(-1, 1)
       context.drawImage(video, 0, 0, canvas.width, canvas.height)
-      context.setTransform(1, 0, 0, 1, 0, 0)
       
       canvas.toBlob((blob) => {
         if (blob) {
@@ -503,19 +594,40 @@ function DocumentScanner({ onReminderCreated }) {
       {/* Document Scanner Tab */}
       {activeTab === 'document' && (
         <>
-          <div className="upload-section">
+          <div
+            className={`upload-section ${dragging ? 'dragging' : ''}`}
+            onDragOver={(e) => {
+              e.preventDefault()
+              if (!dragging) setDragging(true)
+            }}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false)
+            }}
+            onDrop={handleDrop}
+          >
             <div className="upload-buttons">
               <label htmlFor="file-input" className="upload-label">
-                {preview ? '📁 Change File' : '📁 Choose Document'}
+                {preview ? '📁 Change File' : '📁 Choose Documents'}
               </label>
-                    <input
+              <input
                 id="file-input"
                 type="file"
-                      accept="*/*,.pdf,.docx"
+                accept={ACCEPTED_FILES}
+                multiple
                 onChange={handleFileChange}
                 className="file-input"
               />
-              
+              <label htmlFor="folder-input" className="upload-label secondary">
+                🗂️ Choose Folder
+              </label>
+              <input
+                id="folder-input"
+                type="file"
+                webkitdirectory=""
+                onChange={handleFileChange}
+                className="file-input"
+              />
+
               {cameraAvailable && (
                 <button 
                   onClick={showCamera ? stopCamera : startCamera}
@@ -525,6 +637,9 @@ function DocumentScanner({ onReminderCreated }) {
                 </button>
               )}
             </div>
+            <small className="form-hint upload-hint">
+              Or drop files and folders here. Several documents are scanned as a batch and reviewed together.
+            </small>
             
             {showCamera && (
               <div className="camera-container">
@@ -532,7 +647,7 @@ function DocumentScanner({ onReminderCreated }) {
                   ref={videoRef}
                   autoPlay
                   playsInline
-                  className="camera-video"
+                  className={`camera-video${mirrorPreview ? ' mirrored' : ''}`}
                 />
                 <canvas ref={canvasRef} style={{ display: 'none' }} />
                 <div className="camera-controls">
@@ -559,6 +674,13 @@ function DocumentScanner({ onReminderCreated }) {
                 </button>
               </div>
             )}
+
+            {file && isEmailFile(file) && (
+              <div className="selected-email">
+                ✉️ {file.name}
+                <button onClick={resetDocumentForm} className="reject-button" title="Remove">✕</button>
+              </div>
+            )}
           </div>
 
           <button 
@@ -566,29 +688,145 @@ function DocumentScanner({ onReminderCreated }) {
             disabled={!file || loading}
             className="scan-button"
           >
-            {loading ? '🔄 Processing...' : '🤖 Extract Information with AI'}
+            {loading ? '🔄 Processing...' : isLlmConfigured() ? '🤖 Extract Information with AI' : '🔎 Extract Information (offline)'}
           </button>
 
-          {extractedInfo && (
-            <div className="extracted-info">
-              <h3>Extracted Information:</h3>
-              <div className="info-item">
-                <strong>Bill Name:</strong> {extractedInfo.billName || 'Not found'}
-              </div>
-              <div className="info-item">
-                <strong>Deadline Date:</strong> {extractedInfo.deadlineDate || 'Not found'}
+          {ocrProgress && (
+            <div className="ocr-progress">
+              <div className="ocr-progress-label">
+                🔍 {ocrProgress.label}… {Math.round(ocrProgress.progress * 100)}%
               </div>
-              <div className="info-item highlight">
-                <strong>⏰ Reminder Date ({reminderPeriod} before):</strong> {reminderDate || 'Calculating...'}
+              <div className="ocr-progress-bar">
+                <div
+                  className="ocr-progress-fill"
+                  style={{ width: `${Math.round(ocrProgress.progress * 100)}%` }}
+                />
               </div>
-              <div className="info-item">
-                <strong>Amount:</strong> {extractedInfo.amount || 'Not found'}
+            </div>
+          )}
+
+          {scanQueue.length > 0 && (
+            <ScanQueue
+              items={scanQueue}
+              reminderOffsets={reminderOffsets}
+              isCandidateComplete={isCandidateComplete}
+              onApprove={approveQueued}
+              onReject={rejectQueued}
+              onEditCandidate={editQueuedCandidate}
+              onRetry={(id) => updateScanItem(id, { status: 'queued', error: null })}
+              onRemove={(id) => setScanQueue(current => current.filter(item => item.id !== id))}
+              onClearFinished={() => setScanQueue(current => (
+                current.filter(item => item.status !== 'done' && item.status !== 'failed')
+              ))}
+            />
+          )}
+
+          {candidates.length > 0 && (
+            <div className="extracted-info">
+              <div className="candidates-header">
+                <h3>Extracted Deadlines ({candidates.length})</h3>
+                {candidates.filter(isCandidateComplete).length > 1 && (
+                  <button
+                    onClick={() => approveCandidates(candidates.filter(isCandidateComplete))}
+                    className="approve-button"
+                  >
+                    ✅ Approve all
+                  </button>
+                )}
               </div>
-              {extractedInfo.description && (
-                <div className="info-item">
-                  <strong>Description:</strong> {extractedInfo.description}
+              <small className="form-hint">
+                Each approved item becomes its own reminder, alerting {describeOffsets(reminderOffsets)} its deadline.
+              </small>
+              <OfflineNotice items={candidates} />
+              {ocrPages.length > 0 && (
+                <div className="info-item ocr-confidence">
+                  <strong>OCR confidence:</strong>
+                  {ocrPages.map(({ page, confidence }) => (
+                    <span
+                      key={page}
+                      className={`ocr-page-badge ${confidence < 0.6 ? 'low' : ''}`}
+                    >
+                      {ocrPages.length > 1 ? `Page ${page}: ` : ''}{Math.round(confidence * 100)}%
+                    </span>
+                  ))}
+                  {ocrPages.some(({ confidence }) => confidence < 0.6) && (
+                    <small className="form-hint">Low confidence — double-check the extracted details.</small>
+                  )}
                 </div>
               )}
+              <div className="suggestions-list">
+                {candidates.map(candidate => (
+                  <div key={candidate.key} className="suggestion-card">
+                    {editingCandidate === candidate.key ? (
+                      <CandidateEditor
+                        candidate={candidate}
+                        onSave={(edited) => handleSaveCandidate(candidate.key, edited)}
+                        onCancel={() => setEditingCandidate(null)}
+                      />
+                    ) : (
+                      <>
+                        <div className="suggestion-content">
+                          <h4>{candidate.billName || 'Unnamed item'}</h4>
+                          <div className="suggestion-meta">
+                            <span className="suggestion-date">
+                              📅 Due {candidate.deadlineDate || 'date not found'}
+                            </span>
+                            {candidate.deadlineDate && (
+                              <span className="suggestion-time">
+                                ⏰ First alert {buildOffsetFields(candidate.deadlineDate, reminderOffsets).date}
+                              </span>
+                            )}
+                            {candidate.amount !== null && candidate.amount !== undefined && (
+                              <span className="suggestion-time">💰 {formatMoney(candidate.amount, candidate.currency)}</span>
+                            )}
+                            {candidate.category && (
+                              <span className="suggestion-time">🏷️ {candidate.category}</span>
+                            )}
+                            {candidate.pages?.length > 0 && (
+                              <span className="suggestion-time">📄 Found on {describePages(candidate.pages)}</span>
+                            )}
+                            {candidate.email && (
+                              <span className="suggestion-time" title={candidate.email.fromAddress}>
+                                ✉️ {candidate.email.subject || candidate.email.from}
+                              </span>
+                            )}
+                            {candidate.source === 'offline' && (
+                              <span className="confidence-badge offline">Offline rules · lower confidence</span>
+                            )}
+                          </div>
+                          {candidate.description && (
+                            <p className="suggestion-description">{candidate.description}</p>
+                          )}
+                          <ValidationIssues errors={candidate.validationErrors} />
+                        </div>
+                        <div className="suggestion-actions">
+                          <button
+                            onClick={() => setEditingCandidate(candidate.key)}
+                            className="edit-button"
+                            title="Edit item"
+                          >
+                            ✏️ Edit
+                          </button>
+                          <button
+                            onClick={() => handleRejectCandidate(candidate)}
+                            className="reject-button"
+                            title="Reject"
+                          >
+                            ✕ Reject
+                          </button>
+                          <button
+                            onClick={() => handleApproveCandidate(candidate)}
+                            className="approve-button"
+                            title="Create reminder"
+                          >
+                            ✅ Approve
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
             </div>
           )}
 
@@ -600,7 +838,7 @@ function DocumentScanner({ onReminderCreated }) {
                   checked={autoCreate}
                   onChange={(e) => setAutoCreate(e.target.checked)}
                 />
-                <span>Auto-create reminder after scanning</span>
+                <span>Auto-create the reminder when a scan finds a single deadline</span>
               </label>
             </div>
 
@@ -617,32 +855,15 @@ function DocumentScanner({ onReminderCreated }) {
               />
             </div>
 
-            <div className="form-group">
-              <label>Reminder Type (How early to remind) *</label>
-              <select
-                value={reminderPeriod}
-                onChange={(e) => {
-                  setReminderPeriod(e.target.value)
-                  if (deadlineDate) {
-                    const newReminderDate = calculateReminderDate(deadlineDate, e.target.value)
-                    setReminderDate(newReminderDate)
-                  }
-                }}
-                className="form-input"
-              >
-                <option value="1 day">1 Day Before</option>
-                <option value="3 days">3 Days Before</option>
-                <option value="1 week">1 Week Before</option>
-                <option value="2 weeks">2 Weeks Before</option>
-                <option value="3 weeks">3 Weeks Before</option>
-                <option value="1 month">1 Month Before</option>
-                <option value="2 months">2 Months Before</option>
-                <option value="3 months">3 Months Before</option>
-                <option value="6 months">6 Months Before</option>
-                <option value="1 year">1 Year Before</option>
-              </select>
-              <small className="form-hint">Choose how early you want to be reminded before the deadline</small>
-            </div>
+            <ReminderOffsetFields
+              offsets={reminderOffsets}
+              onChange={(offsets) => {
+                setReminderOffsets(offsets)
+                if (deadlineDate) {
+                  setReminderDate(calculateReminderDate(deadlineDate, offsets[0]))
+                }
+              }}
+            />
 
             <div className="form-group">
               <label>Reminder Date *</label>
@@ -652,26 +873,24 @@ function DocumentScanner({ onReminderCreated }) {
                 onChange={(e) => setReminderDate(e.target.value)}
                 className="form-input"
               />
-              <small className="form-hint">Automatically calculated based on deadline and reminder type</small>
+              <small className="form-hint">The first alert, calculated from the deadline. Change it to use a single custom date instead</small>
             </div>
 
-            {deadlineDate && (
-              <div className="form-group">
-                <label>Original Deadline Date</label>
-                <input
-                  type="date"
-                  value={deadlineDate}
-                  onChange={(e) => {
-                    setDeadlineDate(e.target.value)
-                    const newReminderDate = calculateReminderDate(e.target.value, reminderPeriod)
-                    setReminderDate(newReminderDate)
-                  }}
-                  className="form-input"
-                  readOnly={!extractedInfo}
-                />
-                <small className="form-hint">Deadline extracted from document</small>
-              </div>
-            )}
+            <div className="form-group">
+              <label>Deadline Date</label>
+              <input
+                type="date"
+                value={deadlineDate}
+                onChange={(e) => {
+                  setDeadlineDate(e.target.value)
+                  if (e.target.value) {
+                    setReminderDate(calculateReminderDate(e.target.value, reminderOffsets[0]))
+                  }
+                }}
+                className="form-input"
+              />
+              <small className="form-hint">Alerts are calculated from the deadline and the offsets above</small>
+            </div>
 
             <div className="form-group">
               <label>Time</label>
@@ -683,6 +902,26 @@ function DocumentScanner({ onReminderCreated }) {
               />
             </div>
 
+            <RecurrenceFields
+              recurrence={recurrence}
+              anchorDate={deadlineDate || reminderDate}
+              onChange={setRecurrence}
+            />
+
+            <div className="form-group">
+              <label>Follow-up Alerts</label>
+              <select
+                value={escalation}
+                onChange={(e) => setEscalation(e.target.value)}
+                className="form-input"
+              >
+                {Object.entries(ESCALATION_POLICIES).map(([id, policy]) => (
+                  <option key={id} value={id}>{policy.label}</option>
+                ))}
+              </select>
+              <small className="form-hint">Re-notify at shorter and shorter intervals until the deadline, until marked completed</small>
+            </div>
+
             <button 
               onClick={handleCreateReminder}
               className="create-button"
@@ -718,6 +957,7 @@ function DocumentScanner({ onReminderCreated }) {
           {suggestedTasks.length > 0 && (
             <div className="suggestions-section">
               <h3>📋 Suggested Reminders ({suggestedTasks.length})</h3>
+              <OfflineNotice items={suggestedTasks} />
               <div className="suggestions-list">
                 {suggestedTasks.map((task, index) => (
                   <div key={index} className="suggestion-card">
@@ -735,6 +975,12 @@ function DocumentScanner({ onReminderCreated }) {
                             <div className="suggestion-meta">
                               <span className="suggestion-date">📅 {task.date}</span>
                               {task.time && <span className="suggestion-time">🕐 {task.time}</span>}
+                              {typeof task.price === 'number' && (
+                                <span className="suggestion-time">💰 {formatMoney(task.price, task.currency)}</span>
+                              )}
+                              {task.category && (
+                                <span className="suggestion-time">🏷️ {task.category}</span>
+                              )}
                               <span className="confidence-badge" style={{
                                 background: (task.confidence || 0.7) > 0.8 ? 'rgba(16, 185, 129, 0.2)' : 
                                            (task.confidence || 0.7) > 0.6 ? 'rgba(255, 193, 7, 0.2)' : 
@@ -743,6 +989,7 @@ function DocumentScanner({ onReminderCreated }) {
                                       (task.confidence || 0.7) > 0.6 ? '#fbbf24' : '#ef4444'
                               }}>
                                 {Math.round((task.confidence || 0.7) * 100)}% confident
+                                {task.source === 'offline' && ' · offline rules'}
                               </span>
                             </div>
                             {task.description && (
@@ -751,6 +998,7 @@ function DocumentScanner({ onReminderCreated }) {
                             {task.sourceText && (
                               <p className="suggestion-source">Source: "{task.sourceText}..."</p>
                             )}
+                            <ValidationIssues errors={task.validationErrors} />
                           </div>
                         </div>
                         <div className="suggestion-actions">
@@ -802,64 +1050,31 @@ function DocumentScanner({ onReminderCreated }) {
   )
 }
 
-function TaskEditor({ task, onSave, onCancel }) {
-  const [editedTask, setEditedTask] = useState({
-    title: task.title,
-    date: task.date,
-    time: task.time || '',
-    description: task.description || ''
-  })
-
-  const handleSave = () => {
-    onSave(editedTask)
-  }
+// Explains why results came from the offline rules instead of the AI
+function OfflineNotice({ items }) {
+  const offline = items.find(item => item.source === 'offline')
+  if (!offline) return null
 
   return (
-    <div className="task-editor">
-      <div className="editor-field">
-        <label>Title</label>
-        <input
-          type="text"
-          value={editedTask.title}
-          onChange={(e) => setEditedTask({ ...editedTask, title: e.target.value })}
-          className="editor-input"
-        />
-      </div>
-      <div className="editor-row">
-        <div className="editor-field">
-          <label>Date</label>
-          <input
-            type="date"
-            value={editedTask.date}
-            onChange={(e) => setEditedTask({ ...editedTask, date: e.target.value })}
-            className="editor-input"
-          />
-        </div>
-        <div className="editor-field">
-          <label>Time</label>
-          <input
-            type="time"
-            value={editedTask.time}
-            onChange={(e) => setEditedTask({ ...editedTask, time: e.target.value })}
-            className="editor-input"
-          />
-        </div>
-      </div>
-      <div className="editor-field">
-        <label>Description</label>
-        <textarea
-          value={editedTask.description}
-          onChange={(e) => setEditedTask({ ...editedTask, description: e.target.value })}
-          className="editor-input"
-          rows={3}
-        />
-      </div>
-      <div className="editor-actions">
-        <button onClick={onCancel} className="cancel-button">Cancel</button>
-        <button onClick={handleSave} className="save-button">Save</button>
-      </div>
+    <div className="offline-notice">
+      🔌 {offline.offlineReason || 'AI unavailable'} — these were found with offline rules and
+      are less reliable. Check dates and amounts before approving.
     </div>
   )
 }
 
+// Field-level problems left in an AI reply after the repair attempt
+function ValidationIssues({ errors }) {
+  if (!errors?.length) return null
+
+  return (
+    <ul className="validation-issues">
+      {errors.map((error, index) => (
+        <li key={index}>⚠️ {describeValidationErrors([{ ...error, item: null }])}</li>
+      ))}
+      <li className="validation-hint">Check these details before approving.</li>
+    </ul>
+  )
+}
+
 export default DocumentScanner
@@ -0,0 +1,111 @@
+import React, { useState } from 'react'
+import { formatDate, getToday } from '../services/dateService'
+import { CURRENCY_CODES, formatMoney, parseMoney } from '../services/moneyService'
+import {
+  PAYMENT_STATUSES,
+  clearPayment,
+  getAmountDue,
+  getCurrency,
+  getCurrentPayment,
+  getOutstandingAmount,
+  getPaymentStatus,
+  recordPayment
+} from '../services/paymentService'
+
+function PaymentControls({ reminder, onUpdate }) {
+  const amountDue = getAmountDue(reminder)
+  const [expanded, setExpanded] = useState(false)
+  const [paidAmount, setPaidAmount] = useState('')
+  const [paidDate, setPaidDate] = useState(() => getToday())
+
+  const payment = getCurrentPayment(reminder)
+  const status = getPaymentStatus(reminder)
+  const currency = getCurrency(reminder)
+  const outstanding = getOutstandingAmount(reminder)
+
+  // Reminders without an amount only offer to start tracking one
+  if (amountDue === null && !payment && !expanded) {
+    return (
+      <button className="payment-track-button" onClick={() => setExpanded(true)}>
+        💰 Track payment
+      </button>
+    )
+  }
+
+  const handleRecord = () => {
+    const amount = parseMoney(paidAmount)?.amount
+    if (paidAmount.trim() && amount === undefined) return
+    onUpdate(recordPayment(reminder, { amount, paidDate }))
+    setPaidAmount('')
+  }
+
+  return (
+    <div className={`payment-controls ${status}`}>
+      <div className="payment-summary">
+        <span className={`payment-status ${status}`}>{PAYMENT_STATUSES[status]}</span>
+        {amountDue !== null && (
+          <span className="payment-amount">
+            <strong>Amount:</strong> {formatMoney(amountDue, currency)}
+            {status === 'partial' || (status === 'overdue' && payment)
+              ? ` · ${formatMoney(outstanding, currency)} left`
+              : ''}
+          </span>
+        )}
+        {payment && (
+          <span className="payment-paid">
+            Paid {formatMoney(payment.paidAmount, currency)} on {formatDate(payment.paidDate)}
+          </span>
+        )}
+      </div>
+
+      <div className="payment-fields">
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={amountDue ?? ''}
+          onChange={(e) => onUpdate({ amount: e.target.value === '' ? null : Number(e.target.value), currency })}
+          placeholder="Amount due"
+          title="Amount due"
+        />
+        <select
+          value={currency}
+          onChange={(e) => onUpdate({ currency: e.target.value })}
+          title="Currency"
+        >
+          {CURRENCY_CODES.map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+      </div>
+
+      {status !== 'paid' ? (
+        <div className="payment-fields">
+          <input
+            type="text"
+            inputMode="decimal"
+            value={paidAmount}
+            onChange={(e) => setPaidAmount(e.target.value)}
+            placeholder={outstanding ? `Paid (${formatMoney(outstanding, currency)})` : 'Paid amount'}
+            title="Leave empty to pay the full balance"
+          />
+          <input
+            type="date"
+            value={paidDate}
+            onChange={(e) => setPaidDate(e.target.value)}
+            title="Paid date"
+          />
+          <button onClick={handleRecord}>
+            {paidAmount ? '💵 Record payment' : '✅ Mark paid'}
+          </button>
+        </div>
+      ) : (
+        <button className="payment-undo" onClick={() => onUpdate(clearPayment(reminder))}>
+          Undo payment
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default PaymentControls
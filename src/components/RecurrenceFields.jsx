@@ -0,0 +1,122 @@
+import React from 'react'
+import { getWeekdayPosition } from '../services/recurrenceService'
+
+const REPEAT_OPTIONS = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly (same day)' },
+  { value: 'monthly-weekday', label: 'Monthly (same weekday, e.g. 2nd Tuesday)' },
+  { value: 'yearly', label: 'Yearly' }
+]
+
+function getRepeatValue(recurrence) {
+  if (!recurrence) return 'none'
+  if (recurrence.freq === 'monthly' && recurrence.byWeekday) return 'monthly-weekday'
+  return recurrence.freq
+}
+
+function getEndsValue(recurrence) {
+  if (recurrence?.until) return 'until'
+  if (recurrence?.count) return 'count'
+  return 'never'
+}
+
+function RecurrenceFields({ recurrence, anchorDate, onChange }) {
+  const repeat = getRepeatValue(recurrence)
+  const ends = getEndsValue(recurrence)
+
+  const handleRepeatChange = (value) => {
+    if (value === 'none') {
+      onChange(null)
+      return
+    }
+
+    const base = {
+      interval: recurrence?.interval || 1,
+      until: recurrence?.until || null,
+      count: recurrence?.count || null
+    }
+
+    if (value === 'monthly-weekday') {
+      onChange({
+        ...base,
+        freq: 'monthly',
+        byWeekday: anchorDate ? getWeekdayPosition(anchorDate) : { weekday: 1, nth: 1 }
+      })
+      return
+    }
+
+    onChange({ ...base, freq: value, byWeekday: null })
+  }
+
+  const handleEndsChange = (value) => {
+    onChange({
+      ...recurrence,
+      until: value === 'until' ? (recurrence.until || anchorDate || null) : null,
+      count: value === 'count' ? (recurrence.count || 12) : null
+    })
+  }
+
+  return (
+    <div className="form-group recurrence-fields">
+      <label>Repeat</label>
+      <select
+        value={repeat}
+        onChange={(e) => handleRepeatChange(e.target.value)}
+        className="form-input"
+      >
+        {REPEAT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {recurrence && (
+        <div className="recurrence-row">
+          <label>
+            Every
+            <input
+              type="number"
+              min="1"
+              value={recurrence.interval || 1}
+              onChange={(e) => onChange({ ...recurrence, interval: Number(e.target.value) || 1 })}
+              className="form-input recurrence-interval"
+            />
+          </label>
+          <label>
+            Ends
+            <select
+              value={ends}
+              onChange={(e) => handleEndsChange(e.target.value)}
+              className="form-input"
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After N times</option>
+            </select>
+          </label>
+          {ends === 'until' && (
+            <input
+              type="date"
+              value={recurrence.until || ''}
+              onChange={(e) => onChange({ ...recurrence, until: e.target.value || null })}
+              className="form-input"
+            />
+          )}
+          {ends === 'count' && (
+            <input
+              type="number"
+              min="1"
+              value={recurrence.count || ''}
+              onChange={(e) => onChange({ ...recurrence, count: Number(e.target.value) || null })}
+              className="form-input recurrence-interval"
+            />
+          )}
+        </div>
+      )}
+      <small className="form-hint">Repeating reminders roll forward to the next due date when completed</small>
+    </div>
+  )
+}
+
+export default RecurrenceFields
@@ -0,0 +1,207 @@
+import React, { useRef, useState } from 'react'
+import {
+  AGENDA_DAYS,
+  addMonthsToDate,
+  getMonthGrid,
+  getWeekDates,
+  groupEntriesByDate,
+  rescheduleReminder
+} from '../services/calendarService'
+import { addDaysToDate, formatDate, getDaysBetween, getToday } from '../services/dateService'
+import './ReminderCalendar.css'
+
+const MAX_MONTH_ENTRIES = 4
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// One colour per reminder, shared by its alerts, span and deadline
+function getReminderColor(id) {
+  const hash = String(id).split('').reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 360, 7)
+  return `hsl(${hash}, 75%, 60%)`
+}
+
+function getRange(view, anchor) {
+  if (view === 'month') {
+    const weeks = getMonthGrid(anchor)
+    return { from: weeks[0][0], to: weeks[weeks.length - 1][6], weeks }
+  }
+  if (view === 'week') {
+    const days = getWeekDates(anchor)
+    return { from: days[0], to: days[6], weeks: [days] }
+  }
+  return { from: anchor, to: addDaysToDate(anchor, AGENDA_DAYS - 1), weeks: [] }
+}
+
+function ReminderCalendar({ view, reminders, onUpdate }) {
+  const today = getToday()
+  const [anchor, setAnchor] = useState(today)
+  const [hoveredId, setHoveredId] = useState(null)
+  const [dropDate, setDropDate] = useState(null)
+  const draggedEntry = useRef(null)
+
+  const { from, to, weeks } = getRange(view, anchor)
+  const entriesByDate = groupEntriesByDate(reminders, from, to)
+
+  const step = (direction) => {
+    if (view === 'month') setAnchor(addMonthsToDate(anchor, direction))
+    else setAnchor(addDaysToDate(anchor, direction * (view === 'week' ? 7 : AGENDA_DAYS)))
+  }
+
+  const title = view === 'month'
+    ? formatDate(addMonthsToDate(anchor, 0), 'MMMM yyyy')
+    : `${formatDate(from, 'MMM d')} – ${formatDate(to, 'MMM d, yyyy')}`
+
+  const handleDrop = (e, date) => {
+    e.preventDefault()
+    const entry = draggedEntry.current
+    draggedEntry.current = null
+    setDropDate(null)
+    if (!entry) return
+
+    const updates = rescheduleReminder(entry.reminder, entry, date)
+    if (updates) onUpdate(entry.reminder.id, updates)
+  }
+
+  const dropTargetProps = (date) => ({
+    onDragOver: (e) => {
+      if (!draggedEntry.current) return
+      e.preventDefault()
+      if (dropDate !== date) setDropDate(date)
+    },
+    onDrop: (e) => handleDrop(e, date)
+  })
+
+  const renderEntry = (entry, { detailed = false } = {}) => {
+    const { reminder } = entry
+    const linked = hoveredId !== null && hoveredId === reminder.id
+    const className = [
+      'calendar-entry',
+      entry.kind,
+      reminder.completed ? 'completed' : '',
+      linked ? 'linked' : '',
+      hoveredId !== null && !linked ? 'dimmed' : ''
+    ].filter(Boolean).join(' ')
+    const hoverProps = {
+      onMouseEnter: () => setHoveredId(reminder.id),
+      onMouseLeave: () => setHoveredId(null)
+    }
+
+    if (entry.kind === 'span') {
+      return (
+        <div
+          key={entry.key}
+          className={className}
+          style={{ '--entry-color': getReminderColor(reminder.id) }}
+          title={`${reminder.title}: alert to deadline`}
+          {...hoverProps}
+        />
+      )
+    }
+
+    const deadline = reminder.deadlineDate || reminder.date
+    const link = entry.kind === 'alert'
+      ? `due ${formatDate(deadline, 'MMM d')} (${getDaysBetween(entry.date, deadline)}d later)`
+      : (entry.hasAlert ? 'alert and deadline' : 'deadline')
+
+    return (
+      <div
+        key={entry.key}
+        className={className}
+        style={{ '--entry-color': getReminderColor(reminder.id) }}
+        draggable
+        onDragStart={(e) => {
+          draggedEntry.current = entry
+          e.dataTransfer.effectAllowed = 'move'
+          e.dataTransfer.setData('text/plain', entry.key)
+        }}
+        onDragEnd={() => {
+          draggedEntry.current = null
+          setDropDate(null)
+        }}
+        title={`${reminder.title} — ${link}. Drag to another day to reschedule.`}
+        {...hoverProps}
+      >
+        <span className="calendar-entry-icon">{entry.kind === 'alert' ? '🔔' : '📅'}</span>
+        {entry.time && detailed && <span className="calendar-entry-time">{entry.time}</span>}
+        <span className="calendar-entry-title">{reminder.title}</span>
+        {detailed && <span className="calendar-entry-link">{link}</span>}
+      </div>
+    )
+  }
+
+  const renderDay = (date, { limit } = {}) => {
+    const entries = entriesByDate.get(date) || []
+    const visible = limit ? entries.slice(0, limit) : entries
+    const outside = view === 'month' && date.slice(0, 7) !== addMonthsToDate(anchor, 0).slice(0, 7)
+    const className = [
+      'calendar-day',
+      date === today ? 'today' : '',
+      outside ? 'outside' : '',
+      dropDate === date ? 'drop-target' : ''
+    ].filter(Boolean).join(' ')
+
+    return (
+      <div key={date} className={className} {...dropTargetProps(date)}>
+        <div className="calendar-day-number">
+          {view === 'week' ? formatDate(date, 'MMM d') : Number(date.slice(8))}
+        </div>
+        <div className="calendar-day-entries">
+          {visible.map(entry => renderEntry(entry, { detailed: view === 'week' }))}
+          {entries.length > visible.length && (
+            <span className="calendar-more">+{entries.length - visible.length} more</span>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  const agendaDays = []
+  for (let date = from; date <= to; date = addDaysToDate(date, 1)) {
+    const entries = (entriesByDate.get(date) || []).filter(entry => entry.kind !== 'span')
+    if (entries.length > 0) agendaDays.push({ date, entries })
+  }
+
+  return (
+    <div className="reminder-calendar">
+      <div className="calendar-toolbar">
+        <button onClick={() => step(-1)} title="Previous">‹</button>
+        <button onClick={() => setAnchor(today)}>Today</button>
+        <button onClick={() => step(1)} title="Next">›</button>
+        <span className="calendar-title">{title}</span>
+      </div>
+
+      {view === 'agenda' ? (
+        <div className="calendar-agenda">
+          {agendaDays.length === 0 && (
+            <p className="calendar-empty">Nothing scheduled in the next {AGENDA_DAYS} days.</p>
+          )}
+          {agendaDays.map(({ date, entries }) => (
+            <div
+              key={date}
+              className={`agenda-day ${date === today ? 'today' : ''} ${dropDate === date ? 'drop-target' : ''}`}
+              {...dropTargetProps(date)}
+            >
+              <div className="agenda-date">{formatDate(date, 'EEE, MMM d')}</div>
+              <div className="agenda-entries">
+                {entries.map(entry => renderEntry(entry, { detailed: true }))}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className={`calendar-grid ${view}`}>
+          {WEEKDAY_LABELS.map(label => (
+            <div key={label} className="calendar-weekday">{label}</div>
+          ))}
+          {weeks.flat().map(date => renderDay(date, { limit: view === 'month' ? MAX_MONTH_ENTRIES : null }))}
+        </div>
+      )}
+
+      <p className="calendar-hint">
+        🔔 alert · 📅 deadline · the bar between them links a reminder's alert to its deadline.
+        Drag an alert or deadline to another day to reschedule it.
+      </p>
+    </div>
+  )
+}
+
+export default ReminderCalendar
@@ -0,0 +1,134 @@
+import React, { useState } from 'react'
+import RecurrenceFields from './RecurrenceFields'
+import ReminderOffsetFields from './ReminderOffsetFields'
+import TagFields from './TagFields'
+import { TaskFields } from './TaskEditor'
+import { normalizeRecurrence } from '../services/recurrenceService'
+import { buildOffsetFields, calculateReminderDate, getReminderOffsets } from '../services/reminderOffsetService'
+import { CURRENCY_CODES, parseMoney } from '../services/moneyService'
+import { getAmountDue, getCurrency, movePaymentToDueDate } from '../services/paymentService'
+import { getReminderTags } from '../services/tagService'
+
+// Fields whose change moves the alerts, so a pending snooze no longer applies
+const SCHEDULE_FIELDS = ['date', 'time', 'deadlineDate', 'reminderOffsets', 'recurrence']
+
+function ReminderEditor({ reminder, onSave, onCancel }) {
+  const savedOffsets = getReminderOffsets(reminder)
+  const [edited, setEdited] = useState({
+    title: reminder.title || '',
+    date: reminder.date || '',
+    time: reminder.time || '',
+    description: reminder.description || '',
+    deadlineDate: reminder.deadlineDate || '',
+    reminderOffsets: savedOffsets.length > 0 ? savedOffsets : ['1 day'],
+    amount: getAmountDue(reminder) ?? '',
+    currency: getCurrency(reminder),
+    recurrence: reminder.recurrence || null,
+    tags: getReminderTags(reminder)
+  })
+
+  // Like the create form, the alert date follows the deadline and offsets
+  // until it is changed by hand
+  const handleChange = (changes) => {
+    const next = { ...edited, ...changes }
+    const movesAlerts = 'deadlineDate' in changes || 'reminderOffsets' in changes
+    if (movesAlerts && next.deadlineDate) {
+      next.date = calculateReminderDate(next.deadlineDate, next.reminderOffsets[0])
+    }
+    setEdited(next)
+  }
+
+  const handleSave = () => {
+    // A reminder date that no longer matches the offsets is a single custom alert
+    const offsetFields = edited.deadlineDate ? buildOffsetFields(edited.deadlineDate, edited.reminderOffsets) : null
+    const usesOffsets = offsetFields?.date === edited.date
+    const money = parseMoney(edited.amount, { defaultCurrency: edited.currency })
+
+    const updates = {
+      title: edited.title.trim(),
+      date: edited.date,
+      deadlineDate: edited.deadlineDate || edited.date,
+      ...(usesOffsets ? offsetFields : { reminderOffsets: [], reminderPeriod: null }),
+      time: edited.time || null,
+      description: edited.description,
+      amount: money?.amount ?? null,
+      currency: money?.currency || edited.currency,
+      recurrence: normalizeRecurrence(edited.recurrence),
+      tags: edited.tags
+    }
+    Object.assign(updates, movePaymentToDueDate(reminder, updates.deadlineDate))
+
+    const rescheduled = SCHEDULE_FIELDS.some(field => (
+      JSON.stringify(updates[field] ?? null) !== JSON.stringify(reminder[field] ?? null)
+    ))
+    onSave(rescheduled ? { ...updates, snoozedUntil: null } : updates)
+  }
+
+  return (
+    <div className="task-editor reminder-editor">
+      <TaskFields
+        task={edited}
+        onChange={handleChange}
+        dateLabel="Reminder Date"
+        dateHint="Follows the deadline and alerts below; change it to use a single custom date"
+      >
+        <div className="editor-field">
+          <label>Deadline</label>
+          <input
+            type="date"
+            value={edited.deadlineDate}
+            onChange={(e) => handleChange({ deadlineDate: e.target.value })}
+            className="editor-input"
+          />
+        </div>
+        <ReminderOffsetFields
+          offsets={edited.reminderOffsets}
+          onChange={(reminderOffsets) => handleChange({ reminderOffsets })}
+          hint="Each one is a separate alert before the deadline"
+        />
+        <div className="editor-row">
+          <div className="editor-field">
+            <label>Amount</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={edited.amount}
+              onChange={(e) => handleChange({ amount: e.target.value })}
+              className="editor-input"
+            />
+          </div>
+          <div className="editor-field">
+            <label>Currency</label>
+            <select
+              value={edited.currency}
+              onChange={(e) => handleChange({ currency: e.target.value })}
+              className="editor-input"
+            >
+              {CURRENCY_CODES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <RecurrenceFields
+          recurrence={edited.recurrence}
+          anchorDate={edited.deadlineDate || edited.date}
+          onChange={(recurrence) => handleChange({ recurrence })}
+        />
+        <TagFields tags={edited.tags} onChange={(tags) => handleChange({ tags })} />
+      </TaskFields>
+      <div className="editor-actions">
+        <button onClick={onCancel} className="cancel-button">Cancel</button>
+        <button
+          onClick={handleSave}
+          className="save-button"
+          disabled={!edited.title.trim() || !edited.date}
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ReminderEditor
@@ -1,81 +1,392 @@
-import React, { useState } from 'react'
-import { format, isPast, isToday, isTomorrow, parseISO } from 'date-fns'
+import React, { useEffect, useRef, useState } from 'react'
+import { completeOccurrence, describeRecurrence, isRecurring } from '../services/recurrenceService'
+import { downloadIcs, parseIcs } from '../services/icsService'
+import { ESCALATION_POLICIES, SNOOZE_PRESETS, getSnoozeUntil } from '../services/notificationService'
+import {
+  REMINDER_OFFSET_OPTIONS,
+  describeOffsets,
+  getCurrentAlert,
+  getReminderOffsets
+} from '../services/reminderOffsetService'
+import {
+  addDaysToDate,
+  formatDate,
+  formatInstant,
+  getDeviceTimeZone,
+  getReminderInstant,
+  getReminderTimeZone,
+  getTimeZoneLabel,
+  getToday
+} from '../services/dateService'
+import {
+  DEFAULT_FILTERS,
+  REMINDER_ORIGINS,
+  REMINDER_STATUSES,
+  buildFilterHash,
+  countActiveFilters,
+  filterReminders,
+  parseFilterHash
+} from '../services/reminderFilterService'
+import { getReminderTags, listTags } from '../services/tagService'
+import { CALENDAR_VIEWS } from '../services/calendarService'
+import { buildBulkChange, describeBulkChange } from '../services/bulkService'
+import PaymentControls from './PaymentControls'
+import ReminderCalendar from './ReminderCalendar'
+import ReminderEditor from './ReminderEditor'
 import './ReminderList.css'
 
-function ReminderList({ reminders, onDelete, onUpdate }) {
-  const [filter, setFilter] = useState('all') // all, upcoming, past
+const VIEW_STORAGE_KEY = 'rakall-reminder-view'
 
-  const filteredReminders = reminders.filter(reminder => {
-    if (filter === 'all') return true
-    const reminderDate = parseISO(`${reminder.date}T${reminder.time || '00:00'}`)
-    if (filter === 'upcoming') return !isPast(reminderDate)
-    if (filter === 'past') return isPast(reminderDate)
-    return true
+function ReminderList({ reminders, onDelete, onUpdate, onImport, onBulkChange }) {
+  const [filters, setFilters] = useState(() => parseFilterHash(window.location.hash) || DEFAULT_FILTERS)
+  // Open the panel when a bookmarked view uses filters that live in it
+  const [showFilters, setShowFilters] = useState(() => (
+    countActiveFilters({ ...filters, query: DEFAULT_FILTERS.query, status: DEFAULT_FILTERS.status }) > 0
+  ))
+  const [selectedIds, setSelectedIds] = useState([])
+  const [editingId, setEditingId] = useState(null)
+  const [bulkDays, setBulkDays] = useState('7')
+  const [bulkTag, setBulkTag] = useState('')
+  const [view, setView] = useState(() => {
+    const saved = localStorage.getItem(VIEW_STORAGE_KEY)
+    return CALENDAR_VIEWS[saved] ? saved : 'list'
   })
+  const [calendarMessage, setCalendarMessage] = useState(null)
+  const importInputRef = useRef(null)
 
-  const sortedReminders = [...filteredReminders].sort((a, b) => {
-    const dateA = parseISO(`${a.date}T${a.time || '00:00'}`)
-    const dateB = parseISO(`${b.date}T${b.time || '00:00'}`)
-    return dateA - dateB
-  })
+  const getAlertInstant = (reminder, alert) => getReminderInstant(reminder, alert.date, alert.time)
+
+  // Back/forward and pasted links change the hash without a reload
+  useEffect(() => {
+    const handleHashChange = () => {
+      const fromHash = parseFilterHash(window.location.hash)
+      if (fromHash) setFilters(fromHash)
+    }
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [])
 
-  const getDateLabel = (dateString, timeString) => {
-    const date = parseISO(`${dateString}T${timeString || '00:00'}`)
-    if (isToday(date)) return 'Today'
-    if (isTomorrow(date)) return 'Tomorrow'
-    if (isPast(date)) return 'Past'
-    return format(date, 'MMM dd, yyyy')
+  // replaceState keeps filter tweaks out of the history and does not scroll
+  const updateFilters = (changes) => {
+    const next = { ...filters, ...changes }
+    setFilters(next)
+    window.history.replaceState(null, '', buildFilterHash(next))
   }
 
-  const getDateStatus = (dateString, timeString) => {
-    const date = parseISO(`${dateString}T${timeString || '00:00'}`)
-    if (isPast(date)) return 'past'
-    if (isToday(date)) return 'today'
-    if (isTomorrow(date)) return 'tomorrow'
+  const filteredReminders = filterReminders(reminders, filters)
+  const activeFilterCount = countActiveFilters(filters)
+  const availableTags = listTags(reminders)
+
+  const sortedReminders = [...filteredReminders].sort((a, b) => (
+    getAlertInstant(a, getCurrentAlert(a)) - getAlertInstant(b, getCurrentAlert(b))
+  ))
+
+  // "Today" and "Tomorrow" are days in the reminder's own time zone
+  const getDateStatus = (reminder, alert) => {
+    const now = new Date()
+    const today = getToday(getReminderTimeZone(reminder), now)
+    if (getAlertInstant(reminder, alert) <= now) return 'past'
+    if (alert.date === today) return 'today'
+    if (alert.date === addDaysToDate(today, 1)) return 'tomorrow'
     return 'upcoming'
   }
 
+  const getDateLabel = (reminder, alert) => {
+    const today = getToday(getReminderTimeZone(reminder))
+    if (alert.date === today) return 'Today'
+    if (alert.date === addDaysToDate(today, 1)) return 'Tomorrow'
+    if (getAlertInstant(reminder, alert) <= new Date()) return 'Past'
+    return formatDate(alert.date)
+  }
+
   const toggleCompleted = (id) => {
     const reminder = reminders.find(r => r.id === id)
+    // Completing one occurrence of a repeating reminder rolls it forward
+    if (!reminder.completed && isRecurring(reminder)) {
+      onUpdate(id, { ...completeOccurrence(reminder), snoozedUntil: null })
+      return
+    }
     onUpdate(id, { completed: !reminder.completed })
   }
 
+  const handleViewChange = (nextView) => {
+    setView(nextView)
+    localStorage.setItem(VIEW_STORAGE_KEY, nextView)
+  }
+
+  const handleSaveEdit = (id, updates) => {
+    onUpdate(id, updates)
+    setEditingId(null)
+  }
+
+  const handleSnooze = (id, presetId) => {
+    onUpdate(id, { snoozedUntil: getSnoozeUntil(presetId) })
+  }
+
+  // The alert has gone off (or is snoozed) and the reminder is still open
+  const canSnooze = (reminder) => {
+    if (reminder.completed) return false
+    if (reminder.snoozedUntil) return true
+    return getReminderInstant(reminder) <= new Date()
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id])
+  }
+
+  const visibleIds = sortedReminders.map(reminder => reminder.id)
+  const allVisibleSelected = visibleIds.length > 0 && visibleIds.every(id => selectedIds.includes(id))
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allVisibleSelected
+      ? selectedIds.filter(id => !visibleIds.includes(id))
+      : [...new Set([...selectedIds, ...visibleIds])])
+  }
+
+  // One bulk action is one entry in the app's undo history
+  const runBulkAction = (action, options) => {
+    const selected = reminders.filter(reminder => selectedIds.includes(reminder.id))
+    const change = buildBulkChange(selected, action, options)
+    const count = change.updates.size + change.deleteIds.length
+    if (count === 0) {
+      setCalendarMessage('Nothing to change on the selected reminders.')
+      return
+    }
+
+    onBulkChange(change, describeBulkChange(action, count))
+    setCalendarMessage(null)
+    if (action === 'delete') {
+      setSelectedIds(selectedIds.filter(id => !change.deleteIds.includes(id)))
+    }
+  }
+
+  const handleExport = () => {
+    const selected = reminders.filter(reminder => selectedIds.includes(reminder.id))
+    const toExport = selected.length > 0 ? selected : reminders
+    if (toExport.length === 0) return
+    downloadIcs(toExport)
+    setCalendarMessage(`Exported ${toExport.length} reminder${toExport.length === 1 ? '' : 's'} to .ics`)
+  }
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const drafts = parseIcs(await file.text())
+      if (drafts.length === 0) {
+        setCalendarMessage('No events found in that calendar file.')
+        return
+      }
+      const { added, updated } = onImport(drafts)
+      setCalendarMessage(`Imported ${added} new and updated ${updated} existing reminder${added + updated === 1 ? '' : 's'}`)
+    } catch (err) {
+      console.error('Calendar import error:', err)
+      setCalendarMessage('Could not read that calendar file.')
+    }
+  }
+
   return (
     <div className="reminder-list">
       <div className="reminder-header">
         <h2>📋 Reminders</h2>
         <div className="filter-buttons">
-          <button
-            className={filter === 'all' ? 'active' : ''}
-            onClick={() => setFilter('all')}
-          >
-            All
+          {Object.entries(REMINDER_STATUSES).map(([status, label]) => (
+            <button
+              key={status}
+              className={filters.status === status ? 'active' : ''}
+              onClick={() => updateFilters({ status })}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="reminder-search">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => updateFilters({ query: e.target.value })}
+          placeholder="🔍 Search title, description, payee, amount, tags..."
+          className="search-input"
+        />
+        <button
+          className={`filters-toggle ${showFilters ? 'active' : ''}`}
+          onClick={() => setShowFilters(!showFilters)}
+        >
+          ⚙️ Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+        </button>
+        {activeFilterCount > 0 && (
+          <button className="filters-clear" onClick={() => updateFilters(DEFAULT_FILTERS)}>
+            Clear
           </button>
+        )}
+      </div>
+
+      {showFilters && (
+        <div className="filter-panel">
+          <label>
+            Tag
+            <select value={filters.tag} onChange={(e) => updateFilters({ tag: e.target.value })}>
+              <option value="">Any tag</option>
+              {availableTags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Source
+            <select value={filters.origin} onChange={(e) => updateFilters({ origin: e.target.value })}>
+              <option value="">Any source</option>
+              {Object.entries(REMINDER_ORIGINS).map(([origin, label]) => (
+                <option key={origin} value={origin}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Amount from
+            <input
+              type="number"
+              min="0"
+              value={filters.minAmount}
+              onChange={(e) => updateFilters({ minAmount: e.target.value })}
+            />
+          </label>
+          <label>
+            to
+            <input
+              type="number"
+              min="0"
+              value={filters.maxAmount}
+              onChange={(e) => updateFilters({ maxAmount: e.target.value })}
+            />
+          </label>
+          <label>
+            Due from
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilters({ from: e.target.value })}
+            />
+          </label>
+          <label>
+            to
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilters({ to: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+
+      <div className="view-switcher">
+        {Object.entries(CALENDAR_VIEWS).map(([id, label]) => (
           <button
-            className={filter === 'upcoming' ? 'active' : ''}
-            onClick={() => setFilter('upcoming')}
+            key={id}
+            className={view === id ? 'active' : ''}
+            onClick={() => handleViewChange(id)}
           >
-            Upcoming
+            {label}
           </button>
-          <button
-            className={filter === 'past' ? 'active' : ''}
-            onClick={() => setFilter('past')}
+        ))}
+      </div>
+
+      <div className="calendar-actions">
+        <button onClick={handleExport} disabled={reminders.length === 0}>
+          📤 {selectedIds.length > 0 ? `Export selected (${selectedIds.length})` : 'Export all'} .ics
+        </button>
+        <button onClick={() => importInputRef.current?.click()}>
+          📥 Import .ics
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".ics,text/calendar"
+          onChange={handleImportFile}
+          className="calendar-import-input"
+        />
+        <button onClick={toggleSelectAll} disabled={visibleIds.length === 0}>
+          {allVisibleSelected ? '☐ Clear selection' : `☑️ Select all shown (${visibleIds.length})`}
+        </button>
+        {calendarMessage && <span className="calendar-message">{calendarMessage}</span>}
+      </div>
+
+      {selectedIds.length > 0 && (
+        <div className="bulk-actions">
+          <span className="bulk-count">{selectedIds.length} selected</span>
+          <button onClick={() => runBulkAction('complete')}>✅ Complete</button>
+          <button className="danger" onClick={() => runBulkAction('delete')}>🗑️ Delete</button>
+          <span className="bulk-group">
+            Shift by
+            <input
+              type="number"
+              value={bulkDays}
+              onChange={(e) => setBulkDays(e.target.value)}
+              className="bulk-days"
+              title="Days (negative moves earlier)"
+            />
+            days
+            <button onClick={() => runBulkAction('shift', { days: Number.parseInt(bulkDays, 10) || 0 })}>
+              📆 Reschedule
+            </button>
+          </span>
+          <select
+            value=""
+            onChange={(e) => runBulkAction('offsets', { offsets: [e.target.value] })}
+            title="Replace the alerts of the selected reminders"
           >
-            Past
-          </button>
+            <option value="" disabled>⏰ Change alert…</option>
+            {REMINDER_OFFSET_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <span className="bulk-group">
+            <input
+              type="text"
+              list="bulk-tag-options"
+              value={bulkTag}
+              onChange={(e) => setBulkTag(e.target.value)}
+              placeholder="Tag"
+              className="bulk-tag"
+            />
+            <datalist id="bulk-tag-options">
+              {availableTags.map(tag => <option key={tag} value={tag} />)}
+            </datalist>
+            <button onClick={() => runBulkAction('tag', { tag: bulkTag })} disabled={!bulkTag.trim()}>
+              🏷️ Add
+            </button>
+            <button onClick={() => runBulkAction('untag', { tag: bulkTag })} disabled={!bulkTag.trim()}>
+              Remove
+            </button>
+          </span>
+          <button onClick={handleExport}>📤 Export</button>
         </div>
-      </div>
+      )}
 
-      {sortedReminders.length === 0 ? (
+      {view !== 'list' ? (
+        <ReminderCalendar view={view} reminders={sortedReminders} onUpdate={onUpdate} />
+      ) : sortedReminders.length === 0 ? (
         <div className="empty-state">
-          <p>No reminders yet. Scan a document to create one!</p>
+          <p>
+            {reminders.length === 0
+              ? 'No reminders yet. Scan a document to create one!'
+              : 'No reminders match these filters.'}
+          </p>
         </div>
       ) : (
         <div className="reminders-container">
           {sortedReminders.map(reminder => {
-            const status = getDateStatus(reminder.date, reminder.time)
-            const dateLabel = getDateLabel(reminder.date, reminder.time)
-            
+            const alert = getCurrentAlert(reminder)
+            const status = getDateStatus(reminder, alert)
+            const dateLabel = getDateLabel(reminder, alert)
+            const timeZone = getReminderTimeZone(reminder)
+            const offsets = getReminderOffsets(reminder)
+
             return (
               <div
                 key={reminder.id}
@@ -87,57 +398,146 @@ function ReminderList({ reminders, onDelete, onUpdate }) {
                   </div>
                 )}
                 
-                <div className="reminder-content">
-                  <div className="reminder-header-row">
-                    <h3 className={reminder.completed ? 'strikethrough' : ''}>
-                      {reminder.title}
-                    </h3>
-                    <button
-                      onClick={() => onDelete(reminder.id)}
-                      className="delete-button"
-                      title="Delete reminder"
-                    >
-                      🗑️
-                    </button>
-                  </div>
-                  
-                  <div className="reminder-date-time">
-                    <span className="date-label">{dateLabel}</span>
-                    <span className="time-label">
-                      {reminder.time || 'All day'}
-                    </span>
+                {editingId === reminder.id ? (
+                  <div className="reminder-content">
+                    <ReminderEditor
+                      reminder={reminder}
+                      onSave={(updates) => handleSaveEdit(reminder.id, updates)}
+                      onCancel={() => setEditingId(null)}
+                    />
                   </div>
+                ) : (
+                  <div className="reminder-content">
+                    <div className="reminder-header-row">
+                      <input
+                        type="checkbox"
+                        className="select-checkbox"
+                        checked={selectedIds.includes(reminder.id)}
+                        onChange={() => toggleSelected(reminder.id)}
+                        title="Select reminder"
+                      />
+                      <h3 className={reminder.completed ? 'strikethrough' : ''}>
+                        {reminder.title}
+                      </h3>
+                      <button
+                        onClick={() => setEditingId(reminder.id)}
+                        className="edit-reminder-button"
+                        title="Edit reminder"
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        onClick={() => onDelete(reminder.id)}
+                        className="delete-button"
+                        title="Delete reminder"
+                      >
+                        🗑️
+                      </button>
+                    </div>
                   
-                  {reminder.deadlineDate && reminder.deadlineDate !== reminder.date && (
-                    <div className="deadline-info">
-                      <strong>📅 Deadline:</strong> {format(parseISO(reminder.deadlineDate), 'MMM dd, yyyy')}
-                      <span className="deadline-note">
-                        (Reminder set {reminder.reminderPeriod || '1 day'} before)
+                    <div className="reminder-date-time">
+                      <span className="date-label">
+                        {offsets.length > 1 && '🔔 Next alert: '}{dateLabel}
                       </span>
+                      <span className="time-label">
+                        {reminder.time || 'All day'}
+                      </span>
+                      {timeZone !== getDeviceTimeZone() && (
+                        <span className="time-zone-label" title="This reminder keeps the time of its own time zone">
+                          🌐 {getTimeZoneLabel(timeZone)}
+                        </span>
+                      )}
                     </div>
-                  )}
                   
-                  {reminder.description && (
-                    <p className="reminder-description">{reminder.description}</p>
-                  )}
+                    {reminder.deadlineDate && reminder.deadlineDate !== reminder.date && (
+                      <div className="deadline-info">
+                        <strong>📅 Deadline:</strong> {formatDate(reminder.deadlineDate)}
+                        {offsets.length > 0 && (
+                          <span className="deadline-note">
+                            (Alerts {describeOffsets(offsets)})
+                          </span>
+                        )}
+                      </div>
+                    )}
                   
-                  {reminder.extractedInfo?.amount && (
-                    <div className="reminder-amount">
-                      <strong>Amount:</strong> {reminder.extractedInfo.amount}
-                    </div>
-                  )}
+                    {isRecurring(reminder) && (
+                      <div className="recurrence-info">
+                        🔁 {describeRecurrence(reminder.recurrence)}
+                      </div>
+                    )}
+
+                    {reminder.email && (
+                      <div className="email-info" title={reminder.email.messageId || ''}>
+                        ✉️ {reminder.email.from || reminder.email.fromAddress}
+                        {reminder.email.subject && <> · “{reminder.email.subject}”</>}
+                        {reminder.email.date && <> · {formatInstant(reminder.email.date, 'MMM d, yyyy')}</>}
+                        {reminder.email.attachment && <> · 📎 {reminder.email.attachment}</>}
+                      </div>
+                    )}
+
+                    {reminder.description && (
+                      <p className="reminder-description">{reminder.description}</p>
+                    )}
+
+                    {getReminderTags(reminder).length > 0 && (
+                      <div className="reminder-tags">
+                        {getReminderTags(reminder).map(tag => (
+                          <button
+                            key={tag}
+                            className={`tag-chip ${filters.tag === tag ? 'active' : ''}`}
+                            onClick={() => updateFilters({ tag: filters.tag === tag ? '' : tag })}
+                            title="Show reminders with this tag"
+                          >
+                            🏷️ {tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   
-                  <div className="reminder-actions">
-                    <label className="checkbox-label">
-                      <input
-                        type="checkbox"
-                        checked={reminder.completed || false}
-                        onChange={() => toggleCompleted(reminder.id)}
-                      />
-                      <span>Mark as completed</span>
-                    </label>
+                    <PaymentControls
+                      reminder={reminder}
+                      onUpdate={(updates) => onUpdate(reminder.id, updates)}
+                    />
+                  
+                    {canSnooze(reminder) && (
+                      <div className="snooze-actions">
+                        {reminder.snoozedUntil && new Date(reminder.snoozedUntil) > new Date() && (
+                          <span className="snooze-status">
+                            💤 Snoozed until {formatInstant(reminder.snoozedUntil)}
+                          </span>
+                        )}
+                        {SNOOZE_PRESETS.map(preset => (
+                          <button key={preset.id} onClick={() => handleSnooze(reminder.id, preset.id)}>
+                            💤 {preset.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
+                    <div className="reminder-actions">
+                      <label className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={reminder.completed || false}
+                          onChange={() => toggleCompleted(reminder.id)}
+                        />
+                        <span>{isRecurring(reminder) && !reminder.completed ? 'Complete this occurrence' : 'Mark as completed'}</span>
+                      </label>
+                      {!reminder.completed && reminder.deadlineDate && reminder.deadlineDate > reminder.date && (
+                        <select
+                          className="escalation-select"
+                          value={reminder.escalation || 'off'}
+                          onChange={(e) => onUpdate(reminder.id, { escalation: e.target.value })}
+                          title="Follow-up alerts until the deadline"
+                        >
+                          {Object.entries(ESCALATION_POLICIES).map(([id, policy]) => (
+                            <option key={id} value={id}>{policy.label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
                   </div>
-                </div>
+                )}
               </div>
             )
           })}
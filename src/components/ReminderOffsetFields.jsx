@@ -0,0 +1,42 @@
+import React from 'react'
+import { REMINDER_OFFSET_OPTIONS, sortOffsets } from '../services/reminderOffsetService'
+
+function ReminderOffsetFields({
+  offsets,
+  onChange,
+  hint = 'Each one is a separate alert before the deadline (also used for approved scanned items)'
+}) {
+  const toggleOffset = (value) => {
+    const next = offsets.includes(value)
+      ? offsets.filter(offset => offset !== value)
+      : [...offsets, value]
+    // Keep at least one alert
+    if (next.length > 0) {
+      onChange(sortOffsets(next))
+    }
+  }
+
+  return (
+    <div className="form-group reminder-offset-fields">
+      <label>Remind Me (pick one or more) *</label>
+      <div className="offset-options">
+        {REMINDER_OFFSET_OPTIONS.map(option => (
+          <label
+            key={option.value}
+            className={`offset-option ${offsets.includes(option.value) ? 'selected' : ''}`}
+          >
+            <input
+              type="checkbox"
+              checked={offsets.includes(option.value)}
+              onChange={() => toggleOffset(option.value)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+      <small className="form-hint">{hint}</small>
+    </div>
+  )
+}
+
+export default ReminderOffsetFields
@@ -0,0 +1,204 @@
+import React, { useState } from 'react'
+import CandidateEditor from './CandidateEditor'
+import { SCAN_STATUSES, countByStatus } from '../services/scanQueueService'
+import { buildOffsetFields } from '../services/reminderOffsetService'
+import { formatMoney } from '../services/moneyService'
+import { describePages } from '../services/documentChunkService'
+import './ScanQueue.css'
+
+const STATUS_ICONS = {
+  queued: '⏳',
+  extracting: '🔄',
+  review: '👀',
+  done: '✅',
+  failed: '⚠️'
+}
+
+function ScanQueue({
+  items,
+  reminderOffsets,
+  isCandidateComplete,
+  onApprove,
+  onReject,
+  onEditCandidate,
+  onRetry,
+  onRemove,
+  onClearFinished
+}) {
+  const [selectedKeys, setSelectedKeys] = useState([])
+  const [editingKey, setEditingKey] = useState(null)
+
+  const counts = countByStatus(items)
+  const finished = counts.done + counts.failed
+  const rows = items
+    .filter(item => item.status === 'review')
+    .flatMap(item => item.candidates.map(candidate => ({ item, candidate })))
+  const readyKeys = rows.filter(({ candidate }) => isCandidateComplete(candidate)).map(({ candidate }) => candidate.key)
+  const selectedRows = rows.filter(({ candidate }) => selectedKeys.includes(candidate.key))
+  const allReadySelected = readyKeys.length > 0 && readyKeys.every(key => selectedKeys.includes(key))
+
+  const toggleRow = (key) => {
+    setSelectedKeys(selectedKeys.includes(key)
+      ? selectedKeys.filter(selected => selected !== key)
+      : [...selectedKeys, key])
+  }
+
+  const handleApprove = () => {
+    // Rows edited into an incomplete state since they were ticked stay behind
+    onApprove(selectedRows.filter(({ candidate }) => isCandidateComplete(candidate)))
+    setSelectedKeys([])
+  }
+
+  const handleReject = (rejected) => {
+    onReject(rejected)
+    const rejectedKeys = rejected.map(({ candidate }) => candidate.key)
+    setSelectedKeys(selectedKeys.filter(key => !rejectedKeys.includes(key)))
+  }
+
+  return (
+    <div className="scan-queue">
+      <div className="scan-queue-header">
+        <h3>Batch Scan ({finished + counts.review} of {items.length} scanned)</h3>
+        {finished > 0 && (
+          <button className="scan-queue-clear" onClick={onClearFinished}>Clear finished</button>
+        )}
+      </div>
+
+      <ul className="scan-queue-items">
+        {items.map(item => (
+          <li key={item.id} className={`scan-queue-item ${item.status}`}>
+            <span className="scan-queue-icon">{STATUS_ICONS[item.status]}</span>
+            <div className="scan-queue-file">
+              <span className="scan-queue-name" title={item.name}>{item.name}</span>
+              <span className="scan-queue-status">
+                {SCAN_STATUSES[item.status]}
+                {item.status === 'extracting' && item.progress && (
+                  <> · {item.progress.label} {Math.round(item.progress.progress * 100)}%</>
+                )}
+                {item.status === 'review' && ` · ${item.candidates.length} to review`}
+                {item.status === 'done' && ` · ${item.created} reminder${item.created === 1 ? '' : 's'} created`}
+                {item.error && ` · ${item.error}`}
+              </span>
+            </div>
+            {item.status === 'failed' && (
+              <button onClick={() => onRetry(item.id)}>↻ Retry</button>
+            )}
+            {item.status !== 'extracting' && (
+              <button onClick={() => onRemove(item.id)} title="Remove from queue">✕</button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {rows.length > 0 && (
+        <div className="scan-review">
+          <div className="scan-review-toolbar">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={allReadySelected}
+                disabled={readyKeys.length === 0}
+                onChange={() => setSelectedKeys(allReadySelected ? [] : readyKeys)}
+              />
+              <span>Select all ready ({readyKeys.length})</span>
+            </label>
+            <button
+              className="approve-button"
+              onClick={handleApprove}
+              disabled={selectedRows.length === 0}
+            >
+              ✅ Approve selected ({selectedRows.length})
+            </button>
+            <button
+              className="reject-button"
+              onClick={() => handleReject(selectedRows)}
+              disabled={selectedRows.length === 0}
+            >
+              ✕ Reject selected
+            </button>
+          </div>
+
+          <div className="scan-review-table-wrapper">
+            <table className="scan-review-table">
+              <thead>
+                <tr>
+                  <th />
+                  <th>Bill</th>
+                  <th>Due</th>
+                  <th>First alert</th>
+                  <th>Amount</th>
+                  <th>Category</th>
+                  <th>File</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ item, candidate }) => {
+                  const ready = isCandidateComplete(candidate)
+
+                  if (editingKey === candidate.key) {
+                    return (
+                      <tr key={candidate.key}>
+                        <td colSpan={8}>
+                          <CandidateEditor
+                            candidate={candidate}
+                            onSave={(edited) => {
+                              onEditCandidate(item.id, candidate.key, edited)
+                              setEditingKey(null)
+                            }}
+                            onCancel={() => setEditingKey(null)}
+                          />
+                        </td>
+                      </tr>
+                    )
+                  }
+
+                  return (
+                    <tr key={candidate.key} className={ready ? '' : 'incomplete'}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selectedKeys.includes(candidate.key)}
+                          disabled={!ready}
+                          onChange={() => toggleRow(candidate.key)}
+                          title={ready ? 'Select' : 'Add a name and deadline date first'}
+                        />
+                      </td>
+                      <td>
+                        {candidate.billName || <em>Unnamed item</em>}
+                        {candidate.source === 'offline' && <span className="scan-review-flag" title="Found with offline rules">🔌</span>}
+                        {candidate.validationErrors?.length > 0 && (
+                          <span className="scan-review-flag" title="Check these details before approving">⚠️</span>
+                        )}
+                      </td>
+                      <td>{candidate.deadlineDate || <em>missing</em>}</td>
+                      <td>{candidate.deadlineDate ? buildOffsetFields(candidate.deadlineDate, reminderOffsets).date : '—'}</td>
+                      <td>
+                        {candidate.amount !== null && candidate.amount !== undefined
+                          ? formatMoney(candidate.amount, candidate.currency)
+                          : '—'}
+                      </td>
+                      <td>{candidate.category || '—'}</td>
+                      <td className="scan-review-file" title={candidate.email?.subject || item.name}>
+                        {candidate.email ? `✉️ ${candidate.email.subject || candidate.email.from}` : item.name}
+                        {candidate.pages?.length > 0 && (
+                          <> · {describePages(candidate.pages)}</>
+                        )}
+                      </td>
+                      <td className="scan-review-actions">
+                        <button onClick={() => setEditingKey(candidate.key)} title="Edit item">✏️</button>
+                        <button onClick={() => handleReject([{ item, candidate }])} title="Reject">✕</button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ScanQueue
@@ -0,0 +1,54 @@
+import React, { useState } from 'react'
+import { CATEGORIES, normalizeTags } from '../services/tagService'
+
+function TagFields({ tags, onChange }) {
+  const [newTag, setNewTag] = useState('')
+  const options = normalizeTags([...CATEGORIES, ...tags])
+
+  const toggleTag = (tag) => {
+    onChange(tags.includes(tag) ? tags.filter(item => item !== tag) : [...tags, tag])
+  }
+
+  const addTags = () => {
+    onChange(normalizeTags([...tags, ...normalizeTags(newTag)]))
+    setNewTag('')
+  }
+
+  return (
+    <div className="form-group tag-fields">
+      <label>Tags</label>
+      <div className="offset-options">
+        {options.map(tag => (
+          <label key={tag} className={`offset-option ${tags.includes(tag) ? 'selected' : ''}`}>
+            <input
+              type="checkbox"
+              checked={tags.includes(tag)}
+              onChange={() => toggleTag(tag)}
+            />
+            {tag}
+          </label>
+        ))}
+      </div>
+      <div className="tag-add-row">
+        <input
+          type="text"
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              addTags()
+            }
+          }}
+          placeholder="Add your own, e.g. car, family"
+          className="editor-input"
+        />
+        <button type="button" onClick={addTags} disabled={!newTag.trim()}>
+          Add
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default TagFields
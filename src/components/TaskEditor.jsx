@@ -0,0 +1,81 @@
+import React, { useState } from 'react'
+
+/**
+ * Title, date, time and description inputs shared by the suggestion editor
+ * and the reminder editor. Extra fields passed as children go above the
+ * description.
+ */
+export function TaskFields({ task, onChange, dateLabel = 'Date', dateHint, children }) {
+  return (
+    <>
+      <div className="editor-field">
+        <label>Title</label>
+        <input
+          type="text"
+          value={task.title}
+          onChange={(e) => onChange({ title: e.target.value })}
+          className="editor-input"
+        />
+      </div>
+      <div className="editor-row">
+        <div className="editor-field">
+          <label>{dateLabel}</label>
+          <input
+            type="date"
+            value={task.date}
+            onChange={(e) => onChange({ date: e.target.value })}
+            className="editor-input"
+          />
+          {dateHint && <small className="form-hint">{dateHint}</small>}
+        </div>
+        <div className="editor-field">
+          <label>Time</label>
+          <input
+            type="time"
+            value={task.time}
+            onChange={(e) => onChange({ time: e.target.value })}
+            className="editor-input"
+          />
+        </div>
+      </div>
+      {children}
+      <div className="editor-field">
+        <label>Description</label>
+        <textarea
+          value={task.description}
+          onChange={(e) => onChange({ description: e.target.value })}
+          className="editor-input"
+          rows={3}
+        />
+      </div>
+    </>
+  )
+}
+
+function TaskEditor({ task, onSave, onCancel }) {
+  const [editedTask, setEditedTask] = useState({
+    title: task.title,
+    date: task.date,
+    time: task.time || '',
+    description: task.description || ''
+  })
+
+  const handleSave = () => {
+    onSave(editedTask)
+  }
+
+  return (
+    <div className="task-editor">
+      <TaskFields
+        task={editedTask}
+        onChange={(changes) => setEditedTask({ ...editedTask, ...changes })}
+      />
+      <div className="editor-actions">
+        <button onClick={onCancel} className="cancel-button">Cancel</button>
+        <button onClick={handleSave} className="save-button">Save</button>
+      </div>
+    </div>
+  )
+}
+
+export default TaskEditor
@@ -0,0 +1,43 @@
+import React, { useMemo, useState } from 'react'
+import {
+  getDeviceTimeZone,
+  getSavedHomeTimeZone,
+  getTimeZoneLabel,
+  listTimeZones,
+  saveHomeTimeZone
+} from '../services/dateService'
+
+function TimeZoneSettings() {
+  const [homeTimeZone, setHomeTimeZone] = useState(() => getSavedHomeTimeZone() || '')
+  const [message, setMessage] = useState('')
+  const timeZones = useMemo(() => listTimeZones(), [])
+  const deviceTimeZone = getDeviceTimeZone()
+
+  const handleChange = (timeZone) => {
+    saveHomeTimeZone(timeZone || null)
+    setHomeTimeZone(timeZone)
+    setMessage(`New reminders use ${getTimeZoneLabel(timeZone || deviceTimeZone)}`)
+  }
+
+  return (
+    <div className="oauth-section time-zone-settings">
+      <p className="oauth-title">Home Time Zone</p>
+      <label className="settings-field">
+        <span>Time zone</span>
+        <select value={homeTimeZone} onChange={(e) => handleChange(e.target.value)}>
+          <option value="">Follow this device ({getTimeZoneLabel(deviceTimeZone)})</option>
+          {timeZones.map(timeZone => (
+            <option key={timeZone} value={timeZone}>{getTimeZoneLabel(timeZone)}</option>
+          ))}
+        </select>
+      </label>
+      <p className="notification-hint">
+        New reminders fire at their time in this zone, even while you travel.
+        Existing reminders keep the zone they were created in.
+      </p>
+      {message && <p className="notification-message">{message}</p>}
+    </div>
+  )
+}
+
+export default TimeZoneSettings
@@ -0,0 +1,88 @@
+import React, { useState } from 'react'
+import {
+  TRASH_RETENTION_OPTIONS,
+  getPurgeDate,
+  getTrashRetentionDays,
+  saveTrashRetentionDays
+} from '../services/trashService'
+import { formatDate, formatInstant } from '../services/dateService'
+import './TrashPanel.css'
+
+function TrashPanel({ trash, onRestore, onDeleteForever, onRetentionChange }) {
+  const [open, setOpen] = useState(false)
+  const [retentionDays, setRetentionDays] = useState(getTrashRetentionDays)
+
+  const sortedTrash = [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+
+  const handleRetentionChange = (value) => {
+    const days = Number(value)
+    saveTrashRetentionDays(days)
+    setRetentionDays(days)
+    onRetentionChange()
+  }
+
+  const handleDeleteForever = (reminder) => {
+    if (window.confirm(`Delete "${reminder.title}" for good? This cannot be undone.`)) {
+      onDeleteForever([reminder.id])
+    }
+  }
+
+  const handleEmpty = () => {
+    const count = trash.length
+    if (window.confirm(`Delete ${count} reminder${count === 1 ? '' : 's'} in the Trash for good? This cannot be undone.`)) {
+      onDeleteForever(trash.map(reminder => reminder.id))
+    }
+  }
+
+  return (
+    <div className="trash-panel">
+      <button className="trash-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+        🗑️ Trash ({trash.length}) <span>{open ? '▲' : '▼'}</span>
+      </button>
+
+      {open && (
+        <div className="trash-body">
+          <div className="trash-toolbar">
+            <label className="trash-retention">
+              <span>Delete for good after</span>
+              <select value={retentionDays} onChange={(e) => handleRetentionChange(e.target.value)}>
+                {TRASH_RETENTION_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <button className="danger" onClick={handleEmpty} disabled={trash.length === 0}>
+              Empty Trash
+            </button>
+          </div>
+
+          {sortedTrash.length === 0 ? (
+            <p className="trash-empty">The Trash is empty. Deleted reminders wait here before they are removed for good.</p>
+          ) : (
+            <ul className="trash-list">
+              {sortedTrash.map(reminder => {
+                const purgeAt = getPurgeDate(reminder, retentionDays)
+                return (
+                  <li key={reminder.id} className="trash-item">
+                    <div className="trash-item-info">
+                      <strong>{reminder.title}</strong>
+                      <span>
+                        Due {formatDate(reminder.deadlineDate || reminder.date)}
+                        {' · '}deleted {formatInstant(reminder.deletedAt)}
+                        {purgeAt && <> · removed for good {formatInstant(purgeAt)}</>}
+                      </span>
+                    </div>
+                    <button onClick={() => onRestore(reminder.id)}>↩️ Restore</button>
+                    <button className="danger" onClick={() => handleDeleteForever(reminder)}>Delete forever</button>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrashPanel
@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from 'react'
+import './UndoToast.css'
+
+const TOAST_DURATION_MS = 6000
+
+/**
+ * Shows the last change with an Undo (or Redo) button. A new toast replaces
+ * the previous one; each hides itself after a few seconds.
+ */
+function UndoToast({ toast, canUndo, canRedo, onUndo, onRedo }) {
+  const [hidden, setHidden] = useState(false)
+
+  useEffect(() => {
+    if (!toast) return undefined
+    setHidden(false)
+    const timeoutId = setTimeout(() => setHidden(true), TOAST_DURATION_MS)
+    return () => clearTimeout(timeoutId)
+  }, [toast])
+
+  if (!toast || hidden) return null
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{toast.message}</span>
+      {toast.action === 'undo' && canUndo && (
+        <button onClick={onUndo} title="Ctrl+Z">↩️ Undo</button>
+      )}
+      {toast.action === 'redo' && canRedo && (
+        <button onClick={onRedo} title="Ctrl+Shift+Z">↪️ Redo</button>
+      )}
+      <button className="undo-toast-dismiss" onClick={() => setHidden(true)} title="Dismiss">✕</button>
+    </div>
+  )
+}
+
+export default UndoToast
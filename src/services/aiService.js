@@ -1,210 +1,248 @@
 /**
  * AI Service for extracting information from documents
  *
- * This service uses Groq to extract dates, amounts,
- * and other relevant information from uploaded documents.
+ * This service uses the configured LLM provider (see llmClient.js) to extract
+ * dates, amounts, and other relevant information from uploaded documents.
  *
- * Note: You'll need to set up a Groq API key in your environment variables.
- * Create a .env file with: VITE_GROQ_API_KEY=your_api_key_here
+ * Note: Hosted providers need an API key in the RAKALL API server's .env,
+ * e.g. GROQ_API_KEY=your_api_key_here (see server/). Without one (or when
+ * the provider fails), text is read by the offline rule-based extractor
+ * instead.
  */
 
-import { createGroqChatCompletion } from './groqClient'
-
-export async function extractDocumentInfoFromText(text) {
-  const apiKey = import.meta.env.VITE_GROQ_API_KEY
-  if (!apiKey) {
-    throw new Error('Groq API key not configured. Set VITE_GROQ_API_KEY in .env and restart the dev server.')
-  }
-
-  if (!text || text.trim().length < 20) {
-    throw new Error('Document text is empty or unreadable. Try a text-based file or an image.')
-  }
-
-  try {
-    const prompt = `Extract task details from this document text and return ONLY valid JSON.
-Rules:
+import {
+  assertLlmConfigured,
+  formatLlmError,
+  getProviderLabel,
+  isLlmConfigured,
+  supportsVision
+} from './llmClient'
+import { DOCUMENT_SCHEMA, requestStructuredOutput } from './structuredOutputService'
+import { extractBillsOffline } from './offlineExtractionService'
+import { parseMoney, toCurrencyCode } from './moneyService'
+import { getToday } from './dateService'
+import { CATEGORIES, suggestCategory, toCategory } from './tagService'
+import { chunkDocument, describePages } from './documentChunkService'
+
+// A chunk that hits the API server's per-minute limit waits for the next
+// window instead of dropping to the offline rules; longer waits (the daily
+// limit) still fall back
+const MAX_RATE_LIMIT_WAIT_SECONDS = 60
+const MAX_RATE_LIMIT_RETRIES = 3
+
+// Built per request so "today" is never stale in a long-running tab
+function getBillListRules() {
+  return `Rules:
 - Return a single JSON object only (no markdown, no extra text)
+- A document can contain several deadlines (installments, a late fee date, a renewal, separate bills on one statement): list each one as its own item
 - Use YYYY-MM-DD for dates
 - If you cannot find a value, set it to null (except billName which should be a short title)
 - Prefer the actual due date over any reminder dates
 - Do NOT guess or infer values that are not explicitly stated
+- Do not list the same deadline twice
 
 JSON schema:
 {
-  "billName": "The task name or bill/service name",
-  "deadlineDate": "The due date or deadline date in YYYY-MM-DD format",
-  "time": "Time in HH:MM format if available, otherwise null",
-  "amount": "Any monetary amount mentioned (e.g., '$150.00')",
-  "description": "A brief description of the task or document"
+  "bills": [
+    {
+      "billName": "The task name or bill/service name (e.g., 'Electricity Bill', 'Installment 2 of 3')",
+      "deadlineDate": "The due date or deadline date in YYYY-MM-DD format",
+      "time": "Time in HH:MM format if available, otherwise null",
+      "amount": "The amount due for this deadline exactly as printed, with its currency symbol or code (e.g., '$150.00', '€1.234,56', 'NGN 25,000')",
+      "category": "One of: ${CATEGORIES.join(', ')} (null if none fits)",
+      "description": "A brief description of this deadline"
+    }
+  ]
 }
 
 IMPORTANT:
-- Extract the actual deadline/due date from the document (not a reminder date)
-- Look for terms like "Due Date", "Payment Due", "Deadline", "Pay By"
-- If a date is not explicitly mentioned, try to infer it from context
-- Today's date is ${new Date().toISOString().split('T')[0]}
-
-Document text:
-${text}`
-
-    const content = await createGroqChatCompletion({
-      model: 'llama-3.1-8b-instant',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.2,
-      max_tokens: 500
-    })
-    const extracted = parseJsonFromText(content)
-    const fallback = parseTextResponse(text)
-
-    return normalizeDocumentInfo({
-      billName: extracted.billName || extracted.title || fallback.billName || 'Document Reminder',
-      deadlineDate: extracted.deadlineDate || extracted.date || fallback.deadlineDate || null,
-      time: extracted.time || fallback.time || null,
-      amount: extracted.amount || fallback.amount || null,
-      description: extracted.description || fallback.description || ''
-    })
-  } catch (error) {
-    console.error('AI text extraction error:', error)
-    if (shouldUseMock(error)) {
-      throw new Error(formatGroqError(error, 'Groq quota exceeded. Please try again later.'))
-    }
-    throw new Error(formatGroqError(error, 'Failed to process document text'))
-  }
+- Extract the actual deadline/due dates from the document (not reminder dates)
+- Look for terms like "Due Date", "Payment Due", "Deadline", "Pay By", "Installment", "Late fee after", "Renews on"
+- If a date is not explicitly mentioned, try to infer it from context (e.g., "due in 30 days" from today's date)
+- Today's date is ${getToday()}`
 }
 
-export async function extractDocumentInfo(base64Image, mimeType) {
-  const apiKey = import.meta.env.VITE_GROQ_API_KEY
-  if (!apiKey) {
-    throw new Error('Groq API key not configured. Set VITE_GROQ_API_KEY in .env and restart the dev server.')
+/**
+ * Extracts every candidate deadline from document text.
+ * Returns an array of { billName, deadlineDate, time, amount, currency,
+ * category, description, pages, source, confidence }; `amount` is a number
+ * and `pages` lists the page numbers the deadline was found on (empty when
+ * the format has no pages). Offline results have source 'offline' and an
+ * `offlineReason`.
+ *
+ * Long documents are read in chunks (see documentChunkService); pass the
+ * extractor's `pages` to chunk on page boundaries. `onProgress` receives
+ * { label, progress } while the chunks are read or a rate limit is waited out.
+ */
+export async function extractDocumentInfoFromText(text, { pages, onProgress } = {}) {
+  if (!text || text.trim().length < 20) {
+    throw new Error('Document text is empty or unreadable. Try a text-based file or an image.')
   }
 
-  if (mimeType?.startsWith('image/')) {
-    throw new Error('Groq does not support image input. Upload a PDF/DOCX or paste text instead.')
+  const chunks = chunkDocument(pages?.length ? pages : [{ page: null, text }])
+  if (!isLlmConfigured()) {
+    return extractOffline(chunks, 'No AI provider configured')
   }
 
-  try {
-    const prompt = `Analyze this document (bill, invoice, receipt, or any document) and extract the following information in JSON format.
-Rules:
-- Return a single JSON object only (no markdown, no extra text)
-- Use YYYY-MM-DD for dates
-- If you cannot find a value, set it to null (except billName which should be a short title)
-- Prefer the actual due date over any reminder dates
-- Do NOT guess or infer values that are not explicitly stated
-- If multiple amounts exist, choose the total due amount
- - If the document does not include a due date or amount, return null for those fields
-
-JSON schema:
-              {
-                "billName": "The task name or bill/service name (e.g., 'Pay Electricity Bill')",
-                "deadlineDate": "The due date or deadline date in YYYY-MM-DD format (this is the actual deadline from the document)",
-                "time": "Time in HH:MM format if available, otherwise null",
-                "amount": "Any monetary amount mentioned (e.g., '$150.00')",
-                "description": "A brief description of the task or document"
-              }
-
-              IMPORTANT:
-              - Extract the actual deadline/due date from the document (not a reminder date)
-              - Look for terms like "Due Date", "Payment Due", "Deadline", "Pay By"
-              - If a date is not explicitly mentioned, try to infer it from context (e.g., "due in 30 days" from today's date)
-              - Today's date is ${new Date().toISOString().split('T')[0]}
-              - Return ONLY valid JSON`
-
-    const content = await createGroqChatCompletion({
-      model: 'llama-3.1-8b-instant',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.2,
-      max_tokens: 500
-    })
-    const extracted = parseJsonFromText(content)
-
-    return normalizeDocumentInfo({
-      billName: extracted.billName || extracted.title || 'Document Reminder',
-      deadlineDate: extracted.deadlineDate || extracted.date || null,
-      time: extracted.time || null,
-      amount: extracted.amount || null,
-      description: extracted.description || ''
-    })
-  } catch (error) {
-    console.error('AI extraction error:', error)
-    if (shouldUseMock(error)) {
-      throw new Error(formatGroqError(error, 'Groq quota exceeded. Please try again later.'))
+  const found = []
+  for (const [index, chunk] of chunks.entries()) {
+    if (chunks.length > 1) {
+      onProgress?.({
+        label: chunk.pages.length > 0
+          ? `Finding deadlines on ${describePages(chunk.pages)} of ${pages.length}`
+          : `Finding deadlines in part ${index + 1} of ${chunks.length}`,
+        progress: index / chunks.length
+      })
+    }
+    try {
+      found.push(...await extractChunkWhenAllowed(chunk, (seconds) => onProgress?.({
+        label: `Waiting ${seconds}s for the AI rate limit`,
+        progress: index / chunks.length
+      })))
+    } catch (error) {
+      // A failed part is read offline; the others keep their AI results
+      console.error('AI text extraction error, using offline extraction:', error)
+      found.push(...extractOffline([chunk], formatLlmError(error, 'AI provider unavailable')))
     }
-    throw new Error(formatGroqError(error, 'Failed to process document'))
   }
-}
-
-function shouldUseMock(error) {
-  if (!isMockEnabled()) {
-    return false
+  if (chunks.length > 1) {
+    onProgress?.({ label: 'Finding deadlines', progress: 1 })
   }
-  const status = error?.status || error?.response?.status
-  const message = error?.message || ''
 
-  return status === 429 || status === 503 || /quota|overloaded|resource_exhausted|rate/i.test(message)
+  if (found.length === 0) {
+    return extractOffline(chunks, 'The AI found no deadlines')
+  }
+  return dedupeBills(found)
 }
 
-function formatGroqError(error, fallbackMessage) {
-  const status = error?.status || error?.response?.status
-  const message = error?.message || ''
-
-  if (status === 401 || /invalid_api_key/i.test(message)) {
-    return 'Groq API key is invalid. Update VITE_GROQ_API_KEY and restart the dev server.'
+async function extractChunkWhenAllowed(chunk, onWait) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await extractChunk(chunk)
+    } catch (error) {
+      const wait = error.code === 'RATE_LIMITED' ? error.retryAfter : null
+      if (!wait || wait > MAX_RATE_LIMIT_WAIT_SECONDS || attempt >= MAX_RATE_LIMIT_RETRIES) throw error
+      onWait(wait)
+      await new Promise(resolve => setTimeout(resolve, wait * 1000))
+    }
   }
+}
 
-  if (status === 429 || /quota|resource_exhausted|rate|rate_limit/i.test(message)) {
-    return 'Groq quota exceeded. Check your plan and billing, or try again later.'
-  }
+async function extractChunk(chunk) {
+  const paged = chunk.pages.length > 0
+  const prompt = `Extract every bill, payment or deadline from this document text and return ONLY valid JSON.
+${getBillListRules()}${paged ? '\n- Each page starts with a "[Page N]" line: add "page": N to each item, the page its deadline is printed on' : ''}
 
-  if (status === 503 || /overloaded/i.test(message)) {
-    return 'Groq is temporarily overloaded. Please try again in a moment.'
+Document text:
+${chunk.text}`
+
+  const offline = extractBillsOffline(chunk.text)
+  const fallback = offline.length === 1 ? offline[0] : {}
+  const { items: bills, errors, usedFallback } = await requestStructuredOutput({
+    messages: [{ role: 'user', content: prompt }],
+    schema: DOCUMENT_SCHEMA,
+    temperature: 0.2,
+    max_tokens: 1000,
+    fallback: () => []
+  })
+
+  // Unusable AI reply: keep the offline result and say why it was used
+  if (usedFallback) {
+    return extractOffline([chunk], 'The AI reply could not be used', errors)
   }
 
-  return message || fallbackMessage
+  return bills.map(extracted => normalizeDocumentInfo({
+    ...extracted,
+    billName: extracted.billName || fallback.billName,
+    deadlineDate: extracted.deadlineDate || (bills.length === 1 ? fallback.deadlineDate : null),
+    amount: extracted.amount ?? (bills.length === 1 ? fallback.amount : null),
+    currency: extracted.currency ?? (bills.length === 1 ? fallback.currency : null),
+    description: extracted.description || (bills.length === 1 ? fallback.description : ''),
+    // Trust the model's page only when it is one of this chunk's pages
+    pages: chunk.pages.includes(extracted.page) ? [extracted.page] : chunk.pages
+  }))
 }
 
-function isMockEnabled() {
-  return import.meta.env.VITE_ALLOW_MOCK_AI === 'true'
-}
+/**
+ * Extracts every candidate deadline from a document image (vision providers).
+ * Returns the same list shape as extractDocumentInfoFromText.
+ */
+export async function extractDocumentInfo(base64Image, mimeType) {
+  assertLlmConfigured()
 
-function parseJsonFromText(content) {
-  if (!content) {
-    throw new Error('Groq response was empty. Please try again.')
+  if (mimeType?.startsWith('image/') && !supportsVision()) {
+    throw new Error(`${getProviderLabel()} is not set up for image input. Enable a vision-capable model in Settings, or scan the image with OCR.`)
   }
 
-  const jsonBlockMatch = content.match(/```json\\s*([\\s\\S]*?)\\s*```/i)
-    || content.match(/```\\s*([\\s\\S]*?)\\s*```/i)
-  const raw = jsonBlockMatch ? jsonBlockMatch[1] : content
+  try {
+    const prompt = `Analyze this document (bill, invoice, statement, letter, or any document) and extract every bill, payment or deadline in JSON format.
+${getBillListRules()}
+- If an item has no due date or amount, return null for those fields
+- Return ONLY valid JSON`
+
+    const { items: bills } = await requestStructuredOutput({
+      messages: [{
+        role: 'user',
+        content: prompt,
+        images: [{ mimeType, data: base64Image }]
+      }],
+      schema: DOCUMENT_SCHEMA,
+      temperature: 0.2,
+      max_tokens: 1000
+    })
 
-  const jsonStart = raw.indexOf('{')
-  const jsonEnd = raw.lastIndexOf('}')
-  const jsonString = jsonStart >= 0 && jsonEnd >= 0 ? raw.slice(jsonStart, jsonEnd + 1) : raw
+    return dedupeBills(bills.map(normalizeDocumentInfo))
+  } catch (error) {
+    console.error('AI extraction error:', error)
+    throw new Error(formatLlmError(error, 'Failed to process document'))
+  }
+}
 
-  return JSON.parse(jsonString)
+// The same deadline found in several chunks (or listed twice) is kept once,
+// with the pages of every sighting
+function dedupeBills(bills) {
+  const byKey = new Map()
+  bills.forEach(bill => {
+    const key = `${bill.deadlineDate}|${bill.amount}|${bill.billName.toLowerCase()}`
+    const seen = byKey.get(key)
+    if (seen) {
+      seen.pages = [...new Set([...seen.pages, ...bill.pages])].sort((a, b) => a - b)
+    } else {
+      byKey.set(key, bill)
+    }
+  })
+  return [...byKey.values()]
 }
 
-function parseTextResponse(text) {
-  // Fallback parser for when JSON parsing fails
-  const dateMatch = text.match(/(\d{4}-\d{2}-\d{2})|(\d{1,2}\/\d{1,2}\/\d{4})/)
-  const amountMatch = text.match(/\$?[\d,]+\.?\d{0,2}/)
-  const billNameMatch = text.match(/(billName|title)["\s:]+([^"}\n]+)/i)
-  
-  return {
-    billName: billNameMatch ? billNameMatch[2].trim() : 'Document Reminder',
-    deadlineDate: dateMatch ? formatDate(dateMatch[0]) : formatDateForInput(new Date()),
-    time: null,
-    amount: amountMatch ? amountMatch[0] : null,
-    description: text.substring(0, 200)
-  }
+// Offline rules read page by page so each finding keeps its page
+function extractOffline(chunks, reason, validationErrors = []) {
+  return dedupeBills(chunks.flatMap(chunk => chunk.parts).flatMap(part => (
+    extractBillsOffline(part.text).map(bill => ({
+      ...normalizeDocumentInfo({ ...bill, validationErrors, pages: part.page ? [part.page] : [] }),
+      offlineReason: reason
+    }))
+  )))
 }
 
 function normalizeDocumentInfo(info) {
-  return {
+  const money = parseMoney(info.amount, { defaultCurrency: toCurrencyCode(info.currency) })
+  const normalized = {
     billName: info.billName || 'Document Reminder',
     deadlineDate: normalizeDate(info.deadlineDate),
     time: normalizeTime(info.time),
-    amount: normalizeAmount(info.amount),
-    description: info.description || ''
+    amount: money?.amount ?? null,
+    currency: money?.currency ?? null,
+    category: toCategory(info.category) || suggestCategory(info.billName, info.description),
+    description: info.description || '',
+    pages: info.pages || [],
+    confidence: info.confidence ?? null,
+    source: info.source || 'ai'
   }
+
+  // Drop errors for fields that were filled in from the document text
+  normalized.validationErrors = (info.validationErrors || [])
+    .filter(error => !error.field || !(error.field in normalized) || normalized[error.field] === null)
+  return normalized
 }
 
 function normalizeDate(value) {
@@ -220,65 +258,3 @@ function normalizeTime(value) {
   }
   return null
 }
-
-function normalizeAmount(value) {
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    return value
-  }
-  if (typeof value === 'string') {
-    const match = value.replace(/,/g, '').match(/(\d+(\.\d+)?)/)
-    if (match) {
-      return match[1]
-    }
-  }
-  return null
-}
-
-function formatDate(dateString) {
-  // Convert various date formats to YYYY-MM-DD
-  if (dateString.includes('-')) {
-    return dateString.split(' ')[0]
-  }
-  if (dateString.includes('/')) {
-    const parts = dateString.split('/')
-    if (parts.length === 3) {
-      const month = parts[0].padStart(2, '0')
-      const day = parts[1].padStart(2, '0')
-      const year = parts[2]
-      return `${year}-${month}-${day}`
-    }
-  }
-  return formatDateForInput(new Date())
-}
-
-function formatDateForInput(date) {
-  return date.toISOString().split('T')[0]
-}
-
-function mockExtractDocumentInfo() {
-  // Mock extraction for testing without API key
-  const mockBillNames = [
-    'Electricity Bill',
-    'Credit Card Statement',
-    'Insurance Premium',
-    'Phone Bill',
-    'Rent Payment',
-    'Water Bill',
-    'Internet Service'
-  ]
-  
-  const mockAmounts = ['$150.00', '$299.99', '$89.50', '$45.00', '$1200.00']
-  
-  // Generate a deadline date 7-30 days from now
-  const daysFromNow = Math.floor(Math.random() * 23) + 7
-  const deadlineDate = new Date()
-  deadlineDate.setDate(deadlineDate.getDate() + daysFromNow)
-  
-  return {
-    billName: mockBillNames[Math.floor(Math.random() * mockBillNames.length)],
-    deadlineDate: formatDateForInput(deadlineDate),
-    time: '09:00',
-    amount: mockAmounts[Math.floor(Math.random() * mockAmounts.length)],
-    description: 'Extracted from document. Please verify the details.'
-  }
-}
@@ -0,0 +1,104 @@
+/**
+ * Bulk operations on selected reminders
+ *
+ * `buildBulkChange` turns an action on a selection into one change:
+ * { updates: Map<id, fields>, deleteIds: [id] }. `applyBulkChange` applies it
+ * to the reminder list in a single step (deleted reminders go to the Trash),
+ * so the whole action is one undo entry in the app history.
+ */
+
+import { addDaysToDate } from './dateService'
+import { rescheduleReminder } from './calendarService'
+import { getDueDate } from './paymentService'
+import { completeOccurrence, isRecurring } from './recurrenceService'
+import { buildOffsetFields } from './reminderOffsetService'
+import { moveToTrash } from './trashService'
+import { getReminderTags, normalizeTag, normalizeTags } from './tagService'
+
+export const BULK_ACTIONS = {
+  complete: 'Complete',
+  delete: 'Delete',
+  shift: 'Reschedule',
+  offsets: 'Change alerts',
+  tag: 'Add tag',
+  untag: 'Remove tag'
+}
+
+/**
+ * `options` holds the action's input: { days } for 'shift', { offsets } for
+ * 'offsets' and { tag } for 'tag' / 'untag'.
+ */
+export function buildBulkChange(reminders, action, options = {}) {
+  const updates = new Map()
+  const deleteIds = []
+
+  reminders.forEach(reminder => {
+    if (action === 'delete') {
+      deleteIds.push(reminder.id)
+      return
+    }
+
+    const fields = buildReminderUpdate(reminder, action, options)
+    if (fields) updates.set(reminder.id, fields)
+  })
+
+  return { updates, deleteIds }
+}
+
+export function applyBulkChange(reminders, { updates, deleteIds }, now = new Date()) {
+  const removed = new Set(deleteIds)
+  const updatedAt = now.toISOString()
+
+  return reminders.map(reminder => {
+    if (removed.has(reminder.id)) return moveToTrash(reminder, now)
+    return updates.has(reminder.id)
+      ? { ...reminder, ...updates.get(reminder.id), updatedAt }
+      : reminder
+  })
+}
+
+export function describeBulkChange(action, count) {
+  const noun = `${count} reminder${count === 1 ? '' : 's'}`
+  const descriptions = {
+    complete: `Completed ${noun}`,
+    delete: `Moved ${noun} to Trash`,
+    shift: `Rescheduled ${noun}`,
+    offsets: `Changed alerts on ${noun}`,
+    tag: `Tagged ${noun}`,
+    untag: `Untagged ${noun}`
+  }
+  return descriptions[action]
+}
+
+function buildReminderUpdate(reminder, action, { days, offsets, tag }) {
+  switch (action) {
+    case 'complete':
+      if (reminder.completed) return null
+      // Repeating reminders roll forward, like ticking the card's checkbox
+      return isRecurring(reminder)
+        ? { ...completeOccurrence(reminder), snoozedUntil: null }
+        : { completed: true }
+    case 'shift': {
+      const dueDate = getDueDate(reminder)
+      if (!days || !dueDate) return null
+      return rescheduleReminder(reminder, { kind: 'deadline', date: dueDate }, addDaysToDate(dueDate, days))
+    }
+    case 'offsets': {
+      const deadlineDate = getDueDate(reminder)
+      if (!deadlineDate || !offsets?.length) return null
+      return { deadlineDate, ...buildOffsetFields(deadlineDate, offsets), snoozedUntil: null }
+    }
+    case 'tag': {
+      const tags = getReminderTags(reminder)
+      const added = normalizeTag(tag)
+      return added && !tags.includes(added) ? { tags: normalizeTags([...tags, added]) } : null
+    }
+    case 'untag': {
+      const tags = getReminderTags(reminder)
+      const removed = normalizeTag(tag)
+      return tags.includes(removed) ? { tags: tags.filter(item => item !== removed) } : null
+    }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Calendar layout for the month, week and agenda views
+ *
+ * Each reminder is placed on the calendar as entries: one per alert and one
+ * for its deadline. Days between the first alert and the deadline get a
+ * 'span' entry, so the views can draw the link between them. All dates are
+ * YYYY-MM-DD calendar values; weeks start on Sunday.
+ *
+ * Dropping an entry on another day goes through `rescheduleReminder`, which
+ * returns the update for `onUpdate` the same way the editor does.
+ */
+
+import { addDaysToDate, getDaysBetween } from './dateService'
+import { buildOffsetFields, getAlertDates, getReminderOffsets } from './reminderOffsetService'
+import { movePaymentToDueDate } from './paymentService'
+
+export const CALENDAR_VIEWS = {
+  list: 'List',
+  month: 'Month',
+  week: 'Week',
+  agenda: 'Agenda'
+}
+
+export const AGENDA_DAYS = 30
+
+export function getWeekday(date) {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+export function getWeekStart(date) {
+  return addDaysToDate(date, -getWeekday(date))
+}
+
+export function getWeekDates(date) {
+  const start = getWeekStart(date)
+  return Array.from({ length: 7 }, (_, index) => addDaysToDate(start, index))
+}
+
+/**
+ * The first day of the month `months` away from the month of `date`.
+ */
+export function addMonthsToDate(date, months) {
+  const [year, month] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10)
+}
+
+/**
+ * Full weeks covering the month of `date`: [[7 dates], ...].
+ */
+export function getMonthGrid(date) {
+  const first = addMonthsToDate(date, 0)
+  const last = addDaysToDate(addMonthsToDate(date, 1), -1)
+  const weeks = []
+  for (let start = getWeekStart(first); start <= last; start = addDaysToDate(start, 7)) {
+    weeks.push(getWeekDates(start))
+  }
+  return weeks
+}
+
+/**
+ * The calendar entries of one reminder:
+ * [{ key, reminder, kind: 'alert' | 'deadline' | 'span', date, time, offset }].
+ * An alert on the deadline day is folded into the deadline entry (`hasAlert`).
+ */
+export function getCalendarEntries(reminder) {
+  const deadline = reminder.deadlineDate || reminder.date
+  const alerts = getAlertDates(reminder)
+  const entries = alerts
+    .filter(alert => alert.date !== deadline)
+    .map(alert => ({
+      key: `${reminder.id}-alert-${alert.date}`,
+      reminder,
+      kind: 'alert',
+      date: alert.date,
+      time: alert.time,
+      offset: alert.offset
+    }))
+
+  entries.push({
+    key: `${reminder.id}-deadline`,
+    reminder,
+    kind: 'deadline',
+    date: deadline,
+    time: reminder.time,
+    offset: null,
+    hasAlert: alerts.some(alert => alert.date === deadline)
+  })
+
+  const firstAlert = alerts[0]?.date
+  if (firstAlert && firstAlert < deadline) {
+    for (let date = addDaysToDate(firstAlert, 1); date < deadline; date = addDaysToDate(date, 1)) {
+      if (!alerts.some(alert => alert.date === date)) {
+        entries.push({ key: `${reminder.id}-span-${date}`, reminder, kind: 'span', date })
+      }
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Entries of every reminder between `from` and `to` (inclusive), by date:
+ * Map<date, entries>, each day's entries sorted by time with spans last.
+ */
+export function groupEntriesByDate(reminders, from, to) {
+  const byDate = new Map()
+  reminders.forEach(reminder => {
+    getCalendarEntries(reminder).forEach(entry => {
+      if (entry.date < from || entry.date > to) return
+      if (!byDate.has(entry.date)) byDate.set(entry.date, [])
+      byDate.get(entry.date).push(entry)
+    })
+  })
+
+  byDate.forEach(entries => entries.sort(compareEntries))
+  return byDate
+}
+
+/**
+ * The update that moves `entry` to `toDate`, or null when nothing changes.
+ * Offset alerts and the deadline move together, keeping the offsets; a single
+ * custom alert moves on its own, taking the deadline along if it would pass it.
+ */
+export function rescheduleReminder(reminder, entry, toDate) {
+  const days = getDaysBetween(entry.date, toDate)
+  if (days === 0 || entry.kind === 'span') return null
+
+  if (!reminder.deadlineDate) {
+    return { date: toDate, snoozedUntil: null }
+  }
+
+  const offsets = getReminderOffsets(reminder)
+  let updates
+  if (entry.kind === 'deadline' || offsets.length > 0) {
+    const deadlineDate = addDaysToDate(reminder.deadlineDate, days)
+    updates = offsets.length > 0
+      ? { deadlineDate, ...buildOffsetFields(deadlineDate, offsets) }
+      : { deadlineDate, date: addDaysToDate(reminder.date, days) }
+  } else {
+    updates = {
+      date: toDate,
+      deadlineDate: toDate > reminder.deadlineDate ? toDate : reminder.deadlineDate
+    }
+  }
+
+  return {
+    ...updates,
+    ...movePaymentToDueDate(reminder, updates.deadlineDate),
+    snoozedUntil: null
+  }
+}
+
+function compareEntries(a, b) {
+  if ((a.kind === 'span') !== (b.kind === 'span')) return a.kind === 'span' ? 1 : -1
+  return (a.time || '').localeCompare(b.time || '')
+}
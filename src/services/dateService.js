@@ -0,0 +1,207 @@
+/**
+ * Date and time-zone helpers shared by every component and service
+ *
+ * Reminders store calendar values: `date` / `deadlineDate` as YYYY-MM-DD and
+ * `time` as HH:MM, plus the IANA `timeZone` they belong to. Those values are
+ * only turned into an instant (a Date) when something has to happen at a
+ * moment in time: scheduling, "is it past?", sorting. Never build a calendar
+ * date with `toISOString()` — that is the UTC day, which is yesterday or
+ * tomorrow for part of every day outside UTC.
+ *
+ * New reminders take the home time zone from Settings (the device zone by
+ * default), so a deadline set at home still fires at 09:00 home time while
+ * travelling.
+ */
+
+import { format, parseISO } from 'date-fns'
+
+export const DEFAULT_TIME = '09:00'
+
+const HOME_TIME_ZONE_KEY = 'rakall-home-time-zone'
+const FALLBACK_TIME_ZONE = 'UTC'
+
+const partsFormatters = new Map()
+
+export function getDeviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || FALLBACK_TIME_ZONE
+  } catch (error) {
+    return FALLBACK_TIME_ZONE
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * The zone picked in Settings, or null when following the device.
+ */
+export function getSavedHomeTimeZone() {
+  try {
+    const saved = localStorage.getItem(HOME_TIME_ZONE_KEY)
+    return isValidTimeZone(saved) ? saved : null
+  } catch (error) {
+    return null
+  }
+}
+
+export function saveHomeTimeZone(timeZone) {
+  if (timeZone && isValidTimeZone(timeZone)) {
+    localStorage.setItem(HOME_TIME_ZONE_KEY, timeZone)
+  } else {
+    localStorage.removeItem(HOME_TIME_ZONE_KEY)
+  }
+}
+
+export function getHomeTimeZone() {
+  return getSavedHomeTimeZone() || getDeviceTimeZone()
+}
+
+export function getReminderTimeZone(reminder) {
+  return isValidTimeZone(reminder?.timeZone) ? reminder.timeZone : getHomeTimeZone()
+}
+
+/**
+ * Stamps the home time zone on reminders that have none (new reminders and
+ * records saved before reminders carried a zone).
+ */
+export function withTimeZone(reminder) {
+  if (isValidTimeZone(reminder.timeZone)) return reminder
+  return { ...reminder, timeZone: getHomeTimeZone() }
+}
+
+export function listTimeZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return [...new Set([getDeviceTimeZone(), ...zones, FALLBACK_TIME_ZONE])].sort()
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone:
+ * { date: 'YYYY-MM-DD', time: 'HH:MM', hour, minute }.
+ */
+export function getZonedParts(instant, timeZone = getHomeTimeZone()) {
+  const values = {}
+  getPartsFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    values[type] = value
+  })
+
+  // Some engines print midnight as hour 24
+  const hour = Number(values.hour) % 24
+  const minute = Number(values.minute)
+  return {
+    date: `${values.year}-${values.month}-${values.day}`,
+    time: `${String(hour).padStart(2, '0')}:${values.minute}`,
+    hour,
+    minute
+  }
+}
+
+/**
+ * Today's calendar date in a time zone, as YYYY-MM-DD.
+ */
+export function getToday(timeZone = getHomeTimeZone(), now = new Date()) {
+  return getZonedParts(now, timeZone).date
+}
+
+/**
+ * The instant at which `time` on `date` happens in `timeZone`. Wall times
+ * skipped by a DST jump are moved forward by the length of the jump.
+ */
+export function zonedTimeToDate(date, time = DEFAULT_TIME, timeZone = getHomeTimeZone()) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '')
+  const timeMatch = /^(\d{2}):(\d{2})/.exec(time || DEFAULT_TIME)
+  if (!dateMatch || !timeMatch) return new Date(NaN)
+
+  const [, year, month, day] = dateMatch.map(Number)
+  const [, hours, minutes] = timeMatch.map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes)
+
+  // Guess with the offset at the wall-clock time, then correct once for DST
+  let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone)
+  const offset = getTimeZoneOffset(new Date(instant), timeZone)
+  instant = wallClock - offset
+  return new Date(instant)
+}
+
+/**
+ * The instant a reminder (or one of its alerts) fires.
+ */
+export function getReminderInstant(reminder, date = reminder.date, time = reminder.time) {
+  return zonedTimeToDate(date, time || DEFAULT_TIME, getReminderTimeZone(reminder))
+}
+
+/**
+ * Milliseconds to add to UTC to get wall-clock time in `timeZone` at `instant`.
+ */
+export function getTimeZoneOffset(instant, timeZone) {
+  const { date, time } = getZonedParts(instant, timeZone)
+  const [year, month, day] = date.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  const seconds = instant.getUTCSeconds()
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds)
+  return asUtc - (instant.getTime() - instant.getUTCMilliseconds())
+}
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD strings, independent of any time zone.
+ */
+export function addDaysToDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
+
+export function getDaysBetween(fromDate, toDate) {
+  const toUtc = (date) => {
+    const [year, month, day] = date.split('-').map(Number)
+    return Date.UTC(year, month - 1, day)
+  }
+  return Math.round((toUtc(toDate) - toUtc(fromDate)) / 86400000)
+}
+
+/**
+ * Formats a YYYY-MM-DD calendar date with a date-fns pattern.
+ */
+export function formatDate(date, pattern = 'MMM dd, yyyy') {
+  return format(parseISO(date), pattern)
+}
+
+/**
+ * Formats an instant as wall-clock time in `timeZone` with a date-fns pattern.
+ */
+export function formatInstant(instant, pattern = 'MMM dd, HH:mm', timeZone = getDeviceTimeZone()) {
+  const { date, time } = getZonedParts(new Date(instant), timeZone)
+  return format(parseISO(`${date}T${time}`), pattern)
+}
+
+/**
+ * A Date at local midnight of a calendar date, for date-fns calendar math.
+ */
+export function toLocalCalendarDate(date) {
+  return parseISO(date)
+}
+
+export function getTimeZoneLabel(timeZone) {
+  return timeZone.replace(/_/g, ' ')
+}
+
+function getPartsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }))
+  }
+  return partsFormatters.get(timeZone)
+}
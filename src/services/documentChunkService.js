@@ -0,0 +1,114 @@
+/**
+ * Long-document chunking
+ *
+ * Document text is split into chunks that fit one extraction prompt, so a
+ * 60-page contract is read in full instead of being cut off. Chunks follow
+ * page boundaries where the extractor knows them (PDFs) and only split a page
+ * when it is too long on its own:
+ *
+ *   { pages: [3, 4], parts: [{ page, text }], text }
+ *
+ * `text` carries a "[Page N]" line before each page so the model can say
+ * where a deadline was printed. Token counts are estimated (about four
+ * characters per token), which is close enough to stay under the budget.
+ */
+
+export const MAX_CHUNK_TOKENS = 3000
+const CHARS_PER_TOKEN = 4
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Groups `segments` ([{ page, text }], page null when unknown) into chunks of
+ * at most `maxTokens` estimated tokens.
+ */
+export function chunkDocument(segments, { maxTokens = MAX_CHUNK_TOKENS } = {}) {
+  const chunks = []
+  let parts = []
+  let tokens = 0
+
+  const flush = () => {
+    if (parts.length > 0) chunks.push(buildChunk(parts))
+    parts = []
+    tokens = 0
+  }
+
+  segments
+    .filter(segment => segment.text && segment.text.trim())
+    .flatMap(segment => splitSegment(segment, maxTokens))
+    .forEach(part => {
+      const partTokens = estimateTokens(formatPart(part))
+      if (tokens + partTokens > maxTokens) flush()
+      parts.push(part)
+      tokens += partTokens
+    })
+  flush()
+
+  return chunks
+}
+
+/**
+ * "page 3" / "pages 3–5" for a sorted list of page numbers; '' when unknown.
+ */
+export function describePages(pages = []) {
+  if (pages.length === 0) return ''
+  if (pages.length === 1) return `page ${pages[0]}`
+  const ranges = []
+  pages.forEach(page => {
+    const last = ranges[ranges.length - 1]
+    if (last && page === last[1] + 1) {
+      last[1] = page
+    } else {
+      ranges.push([page, page])
+    }
+  })
+  return `pages ${ranges.map(([start, end]) => (start === end ? start : `${start}–${end}`)).join(', ')}`
+}
+
+function buildChunk(parts) {
+  const pages = [...new Set(parts.map(part => part.page).filter(page => page !== null && page !== undefined))]
+  return {
+    pages,
+    parts,
+    text: parts.map(formatPart).join('\n\n')
+  }
+}
+
+function formatPart({ page, text, continued }) {
+  if (page === null || page === undefined) return text
+  return `[Page ${page}${continued ? ', continued' : ''}]\n${text}`
+}
+
+// A page longer than the budget is split on line breaks (or hard-cut when a
+// single line is too long)
+function splitSegment(segment, maxTokens) {
+  const text = segment.text.trim()
+  // Leave room for the "[Page N]" line
+  const maxChars = (maxTokens - 10) * CHARS_PER_TOKEN
+  if (text.length <= maxChars) return [{ page: segment.page ?? null, text }]
+
+  const pieces = []
+  let current = ''
+  text.split('\n')
+    .flatMap(line => cutLine(line, maxChars))
+    .forEach(line => {
+      if (current && current.length + line.length + 1 > maxChars) {
+        pieces.push(current)
+        current = ''
+      }
+      current = current ? `${current}\n${line}` : line
+    })
+  if (current.trim()) pieces.push(current)
+
+  return pieces.map((piece, index) => ({ page: segment.page ?? null, text: piece, continued: index > 0 }))
+}
+
+function cutLine(line, maxChars) {
+  const pieces = []
+  for (let start = 0; start < line.length; start += maxChars) {
+    pieces.push(line.slice(start, start + maxChars))
+  }
+  return pieces.length > 0 ? pieces : ['']
+}
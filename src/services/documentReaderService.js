@@ -0,0 +1,129 @@
+/**
+ * Document Reader Service
+ *
+ * Turns an uploaded file into extracted bills: vision-capable providers read
+ * photos directly, photos are OCRed otherwise, and every other format is
+ * turned into text by its extractor (see fileExtractorService) and sent
+ * through the text extractor. Saved emails (.eml / .mbox) are read message by
+ * message: readable attachments first, the body text when they yield nothing. Bills found in an
+ * email carry `email` (sender, subject, date, Message-ID) and the sender as
+ * `payee`. Shared by the single-file scanner and the batch scan queue.
+ */
+
+import { extractDocumentInfo, extractDocumentInfoFromText } from './aiService'
+import { isLlmConfigured, supportsVision } from './llmClient'
+import { recognizeImage } from './ocrService'
+import { getSenderName, isEmailFile, readEmailFile } from './emailService'
+import { extractFileText, findExtractor } from './fileExtractorService'
+
+/**
+ * Extracts the bills in `file`.
+ * `onProgress` receives { label, progress } while pages are read, OCR runs,
+ * the chunks of a long document are sent for extraction or emails are read
+ * (progress 0-1).
+ * Returns { bills, ocrPages: [{ page, confidence }] }.
+ */
+export async function scanDocument(file, { onProgress } = {}) {
+  if (isEmailFile(file)) {
+    return { bills: await scanEmailFile(file, { onProgress }), ocrPages: [] }
+  }
+
+  if (file.type.startsWith('image/') && supportsVision() && isLlmConfigured()) {
+    // Vision-capable providers read the image directly
+    try {
+      const base64 = await fileToBase64(file)
+      return { bills: await extractDocumentInfo(base64, file.type), ocrPages: [] }
+    } catch (visionError) {
+      // Fall back to OCR and text extraction (offline rules if need be)
+      console.warn('Vision extraction failed, reading the image with OCR:', visionError)
+    }
+  }
+
+  if (file.type.startsWith('image/')) {
+    const result = await recognizeImage(file, {
+      onProgress: (progress) => onProgress?.({ label: 'Reading photo', progress })
+    })
+    const bills = await extractDocumentInfoFromText(result.text, { onProgress })
+    return { bills, ocrPages: [{ page: 1, confidence: result.confidence }] }
+  }
+
+  const { text, pages, ocrPages } = await extractFileText(file, { onProgress })
+  return { bills: await extractDocumentInfoFromText(text, { pages, onProgress }), ocrPages }
+}
+
+async function scanEmailFile(file, { onProgress } = {}) {
+  const messages = await readEmailFile(file)
+  if (messages.length === 0) {
+    throw new Error(`No email messages found in ${file.name}`)
+  }
+
+  const bills = []
+  let failures = 0
+  let lastError = null
+  for (const [index, message] of messages.entries()) {
+    onProgress?.({
+      label: messages.length > 1 ? `Reading email ${index + 1} of ${messages.length}` : 'Reading email',
+      progress: index / messages.length
+    })
+    try {
+      bills.push(...await scanEmailMessage(message))
+    } catch (error) {
+      console.warn(`Skipping email "${message.subject || '(no subject)'}":`, error)
+      failures += 1
+      lastError = error
+    }
+  }
+  // Nothing could be read at all: report why instead of "no bills found"
+  if (failures === messages.length) throw lastError
+  onProgress?.({ label: 'Reading email', progress: 1 })
+  return bills
+}
+
+async function scanEmailMessage(message) {
+  const payee = getSenderName(message.from) || null
+  const email = {
+    from: payee,
+    fromAddress: message.from.address,
+    subject: message.subject,
+    date: message.date,
+    messageId: message.messageId
+  }
+  const found = []
+
+  // Logos and other inline images are left out; only document formats are read
+  for (const attachment of message.attachments.filter(findExtractor)) {
+    try {
+      const { text, pages } = await extractFileText(attachment)
+      if (!text.trim()) continue
+      const bills = await extractDocumentInfoFromText(text, { pages })
+      found.push(...bills.map(bill => ({ ...bill, email: { ...email, attachment: attachment.name } })))
+    } catch (error) {
+      console.warn(`Skipping attachment ${attachment.name}:`, error)
+    }
+  }
+
+  // Bills sent in the body itself (or as a link) rather than attached, or
+  // whose attachments could not be read
+  if (found.length === 0 && message.text) {
+    const header = [payee && `From: ${payee}`, message.subject && `Subject: ${message.subject}`]
+      .filter(Boolean)
+      .join('\n')
+    const bills = await extractDocumentInfoFromText(`${header}\n\n${message.text}`)
+    found.push(...bills.map(bill => ({ ...bill, email: { ...email, attachment: null } })))
+  }
+
+  return found.map(bill => ({ ...bill, payee, billName: bill.billName || payee }))
+}
+
+export function fileToBase64(file) {
+  return fileToDataUrl(file).then(dataUrl => dataUrl.split(',')[1])
+}
+
+export function fileToDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.readAsDataURL(file)
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = error => reject(error)
+  })
+}
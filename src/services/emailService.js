@@ -0,0 +1,300 @@
+/**
+ * Email file parsing (.eml / .mbox)
+ *
+ * Saved emails are parsed locally, nothing is uploaded: MIME headers
+ * (including RFC 2047 encoded words), multipart bodies, base64 and
+ * quoted-printable parts and the charsets they declare. Each message becomes:
+ *
+ *   { from: { name, address }, subject, date, messageId, text, attachments: [File] }
+ *
+ * `text` is the plain-text body, or the HTML body reduced to text when the
+ * message has no plain part. The sender stands in as the payee of the bills
+ * found in a message (see `getSenderName`).
+ */
+
+import { htmlToText } from './fileExtractorService'
+
+export const EMAIL_EXTENSIONS = ['eml', 'mbox']
+const EMAIL_TYPES = ['message/rfc822', 'application/mbox']
+
+export function isEmailFile(file) {
+  const extension = file.name.split('.').pop()?.toLowerCase() || ''
+  return EMAIL_EXTENSIONS.includes(extension) || EMAIL_TYPES.includes(file.type)
+}
+
+function isMboxFile(file) {
+  return file.name.split('.').pop()?.toLowerCase() === 'mbox' || file.type === 'application/mbox'
+}
+
+/**
+ * Parses an .eml (one message) or .mbox (many) file. Only an mbox is split
+ * on "From " lines; an .eml body may well contain one.
+ */
+export async function readEmailFile(file) {
+  const raw = bytesToBinary(new Uint8Array(await file.arrayBuffer()))
+  if (isMboxFile(file)) return splitMbox(raw).map(parseEmail)
+  // Some clients save an .eml with the mbox envelope line still on top
+  return [parseEmail(raw.replace(/^From [^\n]*\n/, ''))]
+}
+
+/**
+ * Splits an mbox into raw messages on their "From " separator lines.
+ */
+export function splitMbox(raw) {
+  const messages = []
+  let current = null
+
+  raw.split(/\r?\n/).forEach(line => {
+    const previous = current?.[current.length - 1]
+    if (line.startsWith('From ') && (current === null || previous === '')) {
+      if (current) messages.push(current.join('\n'))
+      current = []
+      return
+    }
+    if (current === null) current = []
+    // mboxrd escapes body lines starting with "From " as ">From "
+    current.push(line.replace(/^>(>*From )/, '$1'))
+  })
+  if (current) messages.push(current.join('\n'))
+
+  return messages.filter(message => message.trim())
+}
+
+/**
+ * Parses one raw message given as a binary string (one char per byte).
+ */
+export function parseEmail(raw) {
+  const root = parseEntity(raw)
+  const textParts = []
+  const htmlParts = []
+  const attachments = []
+
+  const visit = (entity) => {
+    if (entity.parts) {
+      // multipart/alternative: the first plain-text version is enough
+      const parts = entity.mimeType === 'multipart/alternative' && entity.parts.some(isTextBody)
+        ? entity.parts.filter(part => !isHtmlBody(part))
+        : entity.parts
+      parts.forEach(visit)
+    } else if (isTextBody(entity)) {
+      textParts.push(decodeText(entity.bytes, entity.charset))
+    } else if (isHtmlBody(entity)) {
+      htmlParts.push(htmlToText(decodeText(entity.bytes, entity.charset)))
+    } else if (entity.filename) {
+      attachments.push(new File([entity.bytes], entity.filename, { type: entity.mimeType }))
+    }
+  }
+  visit(root)
+
+  const date = root.headers.date ? new Date(root.headers.date) : null
+  return {
+    from: parseAddress(decodeHeader(root.headers.from || '')),
+    subject: decodeHeader(root.headers.subject || ''),
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    messageId: (root.headers['message-id'] || '').replace(/[<>]/g, '').trim() || null,
+    text: (textParts.length > 0 ? textParts : htmlParts).join('\n\n').trim(),
+    attachments
+  }
+}
+
+/**
+ * A display name for the sender: the name in the From header, or one made
+ * from the mail domain (billing@acme-energy.com → "Acme Energy").
+ */
+export function getSenderName(from) {
+  if (from.name) return from.name
+  const domain = from.address.split('@')[1] || from.address
+  const labels = domain.toLowerCase().split('.').filter(label => !['mail', 'email', 'www'].includes(label))
+  // Skip second-level suffixes such as .co.uk or .com.au
+  const nameIndex = labels.length > 2 && labels[labels.length - 2].length <= 3 ? labels.length - 3 : labels.length - 2
+  const label = labels[Math.max(0, nameIndex)] || ''
+  return label
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+export function parseAddress(value) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(value)
+  if (match) return { name: match[1].trim(), address: match[2].trim() }
+  return { name: '', address: value.trim() }
+}
+
+/**
+ * Decodes RFC 2047 encoded words (=?utf-8?B?...?=) in a raw header value.
+ */
+export function decodeHeader(value) {
+  return binaryToText(value)
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (word, charset, encoding, encoded) => {
+      const binary = encoding.toUpperCase() === 'B'
+        ? safeAtob(encoded)
+        : encoded.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      return binary === null ? word : decodeText(binaryToBytes(binary), charset)
+    })
+}
+
+function parseEntity(raw) {
+  const { headerText, body } = splitHeaderBody(raw)
+  const headers = parseHeaders(headerText)
+  const type = parseParams(headers['content-type'] || 'text/plain')
+  const mimeType = type.value.toLowerCase()
+
+  if (mimeType.startsWith('multipart/') && type.params.boundary) {
+    return { headers, mimeType, parts: splitMultipart(body, type.params.boundary).map(parseEntity) }
+  }
+
+  const bytes = decodeTransfer(body, headers['content-transfer-encoding'])
+  if (mimeType === 'message/rfc822') {
+    // A forwarded message: its body and attachments count as this one's
+    return { headers, mimeType, parts: [parseEntity(bytesToBinary(bytes))] }
+  }
+
+  const disposition = parseParams(headers['content-disposition'] || 'inline')
+  return {
+    headers,
+    mimeType,
+    charset: type.params.charset,
+    filename: disposition.params.filename || type.params.name || '',
+    attachment: disposition.value.toLowerCase() === 'attachment',
+    bytes
+  }
+}
+
+function isTextBody(entity) {
+  return entity.mimeType === 'text/plain' && !entity.attachment && !entity.filename
+}
+
+function isHtmlBody(entity) {
+  return entity.mimeType === 'text/html' && !entity.attachment && !entity.filename
+}
+
+function splitHeaderBody(raw) {
+  const match = /\r?\n\r?\n/.exec(raw)
+  if (!match) return { headerText: raw, body: '' }
+  return { headerText: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+}
+
+function parseHeaders(text) {
+  const headers = {}
+  text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':')
+    if (colon <= 0) return
+    const name = line.slice(0, colon).trim().toLowerCase()
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim()
+  })
+  return headers
+}
+
+/**
+ * `text/plain; charset="utf-8"` → { value: 'text/plain', params: { charset: 'utf-8' } }.
+ * Values are decoded: RFC 2047 encoded words as well as RFC 2231 parameters
+ * (filename*=UTF-8''..., name*0=...), which are joined first.
+ */
+function parseParams(header) {
+  const [value, ...rest] = header.split(';')
+  const raw = {}
+  rest.forEach(param => {
+    const equals = param.indexOf('=')
+    if (equals < 0) return
+    const key = param.slice(0, equals).trim().toLowerCase()
+    raw[key] = param.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1')
+  })
+
+  const params = {}
+  Object.keys(raw).sort(comparePartKeys).forEach(key => {
+    const [, name, , extended] = /^([^*]+)(\*\d+)?(\*)?$/.exec(key) || [null, key]
+    const part = extended ? decodeExtendedValue(raw[key]) : decodeHeader(raw[key])
+    params[name] = (params[name] || '') + part
+  })
+
+  return { value: value.trim(), params }
+}
+
+function comparePartKeys(a, b) {
+  const index = (key) => Number(/\*(\d+)/.exec(key)?.[1] || 0)
+  return a.replace(/\*.*$/, '').localeCompare(b.replace(/\*.*$/, '')) || index(a) - index(b)
+}
+
+function decodeExtendedValue(value) {
+  const match = /^([^']*)'[^']*'(.*)$/.exec(value)
+  const encoded = match ? match[2] : value
+  const binary = encoded.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  return decodeText(binaryToBytes(binary), match?.[1] || 'utf-8')
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`
+  const parts = []
+  let current = null
+
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      const rest = line.slice(delimiter.length).trim()
+      if (rest === '' || rest === '--') {
+        if (current) parts.push(current.join('\n'))
+        current = rest === '--' ? null : []
+        if (rest === '--') break
+        continue
+      }
+    }
+    if (current) current.push(line)
+  }
+  // A message cut off before its closing boundary keeps its last part
+  if (current) parts.push(current.join('\n'))
+
+  return parts
+}
+
+function decodeTransfer(body, encoding = '') {
+  switch (encoding.toLowerCase().trim()) {
+    case 'base64':
+      return binaryToBytes(safeAtob(body.replace(/[^A-Za-z0-9+/=]/g, '')) || '')
+    case 'quoted-printable':
+      return binaryToBytes(body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+    default:
+      return binaryToBytes(body)
+  }
+}
+
+function decodeText(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(bytes)
+  } catch (error) {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+}
+
+function safeAtob(value) {
+  try {
+    return atob(value)
+  } catch (error) {
+    return null
+  }
+}
+
+// Header values may carry raw UTF-8 bytes outside encoded words
+function binaryToText(binary) {
+  return /[\x80-\xff]/.test(binary) ? decodeText(binaryToBytes(binary)) : binary
+}
+
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length)
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index) & 0xff
+  }
+  return bytes
+}
+
+function bytesToBinary(bytes) {
+  let binary = ''
+  const chunkSize = 0x8000
+  for (let index = 0; index < bytes.length; index += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + chunkSize))
+  }
+  return binary
+}
@@ -0,0 +1,527 @@
+/**
+ * File-to-text extractors
+ *
+ * Each supported format registers an extractor:
+ *
+ *   { id, label, extensions: ['xlsx'], mimeTypes: ['application/...'], extract(file, options) }
+ *
+ * `extract` resolves to the text, or to { text, pages, ocrPages } for paged
+ * formats and when OCR was involved. `extractFileText` picks the extractor by
+ * extension first, then by MIME type, and fails with code
+ * 'UNSUPPORTED_FILE_TYPE' when none matches.
+ * Extractors registered later win, so a new format (or a better reader for an
+ * existing one) is one `registerExtractor` call.
+ *
+ * Tabular formats keep their layout for the extractor prompt: one line per
+ * row with cells separated by " | ", so a payment schedule still reads as
+ * date / amount pairs.
+ */
+
+import * as pdfjsLib from 'pdfjs-dist'
+import pdfWorker from 'pdfjs-dist/build/pdf.worker?url'
+import mammoth from 'mammoth'
+import JSZip from 'jszip'
+import { needsOcr, recognizePdf } from './ocrService'
+
+const CELL_SEPARATOR = ' | '
+// Cap on repeated spreadsheet cells (ODS repeats empty cells to the sheet edge)
+const MAX_REPEATED_CELLS = 100
+
+const extractors = []
+
+export function registerExtractor(extractor) {
+  extractors.unshift({ mimeTypes: [], ...extractor })
+}
+
+export function findExtractor(file) {
+  const extension = getExtension(file)
+  return extractors.find(extractor => extractor.extensions.includes(extension)) ||
+    extractors.find(extractor => file.type && extractor.mimeTypes.includes(file.type)) ||
+    null
+}
+
+/**
+ * Extensions of every registered format, for a file input's `accept`.
+ */
+export function getSupportedExtensions() {
+  return [...new Set(extractors.flatMap(extractor => extractor.extensions))]
+}
+
+/**
+ * Returns { text, pages, ocrPages }. `pages` ([{ page, text }]) is only set
+ * by paged formats (PDF) and is null otherwise; ocrPages is empty unless the
+ * file was a scanned PDF.
+ */
+export async function extractFileText(file, options = {}) {
+  const extractor = findExtractor(file)
+  if (!extractor) {
+    const labels = [...new Set(extractors.map(item => item.label))].reverse().join(', ')
+    const err = new Error(`${file.name} is not a supported file type. Supported: ${labels}, photos and emails.`)
+    err.code = 'UNSUPPORTED_FILE_TYPE'
+    throw err
+  }
+
+  const result = await extractor.extract(file, options)
+  return typeof result === 'string' ? { text: result, pages: null, ocrPages: [] } : { pages: null, ocrPages: [], ...result }
+}
+
+/**
+ * Reads every page; `pages` ([{ page, text }]) lets long documents be
+ * chunked on page boundaries.
+ */
+export async function pdfToText(file, { onProgress } = {}) {
+  const arrayBuffer = await file.arrayBuffer()
+  pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker
+  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+  const pageCount = pdf.numPages
+  const pages = []
+
+  for (let pageNum = 1; pageNum <= pageCount; pageNum += 1) {
+    if (pageCount > 1) {
+      onProgress?.({ label: `Reading page ${pageNum} of ${pageCount}`, progress: (pageNum - 1) / pageCount })
+    }
+    const page = await pdf.getPage(pageNum)
+    const content = await page.getTextContent()
+    pages.push({ page: pageNum, text: content.items.map(item => item.str).join(' ').trim() })
+    page.cleanup()
+  }
+
+  const text = pages.map(page => page.text).join('\n').trim()
+  if (!needsOcr(text, pageCount)) {
+    return { text, pages, ocrPages: [] }
+  }
+
+  // Image-only (scanned) PDF: render each page and OCR it
+  const result = await recognizePdf(pdf, {
+    onProgress: ({ page, pageCount: total, progress }) => onProgress?.({
+      label: `Reading scanned page ${page} of ${total}`,
+      progress
+    })
+  })
+  return {
+    text: result.text,
+    pages: result.pages.map(({ page, text: pageText }) => ({ page, text: pageText.trim() })),
+    ocrPages: result.pages.map(({ page, confidence }) => ({ page, confidence }))
+  }
+}
+
+export async function docxToText(file) {
+  const arrayBuffer = await file.arrayBuffer()
+  const result = await mammoth.extractRawText({ arrayBuffer })
+  return (result.value || '').trim()
+}
+
+/**
+ * Every sheet of an .xlsx workbook, row by row. Cells formatted as dates are
+ * written as YYYY-MM-DD instead of Excel serial numbers.
+ */
+export async function xlsxToText(file) {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer())
+  const readXml = async (path) => {
+    const entry = zip.file(path)
+    return entry ? parseXml(await entry.async('string')) : null
+  }
+
+  const workbook = await readXml('xl/workbook.xml')
+  if (!workbook) throw new Error(`${file.name} is not a valid Excel workbook`)
+
+  const relations = await readXml('xl/_rels/workbook.xml.rels')
+  const targets = new Map(getElements(relations, 'Relationship').map(relation => (
+    [relation.getAttribute('Id'), relation.getAttribute('Target')]
+  )))
+  const sharedStrings = getElements(await readXml('xl/sharedStrings.xml'), 'si').map(item => (
+    // Phonetic runs (rPh) repeat the text in another script
+    getElements(item, 't').filter(t => t.parentNode.localName !== 'rPh').map(t => t.textContent).join('')
+  ))
+  const dateStyles = getDateStyles(await readXml('xl/styles.xml'))
+  const workbookPr = getElements(workbook, 'workbookPr')[0]
+  const date1904 = ['1', 'true'].includes(workbookPr?.getAttribute('date1904'))
+
+  const sheets = []
+  for (const sheet of getElements(workbook, 'sheet')) {
+    const target = targets.get(sheet.getAttribute('r:id'))
+    if (!target) continue
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`
+    const xml = await readXml(path)
+    if (!xml) continue
+
+    const rows = getElements(xml, 'row').map(row => {
+      const cells = []
+      getElements(row, 'c').forEach(cell => {
+        const reference = cell.getAttribute('r')
+        const column = reference ? getColumnIndex(reference) : cells.length
+        cells[column] = readXlsxCell(cell, { sharedStrings, dateStyles, date1904 })
+      })
+      return formatRow(Array.from(cells, value => value ?? ''))
+    }).filter(Boolean)
+
+    if (rows.length > 0) sheets.push(`Sheet: ${sheet.getAttribute('name')}\n${rows.join('\n')}`)
+  }
+
+  return sheets.join('\n\n')
+}
+
+export async function csvToText(file) {
+  const text = (await file.text()).replace(/^\uFEFF/, '')
+  const delimiter = getExtension(file) === 'tsv' ? '\t' : detectDelimiter(text)
+  return parseCsv(text, delimiter).map(formatRow).filter(Boolean).join('\n')
+}
+
+/**
+ * RFC 4180 rows: quoted fields may hold delimiters, quotes ("") and newlines.
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index]
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Visible text of an HTML page: scripts and styles dropped, block elements on
+ * their own lines and table rows kept as rows of cells.
+ */
+export function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  doc.querySelectorAll('script, style, noscript, template, head').forEach(element => element.remove())
+  return cleanText(getHtmlText(doc.body))
+}
+
+export async function htmlFileToText(file) {
+  return htmlToText(await file.text())
+}
+
+/**
+ * Plain text of an RTF document; font tables, styles, pictures and other
+ * destinations are skipped.
+ */
+export function rtfToText(rtf) {
+  const SKIPPED = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr',
+    'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+    'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'object', 'fldinst'
+  ])
+  const SYMBOLS = {
+    par: '\n', line: '\n', row: '\n', sect: '\n\n', page: '\n\n', tab: '\t', cell: CELL_SEPARATOR,
+    emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+  }
+  const token = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi
+
+  let state = { skip: false, unicodeSkip: 1 }
+  const stack = []
+  let pendingSkip = 0
+  let output = ''
+  const append = (text) => {
+    if (!state.skip) output += text
+  }
+
+  for (const [, word, arg, hex, symbol, brace, text] of rtf.matchAll(token)) {
+    if (brace === '{') {
+      stack.push(state)
+      state = { ...state }
+    } else if (brace === '}') {
+      state = stack.pop() || state
+    } else if (word) {
+      pendingSkip = 0
+      if (SKIPPED.has(word)) state.skip = true
+      else if (word === 'uc') state.unicodeSkip = Number(arg)
+      else if (word === 'u') {
+        const code = Number(arg)
+        append(String.fromCharCode(code < 0 ? code + 65536 : code))
+        // The ANSI fallback that follows a \u character
+        pendingSkip = state.unicodeSkip
+      } else if (SYMBOLS[word]) append(SYMBOLS[word])
+    } else if (hex) {
+      if (pendingSkip > 0) pendingSkip -= 1
+      else append(decodeWindows1252(parseInt(hex, 16)))
+    } else if (symbol) {
+      if (symbol === '*') state.skip = true
+      else if (symbol === '~') append('\u00a0')
+      else if (symbol === '_') append('-')
+      else if (symbol === '\n' || symbol === '\r') append('\n')
+      else if ('\\{}'.includes(symbol)) append(symbol)
+    } else if (text) {
+      const skipped = Math.min(pendingSkip, text.length)
+      pendingSkip -= skipped
+      append(text.slice(skipped))
+    }
+  }
+
+  // A row's last \cell leaves a separator at the end of the line
+  return cleanText(output.replace(/( \| )+(?=\n|$)/g, ''))
+}
+
+export async function rtfFileToText(file) {
+  return rtfToText(await file.text())
+}
+
+/**
+ * Text of an OpenDocument file (.odt letter or .ods sheet) from its
+ * content.xml: paragraphs and headings per line, table rows as cells.
+ */
+export async function odfToText(file) {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer())
+  const content = zip.file('content.xml')
+  if (!content) throw new Error(`${file.name} is not a valid OpenDocument file`)
+
+  const doc = parseXml(await content.async('string'))
+  const body = getElements(doc, 'body')[0] || doc.documentElement
+  return cleanText(getOdfText(body))
+}
+
+export async function plainTextFileToText(file) {
+  return file.text()
+}
+
+function getOdfText(node) {
+  if (node.nodeType === 3) return node.nodeValue
+  if (node.nodeType !== 1) return ''
+
+  switch (node.localName) {
+    case 'tab':
+      return '\t'
+    case 's':
+      return ' '.repeat(Number(node.getAttribute('text:c')) || 1)
+    case 'line-break':
+      return '\n'
+    case 'tracked-changes':
+    case 'annotation':
+      return ''
+    case 'table-row': {
+      const cells = []
+      getChildElements(node, 'table-cell', 'covered-table-cell').forEach(cell => {
+        const text = cleanInline(getOdfChildrenText(cell))
+        const repeated = Number(cell.getAttribute('table:number-columns-repeated')) || 1
+        const count = text ? Math.min(repeated, MAX_REPEATED_CELLS) : 1
+        for (let index = 0; index < count; index += 1) cells.push(text)
+      })
+      const row = formatRow(cells)
+      return row ? `${row}\n` : ''
+    }
+    case 'p':
+    case 'h':
+      return `${getOdfChildrenText(node)}\n`
+    default:
+      return getOdfChildrenText(node)
+  }
+}
+
+function getOdfChildrenText(node) {
+  return Array.from(node.childNodes, getOdfText).join('')
+}
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'ul'
+])
+
+function getHtmlText(node) {
+  if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, ' ')
+  if (node.nodeType !== 1) return ''
+
+  const tag = node.tagName.toLowerCase()
+  if (tag === 'br') return '\n'
+  if (tag === 'table') {
+    const rows = Array.from(node.rows, row => formatRow(
+      Array.from(row.cells, cell => cleanInline(getHtmlText(cell)))
+    ))
+    return `\n${rows.filter(Boolean).join('\n')}\n`
+  }
+
+  const text = Array.from(node.childNodes, getHtmlText).join('')
+  return BLOCK_TAGS.has(tag) ? `\n${text}\n` : text
+}
+
+// RTF escapes (\'hh) are bytes in the Windows-1252 code page
+const WINDOWS_1252 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ'
+
+function decodeWindows1252(byte) {
+  return byte >= 0x80 && byte < 0xa0 ? WINDOWS_1252[byte - 0x80] : String.fromCharCode(byte)
+}
+
+function getDateStyles(styles) {
+  const customFormats = new Map(getElements(styles, 'numFmt').map(format => (
+    [format.getAttribute('numFmtId'), format.getAttribute('formatCode')]
+  )))
+  const cellXfs = getElements(styles, 'cellXfs')[0]
+  if (!cellXfs) return []
+
+  return getChildElements(cellXfs, 'xf').map(xf => {
+    const id = xf.getAttribute('numFmtId')
+    // Built-in date formats; 18-21 and 45-47 are times of day
+    if ([14, 15, 16, 17, 22].includes(Number(id))) return true
+    const code = customFormats.get(id)
+    // Ignore quoted text, [colour] / [$-locale] blocks and escaped characters
+    return Boolean(code) && /[dy]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''))
+  })
+}
+
+function readXlsxCell(cell, { sharedStrings, dateStyles, date1904 }) {
+  const type = cell.getAttribute('t')
+  const value = getElements(cell, 'v')[0]?.textContent ?? ''
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(value)] ?? ''
+    case 'inlineStr':
+      return getElements(cell, 't').map(t => t.textContent).join('')
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE'
+    case 'str':
+    case 'e':
+      return value
+    default: {
+      const style = Number(cell.getAttribute('s') || 0)
+      return value !== '' && dateStyles[style] ? serialToDate(Number(value), date1904) : value
+    }
+  }
+}
+
+function serialToDate(serial, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30)
+  const iso = new Date(epoch + Math.round(serial * 86400) * 1000).toISOString()
+  return serial % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`
+}
+
+function getColumnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference)?.[0].toUpperCase() || 'A'
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const counts = [',', ';', '\t', '|'].map(delimiter => [delimiter, firstLine.split(delimiter).length])
+  const [delimiter, count] = counts.sort((a, b) => b[1] - a[1])[0]
+  return count > 1 ? delimiter : ','
+}
+
+// One line per row, trailing empty cells dropped; '' for an empty row
+function formatRow(cells) {
+  const trimmed = cells.map(cell => cleanInline(String(cell)))
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') trimmed.pop()
+  return trimmed.some(Boolean) ? trimmed.join(CELL_SEPARATOR) : ''
+}
+
+function cleanInline(text) {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+function cleanText(text) {
+  return text
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/g, '').replace(/^[ ]+/, '').replace(/ {2,}/g, ' '))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, 'application/xml')
+}
+
+function getElements(root, name) {
+  return root ? Array.from(root.getElementsByTagNameNS('*', name)) : []
+}
+
+function getChildElements(node, ...names) {
+  return Array.from(node.children).filter(child => names.includes(child.localName))
+}
+
+function getExtension(file) {
+  return file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : ''
+}
+
+// Built-in formats
+registerExtractor({
+  id: 'text',
+  label: 'plain text (.txt, .md)',
+  extensions: ['txt', 'text', 'md', 'log'],
+  mimeTypes: ['text/plain', 'text/markdown'],
+  extract: plainTextFileToText
+})
+registerExtractor({
+  id: 'pdf',
+  label: 'PDF',
+  extensions: ['pdf'],
+  mimeTypes: ['application/pdf'],
+  extract: pdfToText
+})
+registerExtractor({
+  id: 'docx',
+  label: 'Word (.docx)',
+  extensions: ['docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extract: docxToText
+})
+registerExtractor({
+  id: 'xlsx',
+  label: 'Excel (.xlsx)',
+  extensions: ['xlsx', 'xlsm'],
+  mimeTypes: [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel.sheet.macroEnabled.12'
+  ],
+  extract: xlsxToText
+})
+registerExtractor({
+  id: 'csv',
+  label: 'CSV',
+  extensions: ['csv', 'tsv'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+  extract: csvToText
+})
+registerExtractor({
+  id: 'html',
+  label: 'HTML',
+  extensions: ['html', 'htm', 'xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extract: htmlFileToText
+})
+registerExtractor({
+  id: 'rtf',
+  label: 'RTF',
+  extensions: ['rtf'],
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extract: rtfFileToText
+})
+registerExtractor({
+  id: 'odf',
+  label: 'OpenDocument (.odt, .ods)',
+  extensions: ['odt', 'ods'],
+  mimeTypes: ['application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.spreadsheet'],
+  extract: odfToText
+})
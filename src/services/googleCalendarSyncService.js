@@ -0,0 +1,367 @@
+/**
+ * Google Calendar Sync Service
+ *
+ * Opt-in two-way sync between reminders and a dedicated "RAKALL" calendar.
+ * Reminders are pushed as all-day events on their deadline date with a popup
+ * reminder at each alert time (Google allows five, at most four weeks ahead;
+ * earlier alerts are moved up to four weeks). Edits and deletions made in
+ * Google Calendar are pulled back, deletions into the Trash so they can be
+ * restored; when both sides changed since the last sync, the most recently
+ * modified side wins (reminder `updatedAt` vs event `updated`).
+ *
+ * Set VITE_GOOGLE_CALENDAR_API_BASE to point at a local mock of the Calendar
+ * REST API (defaults to https://www.googleapis.com/calendar/v3).
+ */
+
+import {
+  DEFAULT_TIME,
+  addDaysToDate,
+  getDaysBetween,
+  getHomeTimeZone,
+  getReminderInstant,
+  getReminderTimeZone,
+  getZonedParts,
+  isValidTimeZone,
+  zonedTimeToDate
+} from './dateService'
+import { getAlertDates, getReminderOffsets, withReminderOffsets } from './reminderOffsetService'
+import { moveToTrash } from './trashService'
+
+export const CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar.app.created'
+export const CALENDAR_NAME = 'RAKALL'
+
+const DEFAULT_API_BASE = 'https://www.googleapis.com/calendar/v3'
+const SYNC_STATE_KEY = 'rakall-google-calendar-sync'
+const MAX_POPUP_REMINDERS = 5
+// The Calendar API rejects popups more than four weeks before the event
+const MAX_POPUP_MINUTES = 4 * 7 * 24 * 60
+
+export function getCalendarApiBase() {
+  return (import.meta.env.VITE_GOOGLE_CALENDAR_API_BASE || DEFAULT_API_BASE).replace(/\/$/, '')
+}
+
+export function loadSyncState() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_STATE_KEY)) || null
+  } catch (error) {
+    return null
+  }
+}
+
+export function saveSyncState(state) {
+  if (state) {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state))
+  } else {
+    localStorage.removeItem(SYNC_STATE_KEY)
+  }
+}
+
+/**
+ * Runs one sync pass. Returns the reconciled reminder list, the new sync
+ * state to persist, and counts of what changed. `createId` mints the ids of
+ * reminders created from Google-side events (App's reminder id factory).
+ */
+export async function syncRemindersWithGoogle({
+  accessToken,
+  reminders,
+  state,
+  createId,
+  baseUrl = getCalendarApiBase(),
+  now = new Date()
+}) {
+  const api = createCalendarClient(accessToken, baseUrl)
+  let calendarId = state?.calendarId || await ensureRakallCalendar(api)
+  let knownEventIds = new Set(state?.eventIds || [])
+  let calendarRecreated = false
+  let events
+  try {
+    events = await listAllEvents(api, calendarId)
+  } catch (error) {
+    if (error.status !== 404 || !state?.calendarId) throw error
+    // The RAKALL calendar was removed on the Google side: start over and push
+    // every reminder again rather than reading the lost events as deletions
+    calendarId = await ensureRakallCalendar(api)
+    knownEventIds = new Set()
+    calendarRecreated = true
+    events = await listAllEvents(api, calendarId)
+  }
+  const eventsById = new Map(events.map(event => [event.id, event]))
+  const syncedAt = now.toISOString()
+  const summary = { pushed: 0, pulled: 0, created: 0, deletedLocal: 0, deletedRemote: 0 }
+  const result = []
+  const linkedEventIds = new Set()
+
+  for (const reminder of reminders) {
+    const event = reminder.googleEventId ? eventsById.get(reminder.googleEventId) : null
+
+    if (!reminder.googleEventId || calendarRecreated) {
+      const created = await api.insertEvent(calendarId, reminderToEvent(reminder))
+      linkedEventIds.add(created.id)
+      result.push({ ...reminder, googleEventId: created.id, googleSyncedAt: created.updated || syncedAt })
+      summary.pushed += 1
+      continue
+    }
+
+    const localChanged = isAfter(reminder.updatedAt, reminder.googleSyncedAt)
+
+    // Deleted on the Google side (or the event is gone entirely)
+    if (!event || event.status === 'cancelled') {
+      if (localChanged && isAfter(reminder.updatedAt, event?.updated)) {
+        const created = await api.insertEvent(calendarId, reminderToEvent(reminder))
+        linkedEventIds.add(created.id)
+        result.push({ ...reminder, googleEventId: created.id, googleSyncedAt: created.updated || syncedAt })
+        summary.pushed += 1
+      } else {
+        result.push(moveToTrash(reminder, now))
+        summary.deletedLocal += 1
+      }
+      continue
+    }
+
+    linkedEventIds.add(event.id)
+    const remoteChanged = isAfter(event.updated, reminder.googleSyncedAt)
+
+    if (remoteChanged && (!localChanged || isAfter(event.updated, reminder.updatedAt))) {
+      result.push({
+        ...reminder,
+        ...eventToReminderFields(event, reminder),
+        updatedAt: event.updated,
+        googleSyncedAt: event.updated
+      })
+      summary.pulled += 1
+    } else if (localChanged) {
+      const updated = await api.updateEvent(calendarId, event.id, reminderToEvent(reminder))
+      result.push({ ...reminder, googleSyncedAt: updated?.updated || syncedAt })
+      summary.pushed += 1
+    } else {
+      result.push(reminder)
+    }
+  }
+
+  for (const event of events) {
+    if (linkedEventIds.has(event.id) || event.status === 'cancelled') continue
+
+    if (knownEventIds.has(event.id)) {
+      // Was synced before but its reminder is gone: deleted locally
+      await api.deleteEvent(calendarId, event.id)
+      summary.deletedRemote += 1
+      continue
+    }
+
+    // Created on the Google side
+    const fields = eventToReminderFields(event, null)
+    if (!fields) continue
+    result.push({
+      id: createId(),
+      ...withReminderOffsets({ ...fields, reminderPeriod: fields.reminderPeriod || '1 day' }),
+      origin: 'calendar',
+      createdAt: event.created || syncedAt,
+      updatedAt: event.updated || syncedAt,
+      googleEventId: event.id,
+      googleSyncedAt: event.updated || syncedAt
+    })
+    linkedEventIds.add(event.id)
+    summary.created += 1
+  }
+
+  return {
+    reminders: result,
+    state: {
+      calendarId,
+      eventIds: [...linkedEventIds],
+      lastSyncedAt: syncedAt
+    },
+    summary
+  }
+}
+
+function createCalendarClient(accessToken, baseUrl) {
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+
+    if (!response.ok) {
+      let errorMessage = 'Google Calendar request failed.'
+      try {
+        const errorBody = await response.json()
+        errorMessage = errorBody?.error?.message || errorMessage
+      } catch (error) {
+        // ignore parsing errors
+      }
+      const err = new Error(errorMessage)
+      err.status = response.status
+      throw err
+    }
+
+    if (response.status === 204) return null
+    return response.json()
+  }
+
+  const calendarPath = (calendarId) => `/calendars/${encodeURIComponent(calendarId)}`
+
+  return {
+    listCalendars: (pageToken) => request(
+      `/users/me/calendarList${pageToken ? `?pageToken=${encodeURIComponent(pageToken)}` : ''}`
+    ),
+    createCalendar: (body) => request('/calendars', { method: 'POST', body }),
+    listEvents: (calendarId, pageToken) => {
+      const params = new URLSearchParams({ showDeleted: 'true', maxResults: '250' })
+      if (pageToken) params.set('pageToken', pageToken)
+      return request(`${calendarPath(calendarId)}/events?${params}`)
+    },
+    insertEvent: (calendarId, body) => request(`${calendarPath(calendarId)}/events`, { method: 'POST', body }),
+    updateEvent: (calendarId, eventId, body) => request(
+      `${calendarPath(calendarId)}/events/${encodeURIComponent(eventId)}`,
+      { method: 'PUT', body }
+    ),
+    deleteEvent: async (calendarId, eventId) => {
+      try {
+        await request(`${calendarPath(calendarId)}/events/${encodeURIComponent(eventId)}`, { method: 'DELETE' })
+      } catch (error) {
+        // Already gone on the Google side
+        if (error.status !== 404 && error.status !== 410) throw error
+      }
+    }
+  }
+}
+
+async function ensureRakallCalendar(api) {
+  let pageToken = null
+  do {
+    const page = await api.listCalendars(pageToken)
+    const existing = (page?.items || []).find(item => item.summary === CALENDAR_NAME)
+    if (existing) return existing.id
+    pageToken = page?.nextPageToken || null
+  } while (pageToken)
+
+  const created = await api.createCalendar({
+    summary: CALENDAR_NAME,
+    description: 'Reminders synced from RAKALL',
+    timeZone: getHomeTimeZone()
+  })
+  return created.id
+}
+
+async function listAllEvents(api, calendarId) {
+  const events = []
+  let pageToken = null
+  do {
+    const page = await api.listEvents(calendarId, pageToken)
+    events.push(...(page?.items || []))
+    pageToken = page?.nextPageToken || null
+  } while (pageToken)
+  return events
+}
+
+function reminderToEvent(reminder) {
+  const deadline = reminder.deadlineDate || reminder.date
+  const timeZone = getReminderTimeZone(reminder)
+  const eventStart = zonedTimeToDate(deadline, '00:00', timeZone)
+  const alerts = getAlertDates(reminder)
+  const minutes = (alerts.length > 0 ? alerts : [{ date: reminder.date, time: reminder.time }])
+    .map(alert => {
+      const alertAt = getReminderInstant(reminder, alert.date, alert.time)
+      return Math.min(MAX_POPUP_MINUTES, Math.max(0, Math.round((eventStart - alertAt) / 60000)))
+    })
+  const overrides = [...new Set(minutes)]
+    .slice(0, MAX_POPUP_REMINDERS)
+    .map(value => ({ method: 'popup', minutes: value }))
+
+  return {
+    summary: reminder.title || 'Reminder',
+    description: reminder.description || '',
+    start: { date: deadline },
+    end: { date: addDaysToDate(deadline, 1) },
+    status: 'confirmed',
+    reminders: {
+      useDefault: false,
+      overrides
+    },
+    extendedProperties: {
+      private: {
+        rakallId: String(reminder.id),
+        reminderDate: reminder.date,
+        reminderTime: reminder.time || DEFAULT_TIME,
+        timeZone,
+        reminderPeriod: reminder.reminderPeriod || '',
+        reminderOffsets: getReminderOffsets(reminder).join(','),
+        popupMinutes: overrides.map(override => override.minutes).join(','),
+        completed: reminder.completed ? 'true' : 'false'
+      }
+    }
+  }
+}
+
+function eventToReminderFields(event, reminder) {
+  const meta = event.extendedProperties?.private || {}
+  const timeZone = isValidTimeZone(meta.timeZone)
+    ? meta.timeZone
+    : (reminder ? getReminderTimeZone(reminder) : getHomeTimeZone())
+  // Timed events carry an offset; read them as wall-clock time in the zone
+  const startParts = event.start?.dateTime ? getZonedParts(new Date(event.start.dateTime), timeZone) : null
+  const deadline = event.start?.date || startParts?.date
+  if (!deadline) return null
+
+  // The earliest popup is the reminder date; the others come from the offsets
+  const popups = (event.reminders?.overrides || [])
+    .filter(override => override.method === 'popup')
+    .sort((a, b) => b.minutes - a.minutes)
+  const popup = popups[0]
+  // A popup capped at four weeks on push does not say when the reminder
+  // was: while the popups are as pushed, keep the stored date (moved along
+  // with the deadline)
+  const pushedMinutes = (meta.popupMinutes || '').split(',').filter(Boolean).map(Number).sort((a, b) => b - a)
+  const cappedAsPushed = popup?.minutes === MAX_POPUP_MINUTES && Boolean(meta.reminderDate) &&
+    popups.map(override => override.minutes).join(',') === pushedMinutes.join(',')
+  let date = deadline
+  let time = startParts ? startParts.time : (meta.reminderTime || reminder?.time || DEFAULT_TIME)
+
+  if (cappedAsPushed) {
+    const previousDeadline = reminder?.deadlineDate || reminder?.date
+    date = addDaysToDate(meta.reminderDate, previousDeadline ? getDaysBetween(previousDeadline, deadline) : 0)
+    time = meta.reminderTime || time
+  } else if (popup) {
+    const eventStart = event.start?.dateTime ? new Date(event.start.dateTime) : zonedTimeToDate(deadline, '00:00', timeZone)
+    const alertAt = getZonedParts(new Date(eventStart.getTime() - popup.minutes * 60000), timeZone)
+    date = alertAt.date
+    time = alertAt.time
+  } else if (meta.reminderDate) {
+    date = meta.reminderDate
+  }
+
+  const fields = {
+    title: event.summary || reminder?.title || 'Reminder',
+    description: event.description ?? reminder?.description ?? '',
+    deadlineDate: deadline,
+    date,
+    time,
+    timeZone,
+    reminderPeriod: meta.reminderPeriod || reminder?.reminderPeriod || null,
+    completed: meta.completed ? meta.completed === 'true' : Boolean(reminder?.completed)
+  }
+
+  if (meta.reminderOffsets !== undefined) {
+    fields.reminderOffsets = meta.reminderOffsets ? meta.reminderOffsets.split(',') : []
+  } else if (reminder) {
+    fields.reminderOffsets = getReminderOffsets(reminder)
+  }
+
+  // An alert moved in Google Calendar no longer lines up with the offsets
+  if (fields.reminderOffsets?.length > 0 && getAlertDates(fields)[0]?.date !== date) {
+    fields.reminderOffsets = []
+  }
+
+  return fields
+}
+
+function isAfter(a, b) {
+  if (!a) return false
+  if (!b) return true
+  return new Date(a).getTime() > new Date(b).getTime()
+}
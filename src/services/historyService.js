@@ -0,0 +1,116 @@
+/**
+ * App-wide undo/redo for reminder changes
+ *
+ * Every user change to the reminder list (add, edit, delete, restore, bulk
+ * actions, imports) is recorded as one entry:
+ *
+ *   { label, records: [{ id, before, after }], key, at }
+ *
+ * `before` / `after` are the whole reminder records (null when the reminder
+ * did not exist), found by comparing the lists by reference. Undo writes the
+ * `before` records back and redo the `after` ones, so an entry can be replayed
+ * even after unrelated changes (calendar sync, notification actions) have
+ * landed in between.
+ *
+ * Quick successive edits of the same reminder (typing an amount) share a
+ * `key` and are merged into one entry. Deleting for good (Delete forever,
+ * emptying or purging the Trash) is not undoable and removes the purged
+ * reminders from every entry (`forgetReminders`).
+ */
+
+export const MAX_HISTORY = 50
+const MERGE_WINDOW_MS = 1500
+
+export const EMPTY_HISTORY = { undo: [], redo: [] }
+
+export function diffReminders(previous, next) {
+  const previousById = new Map(previous.map(reminder => [reminder.id, reminder]))
+  const nextById = new Map(next.map(reminder => [reminder.id, reminder]))
+  const records = []
+
+  nextById.forEach((after, id) => {
+    const before = previousById.get(id) || null
+    if (before !== after) records.push({ id, before, after })
+  })
+  previousById.forEach((before, id) => {
+    if (!nextById.has(id)) records.push({ id, before, after: null })
+  })
+
+  return records
+}
+
+/**
+ * Adds an entry and clears the redo stack. Returns `history` unchanged when
+ * the change touched nothing.
+ */
+export function recordChange(history, { label, records, key = null }, now = Date.now()) {
+  if (records.length === 0) return history
+
+  const last = history.undo[history.undo.length - 1]
+  if (key && last?.key === key && now - last.at < MERGE_WINDOW_MS) {
+    const merged = {
+      ...last,
+      at: now,
+      records: records.map(record => ({
+        ...record,
+        before: last.records.find(previous => previous.id === record.id)?.before ?? record.before
+      }))
+    }
+    return { undo: [...history.undo.slice(0, -1), merged], redo: [] }
+  }
+
+  return {
+    undo: [...history.undo, { label, records, key, at: now }].slice(-MAX_HISTORY),
+    redo: []
+  }
+}
+
+/**
+ * Drops every record of `ids` from both stacks, and entries left empty, so
+ * undo/redo never brings back a reminder whose document is already gone.
+ */
+export function forgetReminders(history, ids) {
+  const forgotten = new Set(ids)
+  if (forgotten.size === 0) return history
+
+  const prune = (entries) => entries
+    .map(entry => ({ ...entry, records: entry.records.filter(record => !forgotten.has(record.id)) }))
+    .filter(entry => entry.records.length > 0)
+  return { undo: prune(history.undo), redo: prune(history.redo) }
+}
+
+/**
+ * Applies one side of an entry: 'before' to undo, 'after' to redo.
+ */
+export function applyRecords(reminders, records, side) {
+  const replacements = new Map(records.map(record => [record.id, record[side]]))
+  const next = reminders
+    .filter(reminder => !replacements.has(reminder.id) || replacements.get(reminder.id))
+    .map(reminder => replacements.get(reminder.id) || reminder)
+
+  const presentIds = new Set(reminders.map(reminder => reminder.id))
+  records.forEach(record => {
+    if (record[side] && !presentIds.has(record.id)) next.push(record[side])
+  })
+  return next
+}
+
+export function undoChange(history, reminders) {
+  const entry = history.undo[history.undo.length - 1]
+  if (!entry) return null
+  return {
+    entry,
+    reminders: applyRecords(reminders, entry.records, 'before'),
+    history: { undo: history.undo.slice(0, -1), redo: [...history.redo, entry] }
+  }
+}
+
+export function redoChange(history, reminders) {
+  const entry = history.redo[history.redo.length - 1]
+  if (!entry) return null
+  return {
+    entry,
+    reminders: applyRecords(reminders, entry.records, 'after'),
+    history: { undo: [...history.undo, entry], redo: history.redo.slice(0, -1) }
+  }
+}
@@ -0,0 +1,439 @@
+/**
+ * iCalendar (.ics) export and import for reminders (RFC 5545)
+ *
+ * A reminder with a deadline becomes an all-day VEVENT on the deadline date;
+ * one without becomes a timed VEVENT at its reminder date and time, written
+ * in UTC. Every alert (one per reminder offset) becomes a VALARM whose
+ * TRIGGER is relative to the event start, and repeating reminders carry an
+ * RRULE.
+ *
+ * RAKALL-only details ride along as X- properties so a round trip keeps them:
+ * the time zone (X-RAKALL-TIMEZONE; other files are read into the home zone),
+ * the amount and currency and whether the reminder is completed. Importing
+ * reads VEVENTs back into reminder drafts keyed by UID, so the same file can
+ * be imported twice without creating duplicates.
+ */
+
+import { differenceInMinutes, isValid } from 'date-fns'
+import { normalizeRecurrence } from './recurrenceService'
+import { getAlertDates, sortOffsets } from './reminderOffsetService'
+import { formatMoney } from './moneyService'
+import { getReminderTags, normalizeTags } from './tagService'
+import {
+  DEFAULT_TIME,
+  addDaysToDate,
+  getDaysBetween,
+  getHomeTimeZone,
+  getReminderInstant,
+  getReminderTimeZone,
+  getZonedParts,
+  isValidTimeZone,
+  zonedTimeToDate
+} from './dateService'
+
+const PRODUCT_ID = '-//RAKALL//AI Reminder//EN'
+const UID_DOMAIN = 'rakall.app'
+const AMOUNT_LABEL = 'Amount:'
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const PERIOD_LABELS = {
+  1: '1 day',
+  3: '3 days',
+  7: '1 week',
+  14: '2 weeks',
+  21: '3 weeks',
+  30: '1 month',
+  60: '2 months',
+  90: '3 months',
+  180: '6 months',
+  365: '1 year'
+}
+
+export function getReminderUid(reminder) {
+  return reminder.icsUid || `rakall-${reminder.id}@${UID_DOMAIN}`
+}
+
+export function exportRemindersToIcs(reminders, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ]
+
+  reminders.forEach(reminder => {
+    lines.push(...buildEvent(reminder, now))
+  })
+
+  lines.push('END:VCALENDAR')
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+export function downloadIcs(reminders, filename = 'rakall-reminders.ics') {
+  const blob = new Blob([exportRemindersToIcs(reminders)], { type: 'text/calendar;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Parses an .ics file into reminder drafts:
+ * { icsUid, title, date, time, deadlineDate, reminderOffsets, reminderPeriod, description, recurrence }
+ * plus `tags` when the event lists CATEGORIES
+ */
+export function parseIcs(text) {
+  const lines = unfoldLines(text)
+  const drafts = []
+  let event = null
+  let alarm = null
+
+  lines.forEach(line => {
+    const property = parseProperty(line)
+    if (!property) return
+
+    if (property.name === 'BEGIN' && property.value === 'VEVENT') {
+      event = { alarms: [] }
+      return
+    }
+    if (property.name === 'BEGIN' && property.value === 'VALARM' && event) {
+      alarm = {}
+      return
+    }
+    if (property.name === 'END' && property.value === 'VALARM' && event && alarm) {
+      event.alarms.push(alarm)
+      alarm = null
+      return
+    }
+    if (property.name === 'END' && property.value === 'VEVENT' && event) {
+      const draft = eventToDraft(event)
+      if (draft) drafts.push(draft)
+      event = null
+      return
+    }
+
+    if (alarm) {
+      alarm[property.name] = property
+    } else if (event) {
+      event[property.name] = property
+    }
+  })
+
+  return drafts
+}
+
+function buildEvent(reminder, now) {
+  const deadline = reminder.deadlineDate || reminder.date
+  const time = reminder.time || DEFAULT_TIME
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getReminderUid(reminder)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `SUMMARY:${escapeText(reminder.title || 'Reminder')}`
+  ]
+
+  if (reminder.deadlineDate) {
+    lines.push(`DTSTART;VALUE=DATE:${toIcsDate(deadline)}`)
+    lines.push(`DTEND;VALUE=DATE:${toIcsDate(addDaysToDate(deadline, 1))}`)
+  } else {
+    lines.push(`DTSTART:${formatUtc(getReminderInstant(reminder, reminder.date, time))}`)
+  }
+  lines.push(`X-RAKALL-TIMEZONE:${getReminderTimeZone(reminder)}`)
+
+  if (reminder.createdAt) {
+    lines.push(`CREATED:${formatUtc(new Date(reminder.createdAt))}`)
+  }
+
+  // The amount line is for calendar apps; RAKALL reads the X- properties
+  // back and drops the line again on import
+  const hasAmount = typeof reminder.amount === 'number'
+  const description = [reminder.description, hasAmount && `${AMOUNT_LABEL} ${formatMoney(reminder.amount, reminder.currency)}`]
+    .filter(Boolean)
+    .join('\n')
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`)
+  }
+  if (hasAmount) {
+    lines.push(`X-RAKALL-AMOUNT:${reminder.amount}`)
+    if (reminder.currency) lines.push(`X-RAKALL-CURRENCY:${reminder.currency}`)
+  }
+
+  const tags = getReminderTags(reminder)
+  if (tags.length > 0) {
+    lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`)
+  }
+
+  const rrule = buildRrule(reminder, reminder.deadlineDate ? null : time)
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`)
+  }
+
+  // Not STATUS: calendar apps would show a paid bill as a cancelled event
+  lines.push(`X-RAKALL-COMPLETED:${reminder.completed ? 'TRUE' : 'FALSE'}`)
+
+  const alerts = getAlertDates(reminder)
+  const alarms = alerts.length > 0 ? alerts : [{ date: reminder.date, time }]
+  alarms.forEach(alert => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(reminder.title || 'Reminder')}`,
+      `TRIGGER:${buildTrigger(reminder, alert)}`,
+      'END:VALARM'
+    )
+  })
+  lines.push('END:VEVENT')
+
+  return lines
+}
+
+// The alarm fires at the alert date/time, expressed relative to the start
+// of the deadline event so calendar apps keep it attached to recurrences.
+function buildTrigger(reminder, alert) {
+  if (!reminder.deadlineDate) return 'PT0M'
+
+  const alertAt = getReminderInstant(reminder, alert.date, alert.time)
+  const eventStart = zonedTimeToDate(reminder.deadlineDate, '00:00', getReminderTimeZone(reminder))
+  if (!isValid(alertAt) || !isValid(eventStart)) return 'PT0M'
+
+  const minutes = differenceInMinutes(eventStart, alertAt)
+  const sign = minutes > 0 ? '-' : ''
+  const total = Math.abs(minutes)
+  const days = Math.floor(total / 1440)
+  const hours = Math.floor((total % 1440) / 60)
+  const mins = total % 60
+
+  let duration = `${sign}P`
+  if (days) duration += `${days}D`
+  if (hours || mins || !days) {
+    duration += 'T'
+    if (hours) duration += `${hours}H`
+    if (mins || !hours) duration += `${mins}M`
+  }
+  return duration
+}
+
+// `time` is the DTSTART time, null for all-day events
+function buildRrule(reminder, time) {
+  const rule = normalizeRecurrence(reminder.recurrence)
+  if (!rule) return null
+
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`]
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`)
+  if (rule.byWeekday) parts.push(`BYDAY=${rule.byWeekday.nth}${WEEKDAY_CODES[rule.byWeekday.weekday]}`)
+  // UNTIL has to match DTSTART's type: a UTC date-time for timed events,
+  // set to the last occurrence's start so that one is still included
+  if (rule.until) parts.push(`UNTIL=${time ? formatUtc(getReminderInstant(reminder, rule.until, time)) : toIcsDate(rule.until)}`)
+  else if (rule.count) parts.push(`COUNT=${rule.count}`)
+
+  return parts.join(';')
+}
+
+function parseRrule(value, timeZone) {
+  const parts = Object.fromEntries(
+    value.split(';').map(part => part.split('=')).filter(pair => pair.length === 2)
+  )
+
+  const freq = (parts.FREQ || '').toLowerCase()
+  const byDayMatch = (parts.BYDAY || '').match(/^(-?\d)([A-Z]{2})$/)
+
+  return normalizeRecurrence({
+    freq,
+    interval: parts.INTERVAL,
+    byWeekday: byDayMatch
+      ? { nth: Number(byDayMatch[1]), weekday: WEEKDAY_CODES.indexOf(byDayMatch[2]) }
+      : null,
+    until: parts.UNTIL ? parseIcsDateTime({ value: parts.UNTIL, params: {} }, timeZone)?.date || null : null,
+    count: parts.COUNT
+  })
+}
+
+function eventToDraft(event) {
+  const savedZone = event['X-RAKALL-TIMEZONE']?.value
+  const timeZone = isValidTimeZone(savedZone) ? savedZone : getHomeTimeZone()
+  const start = event.DTSTART && parseIcsDateTime(event.DTSTART, timeZone)
+  if (!start) return null
+
+  const title = unescapeText(event.SUMMARY?.value || '') || 'Imported Reminder'
+  const amount = Number.parseFloat(event['X-RAKALL-AMOUNT']?.value)
+  const hasAmount = Number.isFinite(amount)
+  let description = unescapeText(event.DESCRIPTION?.value || '')
+  if (hasAmount) {
+    description = description.replace(new RegExp(`(?:^|\\n)${AMOUNT_LABEL} [^\\n]*$`), '')
+  }
+  const uid = event.UID?.value || null
+  const recurrence = event.RRULE ? parseRrule(event.RRULE.value, timeZone) : null
+
+  const draft = {
+    icsUid: uid,
+    title,
+    description,
+    deadlineDate: start.date,
+    date: start.date,
+    time: start.time || DEFAULT_TIME,
+    timeZone,
+    reminderOffsets: [],
+    reminderPeriod: null,
+    recurrence
+  }
+
+  // Files from elsewhere say nothing, so an existing reminder keeps its state
+  if (event['X-RAKALL-COMPLETED']) {
+    draft.completed = event['X-RAKALL-COMPLETED'].value === 'TRUE'
+  }
+
+  if (hasAmount) {
+    draft.amount = amount
+    draft.currency = event['X-RAKALL-CURRENCY']?.value || null
+  }
+
+  if (event.CATEGORIES) {
+    draft.tags = normalizeTags(event.CATEGORIES.value.split(/(?<!\\),/).map(unescapeText))
+  }
+
+  const eventStart = zonedTimeToDate(start.date, start.time || '00:00', timeZone)
+  const alerts = event.alarms
+    .map(alarm => (alarm.TRIGGER ? parseDuration(alarm.TRIGGER.value) : null))
+    .filter(offsetMinutes => offsetMinutes !== null)
+    .map(offsetMinutes => new Date(eventStart.getTime() + offsetMinutes * 60000))
+    .sort((a, b) => a - b)
+
+  if (alerts.length > 0) {
+    // The earliest alarm is the reminder date; the rest only become offsets
+    const firstAlert = getZonedParts(alerts[0], timeZone)
+    draft.date = firstAlert.date
+    draft.time = firstAlert.time
+
+    const daysBefore = alerts.map(alertAt => getDaysBetween(getZonedParts(alertAt, timeZone).date, start.date))
+    if (daysBefore.every(days => days > 0)) {
+      draft.reminderOffsets = sortOffsets(daysBefore.map(days => PERIOD_LABELS[days] || `${days} days`))
+      draft.reminderPeriod = draft.reminderOffsets[0]
+    }
+  }
+
+  return draft
+}
+
+// Times in UTC or with a TZID are converted to wall-clock time in `timeZone`;
+// floating times are taken as they are
+function parseIcsDateTime(property, timeZone) {
+  const value = property.value.trim()
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+  if (!match) return null
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match
+  if (!hours) {
+    return { date: `${year}-${month}-${day}`, time: null }
+  }
+
+  if (utc) {
+    const instant = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds))
+    const { date, time } = getZonedParts(instant, timeZone)
+    return { date, time }
+  }
+
+  const wallClock = { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` }
+  const sourceZone = property.params.TZID
+  if (isValidTimeZone(sourceZone) && sourceZone !== timeZone) {
+    const { date, time } = getZonedParts(zonedTimeToDate(wallClock.date, wallClock.time, sourceZone), timeZone)
+    return { date, time }
+  }
+
+  return wallClock
+}
+
+// Returns the signed offset in minutes, e.g. "-P1DT2H" -> -1560
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match) return null
+
+  const [, sign, weeks, days, hours, minutes] = match
+  const total = (Number(weeks || 0) * 7 * 1440)
+    + (Number(days || 0) * 1440)
+    + (Number(hours || 0) * 60)
+    + Number(minutes || 0)
+
+  return sign === '-' ? -total : total
+}
+
+function parseProperty(line) {
+  const colonIndex = findValueSeparator(line)
+  if (colonIndex < 0) return null
+
+  const [name, ...params] = line.slice(0, colonIndex).split(';')
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, paramValue = ''] = param.split('=')
+      return [key.toUpperCase(), paramValue.replace(/^"|"$/g, '')]
+    })),
+    value: line.slice(colonIndex + 1)
+  }
+}
+
+// The first colon outside a quoted parameter value separates name and value
+function findValueSeparator(line) {
+  let quoted = false
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') quoted = !quoted
+    if (line[i] === ':' && !quoted) return i
+  }
+  return -1
+}
+
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+}
+
+function foldLine(line) {
+  const encoder = new TextEncoder()
+  if (encoder.encode(line).length <= 75) return line
+
+  const chunks = []
+  let current = ''
+  let currentBytes = 0
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length
+    const limit = chunks.length === 0 ? 75 : 74
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current)
+      current = ''
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += charBytes
+  }
+  chunks.push(current)
+
+  return chunks.join('\r\n ')
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// One pass, so an escaped backslash before "n" stays a backslash and an "n"
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char))
+}
+
+function toIcsDate(dateString) {
+  return dateString.replace(/-/g, '')
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
@@ -0,0 +1,225 @@
+/**
+ * LLM provider layer
+ *
+ * The extraction services talk to `createChatCompletion`, which posts the
+ * prompt to the RAKALL API server (server/). The server holds the provider API
+ * keys, applies per-client rate limits and forwards the request, so no key is
+ * ever part of the browser bundle. Which provider and model answer is chosen
+ * in Settings (persisted in localStorage) with defaults from the environment:
+ *
+ *   VITE_LLM_PROVIDER=groq | openai-compatible | gemini
+ *   VITE_LLM_MODEL=...
+ *   VITE_API_BASE_URL=...   (only when the API server is on another origin)
+ *
+ * Messages may carry `images: [{ mimeType, data }]` (base64); they are only
+ * sent for models marked as vision-capable.
+ */
+
+const SETTINGS_KEY = 'rakall-llm-settings'
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '')
+
+// `apiKeyEnv` and `baseUrlEnv` name the variables in the server's environment
+export const LLM_PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    defaultModel: 'llama-3.1-8b-instant',
+    apiKeyEnv: 'GROQ_API_KEY',
+    baseUrlEnv: 'GROQ_BASE_URL',
+    requiresApiKey: true,
+    vision: false
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible (OpenAI, Ollama, llama.cpp)',
+    defaultModel: 'llama3.1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    requiresApiKey: false,
+    vision: false
+  },
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: 'gemini-1.5-flash',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    baseUrlEnv: 'GEMINI_BASE_URL',
+    requiresApiKey: true,
+    vision: true
+  }
+}
+
+// null until GET /api/status has answered; { reachable: false } when it failed
+let serverStatus = null
+
+/**
+ * Asks the API server which providers have keys configured. Until it has
+ * answered every provider counts as configured and a failed request falls
+ * back to offline extraction as usual.
+ */
+export async function loadServerStatus() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/status`)
+    if (!response.ok) {
+      throw new Error(`Status request failed (${response.status})`)
+    }
+    serverStatus = { reachable: true, ...(await response.json()) }
+  } catch (error) {
+    serverStatus = { reachable: false, providers: {}, allowedModels: [] }
+  }
+  return serverStatus
+}
+
+export function getServerStatus() {
+  return serverStatus
+}
+
+export function getDefaultLlmSettings(providerId = import.meta.env.VITE_LLM_PROVIDER) {
+  const id = LLM_PROVIDERS[providerId] ? providerId : 'groq'
+  const provider = LLM_PROVIDERS[id]
+  const fromEnv = id === import.meta.env.VITE_LLM_PROVIDER
+
+  return {
+    provider: id,
+    model: (fromEnv && import.meta.env.VITE_LLM_MODEL) || provider.defaultModel,
+    vision: provider.vision
+  }
+}
+
+export function getLlmSettings() {
+  const defaults = getDefaultLlmSettings()
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY))
+    if (saved && LLM_PROVIDERS[saved.provider]) {
+      return { ...getDefaultLlmSettings(saved.provider), ...saved }
+    }
+  } catch (error) {
+    // fall back to defaults
+  }
+  return defaults
+}
+
+export function saveLlmSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+}
+
+export function getProviderLabel(settings = getLlmSettings()) {
+  return LLM_PROVIDERS[settings.provider]?.label || 'AI provider'
+}
+
+export function supportsVision(settings = getLlmSettings()) {
+  return Boolean(settings.vision)
+}
+
+/**
+ * Throws a configuration error when the API server is down or has no key for
+ * the selected provider (naming the server variable to set).
+ */
+export function assertLlmConfigured(settings = getLlmSettings()) {
+  const provider = LLM_PROVIDERS[settings.provider]
+  if (serverStatus && !serverStatus.reachable) {
+    const err = new Error('The RAKALL API server is not reachable. Start it with `npm run server`; it holds the AI provider keys.')
+    err.code = 'NOT_CONFIGURED'
+    throw err
+  }
+  if (serverStatus && !serverStatus.providers[settings.provider]?.configured) {
+    const err = new Error(`${provider.label} API key not configured. Set ${provider.apiKeyEnv} in the server's .env and restart it.`)
+    err.code = 'NOT_CONFIGURED'
+    throw err
+  }
+  if (!settings.model) {
+    throw new Error(`Choose a model for ${provider.label} in Settings.`)
+  }
+}
+
+export function isLlmConfigured(settings = getLlmSettings()) {
+  try {
+    assertLlmConfigured(settings)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Sends one chat completion through the API server. `purpose` picks the
+ * endpoint: 'document' (bill extraction, may carry images) or 'tasks'.
+ * Failed requests throw with the server's `status` and `code` (and
+ * `retryAfter` in seconds when rate limited).
+ */
+export async function createChatCompletion({ messages, temperature, max_tokens, purpose = 'document' }) {
+  const settings = getLlmSettings()
+  assertLlmConfigured(settings)
+  const provider = LLM_PROVIDERS[settings.provider]
+
+  const hasImages = messages.some(message => message.images?.length)
+  if (hasImages && !settings.vision) {
+    throw new Error(`${provider.label} (${settings.model}) is not set up for image input. Pick a vision-capable model in Settings, or let OCR read the image.`)
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/extract/${purpose}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      provider: settings.provider,
+      model: settings.model,
+      messages,
+      temperature,
+      max_tokens
+    })
+  })
+
+  let data = null
+  try {
+    data = await response.json()
+  } catch (error) {
+    // A proxy error page instead of JSON; handled below
+  }
+
+  if (!response.ok) {
+    const err = new Error(data?.error?.message || `${provider.label} request failed.`)
+    err.status = response.status
+    err.code = data?.error?.code || null
+    // Seconds until the server's rate limit window resets
+    err.retryAfter = Number(response.headers.get('Retry-After')) || null
+    throw err
+  }
+  return data?.content || ''
+}
+
+export function formatLlmError(error, fallbackMessage) {
+  const settings = getLlmSettings()
+  const provider = LLM_PROVIDERS[settings.provider]
+  const status = error?.status || error?.response?.status
+  const message = error?.message || ''
+
+  // Limits and configuration problems reported by the API server itself
+  if (['RATE_LIMITED', 'NOT_CONFIGURED', 'MODEL_NOT_ALLOWED'].includes(error?.code)) {
+    return message
+  }
+
+  // The server is up but the provider failed. When it could not be reached
+  // at all (down, or a wrong base URL) the upstream text is just "fetch failed"
+  if (error?.code === 'PROVIDER_ERROR' && status === 502) {
+    if (!message || /fetch failed|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|network/i.test(message)) {
+      return `Could not reach ${provider.label}. Check that it is running and that ${provider.baseUrlEnv} in the server's .env points at it.`
+    }
+    return `${provider.label} could not answer: ${message}`
+  }
+
+  if (status === 401 || /invalid_api_key|api key not valid/i.test(message)) {
+    return `${provider.label} API key is invalid. Update ${provider.apiKeyEnv} in the server's .env and restart it.`
+  }
+
+  if (status === 429 || /quota|resource_exhausted|rate|rate_limit/i.test(message)) {
+    return `${provider.label} quota exceeded. Check your plan and billing, or try again later.`
+  }
+
+  if (status === 503 || /overloaded/i.test(message)) {
+    return `${provider.label} is temporarily overloaded. Please try again in a moment.`
+  }
+
+  // Network errors, or a dev-proxy error page without our JSON error body
+  if ((error instanceof TypeError && /fetch/i.test(message)) || (status >= 500 && !error?.code)) {
+    return `Could not reach the RAKALL API server${API_BASE_URL ? ` at ${API_BASE_URL}` : ''}. Start it with \`npm run server\`.`
+  }
+
+  return message || fallbackMessage
+}
@@ -0,0 +1,179 @@
+/**
+ * Money parsing and formatting
+ *
+ * Amounts come out of documents in many shapes: "$1,234.56", "€1.234,56",
+ * "1 234,56 EUR", "NGN 25,000", "₦25,000" or a bare 1200 from the AI. This
+ * module turns them into `{ amount, currency }` (a number and an ISO 4217
+ * code) and formats them back for the user's locale with Intl.NumberFormat.
+ *
+ * Separators are read from the number itself: when both "." and "," appear
+ * the last one is the decimal separator; a single separator followed by
+ * exactly three digits is a grouping separator ("1,234", "1.234"); otherwise
+ * it is the decimal separator ("12,5", "12.50").
+ */
+
+export const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'NGN', 'JPY', 'CNY', 'INR', 'CAD', 'AUD', 'NZD', 'CHF',
+  'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'ZAR', 'KES', 'GHS', 'EGP', 'BRL',
+  'MXN', 'KRW', 'SGD', 'HKD', 'AED', 'SAR', 'TRY', 'RUB', 'PHP', 'IDR', 'THB'
+]
+
+// Longer symbols first so "R$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['R$', 'BRL'],
+  ['S$', 'SGD'],
+  ['HK$', 'HKD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['₦', 'NGN'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₺', 'TRY'],
+  ['₽', 'RUB'],
+  ['₱', 'PHP'],
+  ['₵', 'GHS'],
+  ['zł', 'PLN']
+]
+
+const REGION_CURRENCIES = {
+  US: 'USD', GB: 'GBP', NG: 'NGN', JP: 'JPY', CN: 'CNY', IN: 'INR', CA: 'CAD',
+  AU: 'AUD', NZ: 'NZD', CH: 'CHF', SE: 'SEK', NO: 'NOK', DK: 'DKK', PL: 'PLN',
+  CZ: 'CZK', HU: 'HUF', ZA: 'ZAR', KE: 'KES', GH: 'GHS', EG: 'EGP', BR: 'BRL',
+  MX: 'MXN', KR: 'KRW', SG: 'SGD', HK: 'HKD', AE: 'AED', SA: 'SAR', TR: 'TRY',
+  RU: 'RUB', PH: 'PHP', ID: 'IDR', TH: 'THB'
+}
+const EURO_REGIONS = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK']
+const FALLBACK_CURRENCY = 'USD'
+
+const NUMBER_PATTERN = "\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d[\\d,.']*\\d|\\d"
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => symbol.replace(/\$/g, '\\$')).join('|')
+const CODE_PATTERN = CURRENCY_CODES.join('|')
+const MONEY_REGEX = new RegExp(
+  `(?:(${SYMBOL_PATTERN})\\s?(${NUMBER_PATTERN})`
+  + `|\\b(${CODE_PATTERN})\\s?(${NUMBER_PATTERN})`
+  + `|(?<![\\d/.-])(${NUMBER_PATTERN})\\s?(${CODE_PATTERN}|${SYMBOL_PATTERN})(?!\\s?\\d))`,
+  // Case-sensitive so words like "try" or "rub" are not read as codes
+  'g'
+)
+
+export function getUserLocale() {
+  return (typeof navigator !== 'undefined' && navigator.language) || 'en-US'
+}
+
+/**
+ * The currency of the user's region, used when a document names none.
+ */
+export function getDefaultCurrency(locale = getUserLocale()) {
+  try {
+    const region = new Intl.Locale(locale).maximize().region
+    if (EURO_REGIONS.includes(region)) return 'EUR'
+    return REGION_CURRENCIES[region] || FALLBACK_CURRENCY
+  } catch (error) {
+    return FALLBACK_CURRENCY
+  }
+}
+
+/**
+ * Parses a number written with any common grouping/decimal separators.
+ * Returns null when `raw` holds no number.
+ */
+export function parseAmountNumber(raw) {
+  if (raw === null || raw === undefined) return null
+  let number = String(raw).replace(/['\s]/g, '').replace(/[.,]$/, '')
+  if (!/^\d[\d.,]*$/.test(number)) return null
+
+  const lastComma = number.lastIndexOf(',')
+  const lastDot = number.lastIndexOf('.')
+
+  if (lastComma >= 0 && lastDot >= 0) {
+    const decimal = lastComma > lastDot ? ',' : '.'
+    const grouping = decimal === ',' ? '.' : ','
+    number = number.split(grouping).join('').replace(decimal, '.')
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const separator = lastComma >= 0 ? ',' : '.'
+    const parts = number.split(separator)
+    const isGrouping = parts.length > 2 || (parts[1].length === 3 && parts[0] !== '0')
+    number = isGrouping ? parts.join('') : parts.join('.')
+  }
+
+  const value = Number.parseFloat(number)
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * Returns the ISO code for a currency symbol or code, or null.
+ */
+export function toCurrencyCode(symbolOrCode) {
+  if (!symbolOrCode) return null
+  const upper = String(symbolOrCode).trim().toUpperCase()
+  if (CURRENCY_CODES.includes(upper)) return upper
+
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => candidate.toUpperCase() === upper)
+  return symbol ? symbol[1] : null
+}
+
+/**
+ * Finds amounts with a currency in free text: [{ text, amount, currency, index }].
+ */
+export function findMoney(text) {
+  const found = []
+  for (const match of String(text || '').matchAll(MONEY_REGEX)) {
+    const [, symbol, symbolNumber, code, codeNumber, trailingNumber, trailingCurrency] = match
+    const amount = parseAmountNumber(symbolNumber || codeNumber || trailingNumber)
+    if (amount === null) continue
+
+    found.push({
+      text: match[0].trim(),
+      amount,
+      currency: toCurrencyCode(symbol || code || trailingCurrency),
+      index: match.index
+    })
+  }
+  return found
+}
+
+/**
+ * Normalizes an amount from any source into `{ amount, currency }`, or null.
+ * Accepts numbers, strings with or without a currency and `{ amount, currency }`
+ * objects. `defaultCurrency` fills in when the value names none.
+ */
+export function parseMoney(value, { defaultCurrency = null } = {}) {
+  if (value === null || value === undefined || value === '') return null
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { amount: value, currency: defaultCurrency } : null
+  }
+
+  if (typeof value === 'object') {
+    const parsed = parseMoney(value.amount, { defaultCurrency })
+    return parsed && { ...parsed, currency: toCurrencyCode(value.currency) || parsed.currency }
+  }
+
+  const text = String(value)
+  const [money] = findMoney(text)
+  if (money) {
+    return { amount: money.amount, currency: money.currency || defaultCurrency }
+  }
+
+  const bare = text.match(new RegExp(NUMBER_PATTERN))
+  const amount = bare ? parseAmountNumber(bare[0]) : null
+  if (amount === null) return null
+
+  const code = text.match(new RegExp(`\\b(${CODE_PATTERN})\\b`))
+  return { amount, currency: code ? code[1] : defaultCurrency }
+}
+
+export function formatMoney(amount, currency, locale = getUserLocale()) {
+  const code = currency || getDefaultCurrency(locale)
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(amount)
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${code}`
+  }
+}
@@ -1,63 +1,416 @@
+import { formatDistanceStrict } from 'date-fns'
+import {
+  completeOccurrence,
+  getNextOccurrence,
+  isRecurring
+} from './recurrenceService'
+import { getAlertDates } from './reminderOffsetService'
+import {
+  DEFAULT_TIME,
+  addDaysToDate,
+  getDeviceTimeZone,
+  getReminderInstant,
+  getReminderTimeZone,
+  getTimeZoneLabel,
+  getZonedParts,
+  zonedTimeToDate
+} from './dateService'
+
 const MAX_TIMEOUT_MS = 2147483647 // ~24.8 days
+const SERVICE_WORKER_URL = '/sw.js'
+// How many future occurrences of a repeating reminder the service worker gets
+// ahead of time, so the series keeps going without the app re-posting it.
+const RECURRING_LOOKAHEAD = 3
+const MAX_OCCURRENCE_STEPS = 1000
 const scheduledTimers = new Map()
+const SNOOZE_MORNING_TIME = '09:00'
+const QUIET_HOURS = { start: 22, end: 8 }
+
+// Keep the ids in sync with SNOOZE_ACTIONS in public/sw.js
+export const SNOOZE_PRESETS = [
+  { id: '10m', label: '10 min' },
+  { id: '1h', label: '1 hour' },
+  { id: 'tomorrow', label: 'Tomorrow morning' }
+]
+
+// Follow-up alerts between the reminder date and the deadline. Each one comes
+// halfway between the previous alert and the deadline, so they get closer
+// together as the deadline nears; the last one fires at the deadline itself.
+// Follow-ups that would land between 22:00 and 08:00 wait until 08:00.
+export const ESCALATION_POLICIES = {
+  off: { label: 'No follow-ups' },
+  standard: { label: 'Follow up (up to 4 times)', maxFollowUps: 4, minIntervalMinutes: 60 },
+  persistent: { label: 'Keep nagging (up to 10 times)', maxFollowUps: 10, minIntervalMinutes: 15 }
+}
+
+let workerRegistrationPromise = null
 
 export function isNotificationSupported() {
   return typeof window !== 'undefined' && 'Notification' in window
 }
 
+export function isServiceWorkerSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+}
+
 export async function requestNotificationPermission() {
   if (!isNotificationSupported()) return 'unsupported'
   if (Notification.permission === 'granted') return 'granted'
   return Notification.requestPermission()
 }
 
+export function registerNotificationWorker() {
+  if (!isServiceWorkerSupported()) {
+    return Promise.resolve(null)
+  }
+
+  if (!workerRegistrationPromise) {
+    workerRegistrationPromise = navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .catch(error => {
+        console.error('Service worker registration failed:', error)
+        return null
+      })
+  }
+
+  return workerRegistrationPromise
+}
+
 export function clearAllScheduledNotifications() {
   scheduledTimers.forEach(timeoutId => clearTimeout(timeoutId))
   scheduledTimers.clear()
 }
 
-export function scheduleNotifications(reminders) {
+export async function clearWorkerSchedule() {
+  const registration = await registerNotificationWorker()
+  registration?.active?.postMessage({ type: 'CLEAR' })
+}
+
+/**
+ * Hands the schedule to the service worker, or arms in-page timers when there
+ * is none. `isCancelled` is checked once the worker is ready, so a schedule
+ * superseded in the meantime neither reaches the worker nor leaves timers.
+ */
+export async function scheduleNotifications(reminders, isCancelled = () => false) {
+  clearAllScheduledNotifications()
+
   if (!isNotificationSupported() || Notification.permission !== 'granted') {
-    clearAllScheduledNotifications()
     return
   }
 
-  clearAllScheduledNotifications()
+  const pending = reminders.filter(reminder => !reminder.completed)
+  const registration = await registerNotificationWorker()
+  if (isCancelled()) return
+
+  if (registration?.active) {
+    registration.active.postMessage({
+      type: 'SCHEDULE',
+      entries: buildWorkerSchedule(pending)
+    })
+    return
+  }
+
+  // No service worker: fall back to in-page timers while the tab is open
+  pending.forEach(reminder => {
+    scheduleReminder(reminder)
+    scheduleFollowUps(reminder)
+  })
+}
+
+export function getSnoozeUntil(presetId, now = new Date()) {
+  if (presetId === '1h') {
+    return new Date(now.getTime() + 60 * 60 * 1000).toISOString()
+  }
+  if (presetId === 'tomorrow') {
+    // Morning where the user is now, like the service worker's snooze
+    const timeZone = getDeviceTimeZone()
+    const tomorrow = addDaysToDate(getZonedParts(now, timeZone).date, 1)
+    return zonedTimeToDate(tomorrow, SNOOZE_MORNING_TIME, timeZone).toISOString()
+  }
+  return new Date(now.getTime() + 10 * 60 * 1000).toISOString()
+}
+
+/**
+ * Follow-up alert times for the reminder's current occurrence, from its
+ * alert time up to the deadline, according to its escalation policy.
+ */
+export function getEscalationTimes(reminder) {
+  const policy = ESCALATION_POLICIES[reminder.escalation]
+  if (!policy?.maxFollowUps || !reminder.deadlineDate) return []
+
+  // Follow-ups start after the last offset alert
+  const lastAlert = getAlertDates(reminder).pop()
+  if (!lastAlert) return []
+  const alertAt = getReminderInstant(reminder, lastAlert.date, lastAlert.time)
+  const deadline = getReminderInstant(reminder, reminder.deadlineDate)
+  if (Number.isNaN(alertAt.getTime()) || Number.isNaN(deadline.getTime())) return []
+
+  const minInterval = policy.minIntervalMinutes * 60 * 1000
+  const times = []
+  let previous = alertAt.getTime()
+
+  while (times.length < policy.maxFollowUps - 1) {
+    const halfway = (deadline.getTime() - previous) / 2
+    if (halfway < minInterval) break
+    previous += halfway
+    times.push(new Date(previous))
+  }
+
+  if (deadline.getTime() - previous >= minInterval) {
+    times.push(deadline)
+  }
+
+  // Follow-ups that land overnight wait for the morning
+  const deferred = [...new Set(times.map(time => deferQuietHours(time).getTime()))]
+  const latest = deferQuietHours(deadline).getTime()
+  return deferred.filter(time => time <= latest).map(time => new Date(time))
+}
+
+// Quiet hours follow the device clock: they are about where the user is
+// sleeping, not the time zone the deadline belongs to
+function deferQuietHours(time) {
+  const timeZone = getDeviceTimeZone()
+  const { date, hour } = getZonedParts(time, timeZone)
+  const morning = `${String(QUIET_HOURS.end).padStart(2, '0')}:00`
+  if (hour >= QUIET_HOURS.start) {
+    return zonedTimeToDate(addDaysToDate(date, 1), morning, timeZone)
+  }
+  if (hour < QUIET_HOURS.end) {
+    return zonedTimeToDate(date, morning, timeZone)
+  }
+  return time
+}
+
+/**
+ * Subscribes to "Mark done" / "Snooze" actions taken on service worker
+ * notifications. Actions taken while no tab was open are drained on subscribe.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToNotificationActions(handler) {
+  if (!isServiceWorkerSupported()) {
+    return () => {}
+  }
+
+  const onMessage = (event) => {
+    if (event.data?.type === 'REMINDER_ACTION') {
+      handler(event.data.action)
+    }
+  }
+
+  navigator.serviceWorker.addEventListener('message', onMessage)
+
+  registerNotificationWorker().then(registration => {
+    if (!registration?.active) return
+    const channel = new MessageChannel()
+    channel.port1.onmessage = (event) => {
+      (event.data?.actions || []).forEach(handler)
+    }
+    registration.active.postMessage({ type: 'DRAIN_ACTIONS' }, [channel.port2])
+  })
+
+  return () => navigator.serviceWorker.removeEventListener('message', onMessage)
+}
+
+/**
+ * Translates a notification action into the updates for its reminder.
+ * Returns null when the action no longer applies (e.g. the occurrence was
+ * already completed from another tab).
+ */
+export function getNotificationActionUpdates(reminder, action) {
+  if (!reminder || reminder.completed) return null
+
+  if (action.type === 'snooze') {
+    return { snoozedUntil: action.snoozedUntil }
+  }
+
+  if (action.type !== 'done') return null
+
+  if (!isRecurring(reminder)) {
+    return { completed: true, snoozedUntil: null }
+  }
+
+  const occurrenceDate = action.occurrenceDate || reminder.date
+  if (occurrenceDate < reminder.date) return null
+
+  // Roll past every occurrence up to the one the notification was for
+  let current = reminder
+  let updates = {}
+  while (!current.completed && current.date <= occurrenceDate) {
+    updates = { ...updates, ...completeOccurrence(current) }
+    current = { ...current, ...updates }
+  }
 
+  return { ...updates, snoozedUntil: null }
+}
+
+function buildWorkerSchedule(reminders) {
   const now = new Date()
+  const entries = []
 
   reminders.forEach(reminder => {
-    if (reminder.completed) return
+    getUpcomingAlerts(reminder, now).forEach(({ key, occurrence, triggerAt }) => {
+      entries.push({
+        id: `${reminder.id}:${key}`,
+        reminderId: reminder.id,
+        occurrenceDate: occurrence.date,
+        triggerAt,
+        title: occurrence.title || 'Reminder',
+        body: getNotificationBody(occurrence),
+        tag: `reminder-${reminder.id}`
+      })
+    })
+
+    entries.push(...buildFollowUpEntries(reminder, now))
+  })
 
-    const time = reminder.time || '09:00'
-    const triggerDate = new Date(`${reminder.date}T${time}`)
-    const delay = triggerDate.getTime() - now.getTime()
+  return entries
+}
 
-    if (Number.isNaN(triggerDate.getTime()) || delay <= 0) return
-    if (delay > MAX_TIMEOUT_MS) return
+// Every alert still to come: a pending snooze, then each offset alert of the
+// current occurrence (and a few ahead for repeating reminders, so the series
+// keeps going without the app re-posting it). Alerts inside a snooze are skipped.
+function getUpcomingAlerts(reminder, now) {
+  const alerts = []
+  const snoozedUntil = reminder.snoozedUntil ? new Date(reminder.snoozedUntil).getTime() : 0
+  const notBefore = Math.max(now.getTime(), snoozedUntil)
+
+  if (snoozedUntil > now.getTime()) {
+    alerts.push({ key: `snooze:${reminder.snoozedUntil}`, occurrence: reminder, triggerAt: snoozedUntil })
+  }
+
+  let occurrence = getPendingOccurrence(reminder, now)
+  let remaining = isRecurring(reminder) ? RECURRING_LOOKAHEAD : 1
+
+  while (occurrence && remaining > 0) {
+    getAlertDates(occurrence).forEach(alert => {
+      const triggerAt = getReminderInstant(occurrence, alert.date, alert.time).getTime()
+      if (triggerAt > notBefore) {
+        alerts.push({ key: `${alert.date}T${alert.time}`, occurrence, triggerAt })
+      }
+    })
+
+    remaining -= 1
+    const next = isRecurring(occurrence) ? getNextOccurrence(occurrence) : null
+    occurrence = next ? { ...occurrence, ...next, snoozedUntil: null } : null
+  }
+
+  return alerts
+}
+
+// The first occurrence with an alert still ahead; recurring reminders whose
+// current alerts have all passed move on to the next occurrence instead of
+// being dropped.
+function getPendingOccurrence(reminder, now) {
+  let current = reminder
+  for (let step = 0; step < MAX_OCCURRENCE_STEPS; step += 1) {
+    const alerts = getAlertDates(current)
+    if (alerts.some(alert => getReminderInstant(current, alert.date, alert.time).getTime() > now.getTime())) {
+      return current
+    }
+    if (!isRecurring(current)) return null
+
+    const next = getNextOccurrence(current)
+    if (!next) return null
+    current = { ...current, ...next }
+  }
+  return null
+}
+
+// Follow-ups belong to the pending occurrence and keep coming until it is
+// completed, including after its first alert has fired.
+function buildFollowUpEntries(reminder, now) {
+  const deadline = getReminderInstant(reminder, reminder.deadlineDate)
 
-    const timeoutId = setTimeout(() => {
-      showReminderNotification(reminder)
-      scheduledTimers.delete(reminder.id)
-    }, delay)
+  return getFollowUpTimes(reminder, now).map(({ time, index }) => ({
+    id: `${reminder.id}:${reminder.date}T${reminder.time || DEFAULT_TIME}:followup-${index}`,
+    reminderId: reminder.id,
+    occurrenceDate: reminder.date,
+    triggerAt: time.getTime(),
+    title: `⏰ ${reminder.title || 'Reminder'}`,
+    body: [getDeadlineCountdown(deadline, time), getNotificationBody(reminder)].filter(Boolean).join(' • '),
+    tag: `reminder-${reminder.id}`
+  }))
+}
+
+// Skips follow-ups that are already past or fall inside a snooze
+function getFollowUpTimes(reminder, now) {
+  const notBefore = Math.max(now.getTime(), reminder.snoozedUntil ? new Date(reminder.snoozedUntil).getTime() : 0)
+  return getEscalationTimes(reminder)
+    .map((time, index) => ({ time, index }))
+    .filter(({ time }) => time.getTime() > notBefore)
+}
 
-    scheduledTimers.set(reminder.id, timeoutId)
+function getDeadlineCountdown(deadline, at) {
+  if (deadline.getTime() <= at.getTime()) return 'Due now'
+  return `Due in ${formatDistanceStrict(deadline, at)}`
+}
+
+function scheduleReminder(reminder) {
+  const now = new Date()
+
+  getUpcomingAlerts(reminder, now).forEach(({ key, occurrence, triggerAt }) => {
+    const delay = triggerAt - now.getTime()
+    if (Number.isNaN(delay) || delay > MAX_TIMEOUT_MS) return
+
+    const timerKey = `${reminder.id}:${key}`
+    scheduledTimers.set(timerKey, setTimeout(() => {
+      scheduledTimers.delete(timerKey)
+      showReminderNotification(occurrence)
+      // Once the look-ahead is used up, schedule the next alerts of the series
+      if (isRecurring(reminder) && !hasTimersFor(reminder.id)) {
+        scheduleReminder({ ...occurrence, snoozedUntil: null })
+      }
+    }, delay))
   })
 }
 
-function showReminderNotification(reminder) {
-  if (!isNotificationSupported() || Notification.permission !== 'granted') return
+function hasTimersFor(reminderId) {
+  return [...scheduledTimers.keys()].some(key => key.startsWith(`${reminderId}:`) && !key.includes('followup'))
+}
+
+function scheduleFollowUps(reminder) {
+  const now = new Date()
+  const deadline = getReminderInstant(reminder, reminder.deadlineDate)
+
+  getFollowUpTimes(reminder, now).forEach(({ time, index }) => {
+    const delay = time.getTime() - now.getTime()
+    if (delay > MAX_TIMEOUT_MS) return
 
+    const key = `${reminder.id}:followup-${index}`
+    scheduledTimers.set(key, setTimeout(() => {
+      scheduledTimers.delete(key)
+      showReminderNotification({
+        ...reminder,
+        title: `⏰ ${reminder.title || 'Reminder'}`,
+        description: [getDeadlineCountdown(deadline, time), reminder.description].filter(Boolean).join(' • ')
+      })
+    }, delay))
+  })
+}
+
+function getNotificationBody(reminder) {
   const bodyParts = []
   if (reminder.deadlineDate) bodyParts.push(`Due: ${reminder.deadlineDate}`)
-  if (reminder.time) bodyParts.push(`Time: ${reminder.time}`)
+  if (reminder.time) bodyParts.push(`Time: ${reminder.time}${getZoneSuffix(reminder)}`)
   if (reminder.description) bodyParts.push(reminder.description)
 
-  const body = bodyParts.filter(Boolean).join(' • ')
+  return bodyParts.filter(Boolean).join(' • ')
+}
+
+// Travelling users see which clock the time is on
+function getZoneSuffix(reminder) {
+  const timeZone = getReminderTimeZone(reminder)
+  return timeZone === getDeviceTimeZone() ? '' : ` (${getTimeZoneLabel(timeZone)})`
+}
+
+function showReminderNotification(reminder) {
+  if (!isNotificationSupported() || Notification.permission !== 'granted') return
 
   new Notification(reminder.title || 'Reminder', {
-    body,
+    body: getNotificationBody(reminder),
     icon: '/logo.png',
-    tag: `reminder-${reminder.id}`
+    tag: `reminder-${reminder.id}`,
+    renotify: true
   })
 }
@@ -0,0 +1,129 @@
+/**
+ * OCR Service for photographed bills and scanned PDFs
+ *
+ * Runs Tesseract (WASM) in a web worker, fully in the browser: images never
+ * leave the device. The recognized text then goes through the normal text
+ * extraction path.
+ *
+ * The worker script, WASM core and English language data are served by the
+ * app itself under /tesseract/ (copied there by vite.config.js), so OCR needs
+ * no third-party CDN. VITE_OCR_LANGUAGE changes the language (default "eng");
+ * other languages load from VITE_OCR_LANG_PATH, or from Tesseract's CDN when
+ * that is not set.
+ */
+
+import { createWorker } from 'tesseract.js'
+
+const OCR_LANGUAGE = import.meta.env.VITE_OCR_LANGUAGE || 'eng'
+// Language data bundled with the app (see OCR_ASSETS in vite.config.js)
+const BUNDLED_LANGUAGES = ['eng']
+
+// PDFs with less text than this per page are treated as image-only scans
+const MIN_TEXT_CHARS_PER_PAGE = 30
+const PDF_RENDER_SCALE = 2
+
+let workerPromise = null
+let progressHandler = null
+// The worker reports progress for one job at a time, so batch scans take turns
+let recognitionQueue = Promise.resolve()
+
+function getWorker() {
+  if (!workerPromise) {
+    const options = {
+      workerPath: '/tesseract/worker.min.js',
+      corePath: '/tesseract/core',
+      logger: (message) => {
+        if (progressHandler && typeof message.progress === 'number') {
+          progressHandler(message)
+        }
+      }
+    }
+    if (import.meta.env.VITE_OCR_LANG_PATH) {
+      options.langPath = import.meta.env.VITE_OCR_LANG_PATH
+    } else if (BUNDLED_LANGUAGES.includes(OCR_LANGUAGE)) {
+      options.langPath = '/tesseract/lang'
+    }
+
+    workerPromise = createWorker(OCR_LANGUAGE, 1, options)
+      .catch(error => {
+        workerPromise = null
+        throw new Error(`OCR engine failed to load: ${error.message || error}`)
+      })
+  }
+  return workerPromise
+}
+
+/**
+ * Recognizes text in one image (File, Blob, canvas or data URL).
+ * `onProgress` receives a value between 0 and 1.
+ * Returns { text, confidence } with confidence between 0 and 1.
+ */
+export function recognizeImage(image, options = {}) {
+  const job = recognitionQueue.then(() => recognizeNow(image, options))
+  recognitionQueue = job.catch(() => {})
+  return job
+}
+
+async function recognizeNow(image, { onProgress } = {}) {
+  const worker = await getWorker()
+  progressHandler = (message) => {
+    if (message.status === 'recognizing text') {
+      onProgress?.(message.progress)
+    }
+  }
+
+  try {
+    const { data } = await worker.recognize(image)
+    onProgress?.(1)
+    return {
+      text: (data.text || '').trim(),
+      confidence: (data.confidence || 0) / 100
+    }
+  } finally {
+    progressHandler = null
+  }
+}
+
+/**
+ * Whether text pulled from a PDF's text layer is too thin to be useful, i.e.
+ * the PDF is a scan that needs OCR.
+ */
+export function needsOcr(text, pageCount) {
+  const length = (text || '').replace(/\s+/g, '').length
+  return length < MIN_TEXT_CHARS_PER_PAGE * Math.max(1, pageCount)
+}
+
+/**
+ * Renders the pages of a loaded pdf.js document and OCRs each one.
+ * `onProgress` receives { page, pageCount, progress } where progress covers
+ * the whole document (0-1).
+ * Returns { text, pages: [{ page, text, confidence }] }.
+ */
+export async function recognizePdf(pdf, { maxPages = pdf.numPages, onProgress } = {}) {
+  const pageCount = Math.min(pdf.numPages, maxPages)
+  const pages = []
+
+  for (let pageNum = 1; pageNum <= pageCount; pageNum += 1) {
+    const page = await pdf.getPage(pageNum)
+    const viewport = page.getViewport({ scale: PDF_RENDER_SCALE })
+    const canvas = document.createElement('canvas')
+    canvas.width = viewport.width
+    canvas.height = viewport.height
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise
+
+    const result = await recognizeImage(canvas, {
+      onProgress: (progress) => onProgress?.({
+        page: pageNum,
+        pageCount,
+        progress: (pageNum - 1 + progress) / pageCount
+      })
+    })
+    pages.push({ page: pageNum, ...result })
+    page.cleanup()
+  }
+
+  return {
+    text: pages.map(page => page.text).join('\n').trim(),
+    pages
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Offline rule-based extraction
+ *
+ * Used automatically when no AI provider is configured or the provider call
+ * fails. Everything runs locally: dates (ISO, numeric, month names, weekdays
+ * and relative phrases), times, currency amounts and bill names are found
+ * with regular expressions. Results carry `source: 'offline'` and a lower
+ * confidence so the UI can ask the user to double-check them.
+ */
+
+import { addDays, addMonths, addWeeks, endOfMonth, format, isBefore, startOfDay } from 'date-fns'
+import { findMoney } from './moneyService'
+import { getToday, toLocalCalendarDate } from './dateService'
+import { suggestCategory } from './tagService'
+
+export const OFFLINE_SOURCE = 'offline'
+
+const BILL_CONFIDENCE = 0.45
+const TASK_CONFIDENCE = 0.5
+const UNDATED_TASK_CONFIDENCE = 0.35
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)'
+
+const DUE_KEYWORDS = /\b(due|pay(?:ment)?\s+by|deadline|installment|instalment|renew(?:s|al)?|expires?|expiry|late\s+fee|no\s+later\s+than|before)\b/i
+const AMOUNT_KEYWORDS = /\b(amount\s+due|total\s+due|balance\s+due|minimum\s+(?:payment|due)|total|amount|balance|premium|installment|instalment)\b/i
+
+const BILL_TYPES = [
+  [/electric(?:ity)?|power\s+bill|energy/i, 'Electricity Bill'],
+  [/\bwater\b|sewer/i, 'Water Bill'],
+  [/\bgas\b/i, 'Gas Bill'],
+  [/internet|broadband|wi-?fi/i, 'Internet Bill'],
+  [/mobile|phone|wireless|cellular/i, 'Phone Bill'],
+  [/credit\s+card|card\s+statement/i, 'Credit Card Payment'],
+  [/mortgage/i, 'Mortgage Payment'],
+  [/\brent\b|lease/i, 'Rent Payment'],
+  [/insurance|premium|policy/i, 'Insurance Premium'],
+  [/\btax(?:es)?\b/i, 'Tax Payment'],
+  [/subscription|membership/i, 'Subscription Renewal'],
+  [/loan/i, 'Loan Payment'],
+  [/tuition|school\s+fee/i, 'Tuition Payment'],
+  [/invoice/i, 'Invoice']
+]
+
+const ACTION_PATTERNS = [
+  /\b(?:need to|needs to|should|must|have to|has to|remember to|don't forget to|going to|will)\s+([^.!?\n]+)/i,
+  /\b((?:call|email|meet|pay|renew|schedule|book|buy|send|submit|complete|finish|file|return|cancel|register|sign up for|pick up)\b[^.!?\n]*)/i
+]
+
+/**
+ * Finds bills and deadlines in document text.
+ * Returns [{ billName, deadlineDate, time, amount, currency, category, description,
+ * confidence, source }].
+ */
+export function extractBillsOffline(text, today = getHomeToday()) {
+  if (!text || !text.trim()) return []
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+  const documentName = detectBillName(text, lines)
+  const documentAmount = findDocumentAmount(lines)
+  const bills = []
+  const seenDates = new Set()
+
+  lines.forEach((line, index) => {
+    if (!DUE_KEYWORDS.test(line)) return
+
+    // The date is usually on the same line as the label, or on the next one
+    // after a bare "Due date:" style label
+    const dates = findDates(line, today)
+    const isBareLabel = /(?:due|date|deadline|pay\s+by)\s*:?$/i.test(line)
+    const nextDates = dates.length === 0 && isBareLabel && lines[index + 1] ? findDates(lines[index + 1], today) : []
+    const found = dates[0] || nextDates[0]
+    if (!found || seenDates.has(found.date)) return
+    seenDates.add(found.date)
+
+    const lineAmount = findAmounts(line)[0] || (isBareLabel ? findAmounts(lines[index + 1] || '')[0] : null)
+    const label = getDeadlineLabel(line)
+
+    bills.push({
+      billName: label ? `${documentName} – ${label}` : documentName,
+      deadlineDate: found.date,
+      time: findTime(line),
+      amount: (lineAmount || documentAmount)?.amount ?? null,
+      currency: (lineAmount || documentAmount)?.currency ?? null,
+      description: line.substring(0, 200)
+    })
+  })
+
+  if (bills.length === 0) {
+    const firstDate = findDates(text, today)[0]
+    if (!firstDate && !documentAmount) return []
+
+    bills.push({
+      billName: documentName,
+      deadlineDate: firstDate?.date || null,
+      time: null,
+      amount: documentAmount?.amount ?? null,
+      currency: documentAmount?.currency ?? null,
+      description: text.trim().substring(0, 200)
+    })
+  }
+
+  // A single unlabelled deadline needs no suffix
+  if (bills.length === 1) {
+    bills[0].billName = documentName
+  }
+
+  const category = suggestCategory(text)
+  return bills.map(bill => ({ ...bill, category, confidence: BILL_CONFIDENCE, source: OFFLINE_SOURCE }))
+}
+
+/**
+ * Finds actionable sentences in free text.
+ * Returns tasks in the same shape as the AI text extraction.
+ */
+export function extractTasksOffline(text, today = getHomeToday()) {
+  if (!text || !text.trim()) return []
+
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(sentence => sentence.length >= 6)
+  const tasks = []
+
+  sentences.forEach(sentence => {
+    const action = ACTION_PATTERNS
+      .map(pattern => sentence.match(pattern))
+      .find(Boolean)
+    if (!action) return
+
+    const dateMatch = findDates(sentence, today)[0]
+    const price = findAmounts(sentence)[0]
+    const title = toTaskTitle(action[1], today)
+    if (!title) return
+
+    tasks.push({
+      title,
+      date: dateMatch?.date || format(today, 'yyyy-MM-dd'),
+      time: findTime(sentence),
+      description: sentence.substring(0, 200),
+      confidence: dateMatch ? TASK_CONFIDENCE : UNDATED_TASK_CONFIDENCE,
+      entities: [],
+      sourceText: sentence.substring(0, 100),
+      price: price ? price.amount : null,
+      currency: price ? price.currency : null,
+      category: suggestCategory(sentence),
+      source: OFFLINE_SOURCE
+    })
+  })
+
+  return tasks
+}
+
+/**
+ * Returns every date found in `text`, in order of appearance:
+ * [{ date: 'YYYY-MM-DD', index, length }].
+ */
+export function findDates(text, today = getHomeToday()) {
+  const base = startOfDay(today)
+  const matches = []
+  const add = (match, date) => {
+    if (!date) return
+    const overlaps = matches.some(existing => (
+      match.index < existing.index + existing.length && existing.index < match.index + match[0].length
+    ))
+    if (!overlaps) {
+      matches.push({ date: format(date, 'yyyy-MM-dd'), index: match.index, length: match[0].length })
+    }
+  }
+
+  // 2025-03-14
+  for (const match of text.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g)) {
+    add(match, buildDate(+match[1], +match[2], +match[3]))
+  }
+
+  // 03/14/2025, 14.03.2025, 14/03/25 (day first when unambiguous or dotted)
+  for (const match of text.matchAll(/\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g)) {
+    const [, first, separator, second, yearText] = match
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText)
+    const dayFirst = separator === '.' || Number(first) > 12
+    add(match, dayFirst
+      ? buildDate(year, +second, +first)
+      : buildDate(year, +first, +second))
+  }
+
+  // March 14, 2025 / Mar 14th
+  const monthFirst = new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi')
+  for (const match of text.matchAll(monthFirst)) {
+    add(match, buildNamedDate(match[1], match[2], match[3], base))
+  }
+
+  // 14 March 2025 / 14th of March
+  const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\.?(?:,?\\s+(\\d{4}))?\\b`, 'gi')
+  for (const match of text.matchAll(dayFirst)) {
+    add(match, buildNamedDate(match[2], match[1], match[3], base))
+  }
+
+  // Relative phrases
+  const relative = /\b(day after tomorrow|today|tonight|tomorrow|next week|next month|end of (?:the )?month|in (\d+|a|an|one|two|three) (day|week|month)s?|(?:(next|this|on|by)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday))\b/gi
+  for (const match of text.matchAll(relative)) {
+    add(match, resolveRelative(match, base))
+  }
+
+  return matches.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Returns the first time of day in `text` as HH:MM, or null.
+ */
+export function findTime(text) {
+  const clock = text.match(/\b(\d{1,2}):(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/i)
+  const meridiem = text.match(/\b(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)/i)
+  const match = clock || meridiem
+  if (!match) {
+    if (/\bnoon\b/i.test(text)) return '12:00'
+    if (/\bmidnight\b/i.test(text)) return '00:00'
+    return null
+  }
+
+  let hours = Number(match[1])
+  const minutes = clock ? Number(match[2]) : 0
+  const period = (clock ? match[3] : match[2])?.toLowerCase().replace(/\./g, '')
+  if (period === 'pm' && hours !== 12) hours += 12
+  if (period === 'am' && hours === 12) hours = 0
+  if (hours > 23 || minutes > 59) return null
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
+
+/**
+ * Returns currency amounts in `text`: [{ text, amount, currency, index }].
+ */
+export function findAmounts(text) {
+  return findMoney(text).filter(money => money.amount > 0)
+}
+
+function findDocumentAmount(lines) {
+  const labelled = lines.find(line => AMOUNT_KEYWORDS.test(line) && findAmounts(line).length > 0)
+  if (labelled) return findAmounts(labelled)[0]
+
+  const all = lines.flatMap(findAmounts)
+  if (all.length === 0) return null
+  return all.reduce((largest, money) => (money.amount > largest.amount ? money : largest))
+}
+
+function detectBillName(text, lines) {
+  const type = BILL_TYPES.find(([pattern]) => pattern.test(text))
+  if (type) return type[1]
+
+  // Fall back to a short heading-like line near the top
+  const heading = lines.slice(0, 5).find(line => (
+    line.length <= 40
+    && /[a-z]/i.test(line)
+    && findDates(line).length === 0
+    && findAmounts(line).length === 0
+    && !/[:@]/.test(line)
+  ))
+  return heading || 'Document Reminder'
+}
+
+function getDeadlineLabel(line) {
+  const installment = line.match(/\b(?:installment|instalment|payment)\s+(\d+)(?:\s+of\s+(\d+))?/i)
+  if (installment) {
+    return installment[2] ? `Installment ${installment[1]} of ${installment[2]}` : `Installment ${installment[1]}`
+  }
+  if (/late\s+fee/i.test(line)) return 'Late fee'
+  if (/renew/i.test(line)) return 'Renewal'
+  if (/expir/i.test(line)) return 'Expiry'
+  return null
+}
+
+function toTaskTitle(phrase, today) {
+  // Drop date phrases (with their preposition) and a trailing time
+  let title = phrase
+  findDates(phrase, today).reverse().forEach(({ index, length }) => {
+    const before = title.slice(0, index).replace(/\s*\b(?:on|by|before|until|due)\s*$/i, '')
+    title = `${before} ${title.slice(index + length)}`
+  })
+  title = title
+    .replace(/\s+(?:at|by)\s+\d{1,2}(?::\d{2})?\s*(?:am|pm)?\b.*$/i, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/[\s,;:]+$/, '')
+    .trim()
+
+  if (title.length < 3) return null
+  const capped = title.charAt(0).toUpperCase() + title.slice(1)
+  return capped.length > 80 ? `${capped.substring(0, 77)}…` : capped
+}
+
+// Relative dates ("tomorrow", "next Friday") count from the home time zone's today
+function getHomeToday() {
+  return toLocalCalendarDate(getToday())
+}
+
+function buildDate(year, month, day) {
+  const date = new Date(year, month - 1, day)
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null
+  }
+  return date
+}
+
+// Dates without a year are assumed to be the next occurrence
+function buildNamedDate(monthName, dayText, yearText, base) {
+  const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1
+  const day = Number(dayText)
+  if (yearText) return buildDate(Number(yearText), month, day)
+
+  const thisYear = buildDate(base.getFullYear(), month, day)
+  if (thisYear && isBefore(thisYear, base)) {
+    return buildDate(base.getFullYear() + 1, month, day)
+  }
+  return thisYear
+}
+
+function resolveRelative(match, base) {
+  const phrase = match[1].toLowerCase()
+  if (phrase === 'today' || phrase === 'tonight') return base
+  if (phrase === 'tomorrow') return addDays(base, 1)
+  if (phrase === 'day after tomorrow') return addDays(base, 2)
+  if (phrase === 'next week') return addWeeks(base, 1)
+  if (phrase === 'next month') return addMonths(base, 1)
+  if (phrase.startsWith('end of')) return endOfMonth(base)
+
+  if (match[3]) {
+    const counts = { a: 1, an: 1, one: 1, two: 2, three: 3 }
+    const amount = counts[match[2].toLowerCase()] || Number(match[2])
+    const unit = match[3].toLowerCase()
+    if (unit === 'day') return addDays(base, amount)
+    if (unit === 'week') return addWeeks(base, amount)
+    return addMonths(base, amount)
+  }
+
+  // Weekdays always mean the next one to come, never today
+  const weekday = WEEKDAYS.indexOf(match[5].toLowerCase())
+  return addDays(base, (weekday - base.getDay() + 7) % 7 || 7)
+}
@@ -0,0 +1,208 @@
+/**
+ * Payment tracking for bill reminders
+ *
+ * A reminder's amount due is stored as `amount` (a number) and `currency`
+ * (an ISO code, see moneyService). Payments against the current occurrence
+ * are stored as:
+ *
+ *   payment: { status: 'paid' | 'partial', paidDate, paidAmount, dueDate }
+ *
+ * `dueDate` ties the payment to one deadline, so a repeating bill that rolls
+ * forward is unpaid again without resetting anything. Every recorded payment
+ * is also appended to `paymentHistory`, which feeds the spending dashboard.
+ * "Overdue" is never stored: it is an unpaid or partial bill past its deadline.
+ *
+ * Totals are kept per currency ({ USD: 120, EUR: 40 }) because amounts in
+ * different currencies cannot be added together.
+ */
+
+import { endOfMonth, endOfWeek, format, startOfMonth, startOfWeek } from 'date-fns'
+import { formatDate, getReminderTimeZone, getToday, toLocalCalendarDate } from './dateService'
+import { formatMoney, getDefaultCurrency, parseMoney } from './moneyService'
+
+export const PAYMENT_STATUSES = {
+  unpaid: 'Unpaid',
+  partial: 'Partially paid',
+  paid: 'Paid',
+  overdue: 'Overdue'
+}
+
+export function getAmountDue(reminder) {
+  return typeof reminder.amount === 'number' ? reminder.amount : null
+}
+
+export function getCurrency(reminder) {
+  return reminder.currency || getDefaultCurrency()
+}
+
+/**
+ * Adds `amount` and `currency` to reminders saved before they existed, when
+ * they only had the raw extracted amount text or a task price.
+ */
+export function withReminderAmount(reminder) {
+  if (reminder.amount !== undefined) return reminder
+
+  const legacy = reminder.amountDue ?? reminder.extractedInfo?.amount ?? reminder.price
+  const money = parseMoney(legacy, { defaultCurrency: reminder.currency || getDefaultCurrency() })
+  if (!money) return reminder
+
+  const { amountDue, ...rest } = reminder
+  return { ...rest, amount: money.amount, currency: money.currency }
+}
+
+export function getDueDate(reminder) {
+  return reminder.deadlineDate || reminder.date
+}
+
+/**
+ * The payment recorded against the reminder's current deadline, if any.
+ */
+export function getCurrentPayment(reminder) {
+  const payment = reminder.payment
+  if (!payment || payment.dueDate !== getDueDate(reminder)) return null
+  return payment
+}
+
+export function getPaymentStatus(reminder, now = new Date()) {
+  const payment = getCurrentPayment(reminder)
+  if (payment?.status === 'paid') return 'paid'
+
+  const dueDate = getDueDate(reminder)
+  if (dueDate && dueDate < getToday(getReminderTimeZone(reminder), now)) return 'overdue'
+
+  return payment?.status === 'partial' ? 'partial' : 'unpaid'
+}
+
+/**
+ * What is still owed on the current deadline (0 once paid, null when the
+ * reminder has no amount).
+ */
+export function getOutstandingAmount(reminder) {
+  const payment = getCurrentPayment(reminder)
+  if (payment?.status === 'paid') return 0
+
+  const due = getAmountDue(reminder)
+  if (due === null) return null
+  return Math.max(0, roundMoney(due - (payment?.paidAmount || 0)))
+}
+
+/**
+ * Builds the update for a payment of `amount` made on `paidDate`. Without an
+ * amount the whole outstanding balance is paid.
+ */
+export function recordPayment(reminder, { amount, paidDate = getToday() } = {}) {
+  const dueDate = getDueDate(reminder)
+  const current = getCurrentPayment(reminder)
+  const outstanding = getOutstandingAmount(reminder)
+  const paid = typeof amount === 'number' && amount > 0 ? amount : outstanding
+
+  const paidAmount = roundMoney((current?.paidAmount || 0) + (paid || 0))
+  const due = getAmountDue(reminder)
+  const status = amount === undefined || due === null || paidAmount >= due ? 'paid' : 'partial'
+
+  const history = reminder.paymentHistory || []
+  return {
+    payment: { status, paidDate, paidAmount, dueDate },
+    paymentHistory: paid
+      ? [...history, { paidDate, amount: paid, currency: getCurrency(reminder), dueDate }]
+      : history
+  }
+}
+
+/**
+ * Clears the payment on the current deadline, dropping its history entries.
+ */
+export function clearPayment(reminder) {
+  const dueDate = getDueDate(reminder)
+  return {
+    payment: null,
+    paymentHistory: (reminder.paymentHistory || []).filter(entry => entry.dueDate !== dueDate)
+  }
+}
+
+/**
+ * Keeps the current payment when the deadline moves to `dueDate`, so
+ * rescheduling a bill does not make it unpaid again.
+ */
+export function movePaymentToDueDate(reminder, dueDate) {
+  const payment = getCurrentPayment(reminder)
+  if (!payment || payment.dueDate === dueDate) return {}
+
+  return {
+    payment: { ...payment, dueDate },
+    paymentHistory: (reminder.paymentHistory || []).map(entry => (
+      entry.dueDate === payment.dueDate ? { ...entry, dueDate } : entry
+    ))
+  }
+}
+
+export function getPayee(reminder) {
+  return reminder.extractedInfo?.payee || reminder.extractedInfo?.billName || (reminder.title || 'Reminder').replace(/^Pay\s+/i, '')
+}
+
+export function formatTotals(totals) {
+  const entries = Object.entries(totals)
+  if (entries.length === 0) return formatMoney(0, getDefaultCurrency())
+  return entries.map(([currency, value]) => formatMoney(value, currency)).join(' + ')
+}
+
+/**
+ * Everything the dashboard shows, computed from the reminder list:
+ * { dueThisWeek, dueThisMonth, overdue, overdueCount, spending }
+ * where `spending` is [{ month: 'yyyy-MM', payees: [{ payee, totals }] }],
+ * newest month first.
+ */
+export function buildPaymentSummary(reminders, now = new Date()) {
+  const today = toLocalCalendarDate(getToday(undefined, now))
+  const weekStart = format(startOfWeek(today), 'yyyy-MM-dd')
+  const weekEnd = format(endOfWeek(today), 'yyyy-MM-dd')
+  const monthStart = format(startOfMonth(today), 'yyyy-MM-dd')
+  const monthEnd = format(endOfMonth(today), 'yyyy-MM-dd')
+
+  const summary = { dueThisWeek: {}, dueThisMonth: {}, overdue: {}, overdueCount: 0, spending: [] }
+  const spendingByMonth = new Map()
+
+  reminders.forEach(reminder => {
+    const currency = getCurrency(reminder)
+    const outstanding = reminder.completed ? null : getOutstandingAmount(reminder)
+    const dueDate = getDueDate(reminder)
+
+    if (outstanding) {
+      if (getPaymentStatus(reminder, now) === 'overdue') {
+        addTo(summary.overdue, currency, outstanding)
+        summary.overdueCount += 1
+      } else {
+        if (dueDate >= weekStart && dueDate <= weekEnd) addTo(summary.dueThisWeek, currency, outstanding)
+        if (dueDate >= monthStart && dueDate <= monthEnd) addTo(summary.dueThisMonth, currency, outstanding)
+      }
+    }
+
+    const payee = getPayee(reminder)
+    ;(reminder.paymentHistory || []).forEach(entry => {
+      const month = formatDate(entry.paidDate, 'yyyy-MM')
+      if (!spendingByMonth.has(month)) spendingByMonth.set(month, new Map())
+      const payees = spendingByMonth.get(month)
+      if (!payees.has(payee)) payees.set(payee, {})
+      addTo(payees.get(payee), entry.currency || currency, entry.amount)
+    })
+  })
+
+  summary.spending = [...spendingByMonth.entries()]
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([month, payees]) => ({
+      month,
+      payees: [...payees.entries()]
+        .map(([payee, totals]) => ({ payee, totals }))
+        .sort((a, b) => a.payee.localeCompare(b.payee))
+    }))
+
+  return summary
+}
+
+function addTo(totals, currency, value) {
+  totals[currency] = roundMoney((totals[currency] || 0) + value)
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100
+}
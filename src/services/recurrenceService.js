@@ -0,0 +1,234 @@
+/**
+ * Recurrence Service for repeating reminders
+ *
+ * Reminders can carry an RRULE-style `recurrence` object:
+ * {
+ *   freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *   interval: 1,
+ *   byWeekday: null | { weekday: 0-6, nth: 1-4 | -1 }, // monthly on the Nth weekday
+ *   until: null | 'YYYY-MM-DD',
+ *   count: null | number,
+ *   monthDay: null | 1-31 // day of the month of the first occurrence
+ * }
+ *
+ * The series is anchored on the deadline date (or the reminder date when there
+ * is no deadline). Rolling forward keeps the gap between the reminder date and
+ * the deadline, so "remind me 3 days before rent" stays 3 days before.
+ * Monthly and yearly series keep the day of the month they started on: a
+ * series on the 31st falls on the last day of shorter months and returns to
+ * the 31st afterwards (`monthDay` is recorded when the series first rolls).
+ */
+
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  addYears,
+  differenceInCalendarDays,
+  format,
+  getDaysInMonth,
+  isValid,
+  parseISO,
+  startOfMonth
+} from 'date-fns'
+import { getReminderInstant } from './dateService'
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly']
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' }
+const MAX_OCCURRENCE_STEPS = 1000
+
+export function isRecurring(reminder) {
+  return Boolean(reminder?.recurrence && RECURRENCE_FREQUENCIES.includes(reminder.recurrence.freq))
+}
+
+export function normalizeRecurrence(recurrence) {
+  if (!recurrence || !RECURRENCE_FREQUENCIES.includes(recurrence.freq)) {
+    return null
+  }
+
+  const interval = Number.parseInt(recurrence.interval, 10)
+  const count = Number.parseInt(recurrence.count, 10)
+  const byWeekday = recurrence.freq === 'monthly' && recurrence.byWeekday
+    ? {
+        weekday: Number(recurrence.byWeekday.weekday),
+        nth: Number(recurrence.byWeekday.nth)
+      }
+    : null
+
+  return {
+    freq: recurrence.freq,
+    interval: interval > 0 ? interval : 1,
+    byWeekday,
+    until: typeof recurrence.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(recurrence.until)
+      ? recurrence.until
+      : null,
+    count: count > 0 ? count : null,
+    monthDay: Number.isInteger(recurrence.monthDay) && recurrence.monthDay >= 1 && recurrence.monthDay <= 31
+      ? recurrence.monthDay
+      : null
+  }
+}
+
+/**
+ * Returns the weekday/position pair of a date, e.g. the 2nd Tuesday.
+ * Dates falling in the last seven days of a month that would be a 5th weekday
+ * are treated as "last" so the series never skips short months.
+ */
+export function getWeekdayPosition(dateString) {
+  const date = parseISO(dateString)
+  const nth = Math.ceil(date.getDate() / 7)
+  return {
+    weekday: date.getDay(),
+    nth: nth > 4 ? -1 : nth
+  }
+}
+
+export function describeRecurrence(recurrence) {
+  const rule = normalizeRecurrence(recurrence)
+  if (!rule) return ''
+
+  const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }
+  let label = rule.interval === 1
+    ? `Repeats ${rule.freq}`
+    : `Repeats every ${rule.interval} ${units[rule.freq]}s`
+
+  if (rule.byWeekday) {
+    label += ` on the ${ORDINALS[rule.byWeekday.nth]} ${WEEKDAY_NAMES[rule.byWeekday.weekday]}`
+  }
+  if (rule.until) {
+    label += ` until ${format(parseISO(rule.until), 'MMM dd, yyyy')}`
+  } else if (rule.count) {
+    label += `, ${rule.count} times`
+  }
+
+  return label
+}
+
+/**
+ * Computes the next anchor date (YYYY-MM-DD) after `anchorDate` for a rule.
+ */
+export function getNextAnchorDate(anchorDate, recurrence) {
+  const rule = normalizeRecurrence(recurrence)
+  const date = parseISO(anchorDate)
+  if (!rule || !isValid(date)) return null
+
+  let next
+  switch (rule.freq) {
+    case 'daily':
+      next = addDays(date, rule.interval)
+      break
+    case 'weekly':
+      next = addWeeks(date, rule.interval)
+      break
+    case 'monthly':
+      next = rule.byWeekday
+        ? getNthWeekdayOfMonth(addMonths(startOfMonth(date), rule.interval), rule.byWeekday)
+        : getMonthDay(addMonths(startOfMonth(date), rule.interval), getSeriesMonthDay(date, rule))
+      break
+    case 'yearly':
+      next = getMonthDay(addYears(startOfMonth(date), rule.interval), getSeriesMonthDay(date, rule))
+      break
+    default:
+      return null
+  }
+
+  return format(next, 'yyyy-MM-dd')
+}
+
+/**
+ * Returns the date/deadline updates for the occurrence after the current one,
+ * or null when the series has ended (until date passed or count reached).
+ */
+export function getNextOccurrence(reminder) {
+  if (!isRecurring(reminder)) return null
+
+  const rule = normalizeRecurrence(reminder.recurrence)
+  const anchor = reminder.deadlineDate || reminder.date
+
+  // Remember the starting day so short months do not pull the series earlier
+  const keepsMonthDay = (rule.freq === 'monthly' && !rule.byWeekday) || rule.freq === 'yearly'
+  const monthDay = keepsMonthDay ? getSeriesMonthDay(parseISO(anchor), rule) : null
+  const nextAnchor = getNextAnchorDate(anchor, rule)
+  if (!nextAnchor) return null
+
+  const occurrence = (reminder.occurrence || 1) + 1
+  if (rule.count && occurrence > rule.count) return null
+  if (rule.until && nextAnchor > rule.until) return null
+
+  const shift = differenceInCalendarDays(parseISO(nextAnchor), parseISO(anchor))
+  const updates = {
+    date: format(addDays(parseISO(reminder.date), shift), 'yyyy-MM-dd'),
+    occurrence
+  }
+  if (reminder.deadlineDate) {
+    updates.deadlineDate = nextAnchor
+  }
+  if (monthDay && monthDay !== rule.monthDay) {
+    updates.recurrence = { ...reminder.recurrence, monthDay }
+  }
+
+  return updates
+}
+
+/**
+ * Builds the update applied when the user completes one occurrence: the
+ * reminder rolls forward to the next due date, or is completed for good when
+ * the series is over.
+ */
+export function completeOccurrence(reminder, completedAt = new Date()) {
+  const next = getNextOccurrence(reminder)
+  const lastCompletedAt = completedAt.toISOString()
+
+  if (!next) {
+    return { completed: true, lastCompletedAt }
+  }
+
+  return { ...next, completed: false, lastCompletedAt }
+}
+
+/**
+ * Walks the series forward until the reminder's trigger time is after `now`.
+ * Returns the reminder with rolled dates, or null when no occurrence is left.
+ */
+export function getUpcomingOccurrence(reminder, now = new Date()) {
+  let current = reminder
+
+  for (let step = 0; step < MAX_OCCURRENCE_STEPS; step += 1) {
+    const trigger = getReminderInstant(current)
+    if (Number.isNaN(trigger.getTime())) return null
+    if (trigger.getTime() > now.getTime()) return current
+    if (!isRecurring(current)) return null
+
+    const next = getNextOccurrence(current)
+    if (!next) return null
+    current = { ...current, ...next }
+  }
+
+  return null
+}
+
+// The recorded day of the month, unless the anchor was moved by hand since
+// (an anchor on a clamped month end still matches a day past the month's end)
+function getSeriesMonthDay(date, rule) {
+  const recorded = rule.monthDay && Math.min(rule.monthDay, getDaysInMonth(date))
+  return recorded === date.getDate() ? rule.monthDay : date.getDate()
+}
+
+// `day` in the month starting at `monthStart`, clamped to its last day
+function getMonthDay(monthStart, day) {
+  return addDays(monthStart, Math.min(day, getDaysInMonth(monthStart)) - 1)
+}
+
+function getNthWeekdayOfMonth(monthStart, { weekday, nth }) {
+  if (nth === -1) {
+    const nextMonth = addMonths(monthStart, 1)
+    const lastDay = addDays(nextMonth, -1)
+    const back = (lastDay.getDay() - weekday + 7) % 7
+    return addDays(lastDay, -back)
+  }
+
+  const offset = (weekday - monthStart.getDay() + 7) % 7
+  return addDays(monthStart, offset + (nth - 1) * 7)
+}
@@ -0,0 +1,195 @@
+/**
+ * Search and filtering for the reminder list
+ *
+ * Filters combine (every one that is set must match):
+ *
+ *   { query, status, tag, minAmount, maxAmount, from, to, origin }
+ *
+ * `query` is full-text: every word must appear in the title, description,
+ * tags, payee, amount or the fields extracted from the scanned document.
+ * `from` / `to` bound the deadline. `origin` is where the reminder came from
+ * (a scanned document, an email, extracted text, the manual form or a
+ * calendar).
+ *
+ * The filter state lives in the URL hash (#reminders?q=gas&tag=utilities), so
+ * a filtered view survives a reload and can be bookmarked.
+ */
+
+import { formatMoney } from './moneyService'
+import { getAmountDue, getCurrency, getDueDate, getPayee, getPaymentStatus } from './paymentService'
+import { getCurrentAlert } from './reminderOffsetService'
+import { getReminderInstant } from './dateService'
+import { getReminderTags } from './tagService'
+
+export const REMINDER_STATUSES = {
+  all: 'All',
+  upcoming: 'Upcoming',
+  past: 'Past',
+  overdue: 'Overdue',
+  completed: 'Completed'
+}
+
+export const REMINDER_ORIGINS = {
+  document: 'Scanned document',
+  email: 'Email',
+  text: 'Extracted text',
+  manual: 'Created by hand',
+  calendar: 'Calendar'
+}
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  status: 'all',
+  tag: '',
+  minAmount: '',
+  maxAmount: '',
+  from: '',
+  to: '',
+  origin: ''
+}
+
+const HASH_SECTION = 'reminders'
+
+// Filter field -> URL parameter
+const HASH_PARAMS = {
+  query: 'q',
+  status: 'status',
+  tag: 'tag',
+  minAmount: 'min',
+  maxAmount: 'max',
+  from: 'from',
+  to: 'to',
+  origin: 'source'
+}
+
+/**
+ * Where a reminder came from. Reminders saved before this was stored are
+ * recognised by the fields each flow left behind.
+ */
+export function getReminderOrigin(reminder) {
+  if (REMINDER_ORIGINS[reminder.origin]) return reminder.origin
+  if (reminder.extractedInfo) return 'document'
+  if (reminder.isSuggested) return 'text'
+  if (reminder.icsUid) return 'calendar'
+  return 'manual'
+}
+
+export function isReminderPast(reminder, now = new Date()) {
+  const alert = getCurrentAlert(reminder, now)
+  return getReminderInstant(reminder, alert.date, alert.time) <= now
+}
+
+export function countActiveFilters(filters) {
+  return Object.keys(DEFAULT_FILTERS).filter(key => filters[key] !== DEFAULT_FILTERS[key]).length
+}
+
+export function filterReminders(reminders, filters, now = new Date()) {
+  const words = normalizeText(filters.query).split(/\s+/).filter(Boolean)
+  const minAmount = parseAmount(filters.minAmount)
+  const maxAmount = parseAmount(filters.maxAmount)
+  const tag = filters.tag
+
+  return reminders.filter(reminder => {
+    if (!matchesStatus(reminder, filters.status, now)) return false
+    if (tag && !getReminderTags(reminder).includes(tag)) return false
+    if (filters.origin && getReminderOrigin(reminder) !== filters.origin) return false
+
+    if (minAmount !== null || maxAmount !== null) {
+      const amount = getAmountDue(reminder)
+      if (amount === null) return false
+      if (minAmount !== null && amount < minAmount) return false
+      if (maxAmount !== null && amount > maxAmount) return false
+    }
+
+    const dueDate = getDueDate(reminder)
+    if (filters.from && !(dueDate >= filters.from)) return false
+    if (filters.to && !(dueDate <= filters.to)) return false
+
+    if (words.length > 0) {
+      const text = getSearchText(reminder)
+      if (!words.every(word => text.includes(word))) return false
+    }
+    return true
+  })
+}
+
+/**
+ * Reads filters from a location hash. Returns null when the hash points at
+ * another section, so the current filters are kept.
+ */
+export function parseFilterHash(hash) {
+  const [section, query = ''] = (hash || '').replace(/^#/, '').split('?')
+  if (section !== HASH_SECTION) return null
+
+  const params = new URLSearchParams(query)
+  const filters = { ...DEFAULT_FILTERS }
+  Object.entries(HASH_PARAMS).forEach(([key, param]) => {
+    const value = params.get(param)
+    if (value !== null) filters[key] = value
+  })
+
+  if (!REMINDER_STATUSES[filters.status]) filters.status = DEFAULT_FILTERS.status
+  if (filters.origin && !REMINDER_ORIGINS[filters.origin]) filters.origin = ''
+  if (parseAmount(filters.minAmount) === null) filters.minAmount = ''
+  if (parseAmount(filters.maxAmount) === null) filters.maxAmount = ''
+  if (!isCalendarDate(filters.from)) filters.from = ''
+  if (!isCalendarDate(filters.to)) filters.to = ''
+  return filters
+}
+
+export function buildFilterHash(filters) {
+  const params = new URLSearchParams()
+  Object.entries(HASH_PARAMS).forEach(([key, param]) => {
+    const value = filters[key]
+    if (value !== undefined && value !== DEFAULT_FILTERS[key]) params.set(param, value)
+  })
+
+  const query = params.toString()
+  return `#${HASH_SECTION}${query ? `?${query}` : ''}`
+}
+
+function matchesStatus(reminder, status, now) {
+  switch (status) {
+    case 'upcoming':
+      return !isReminderPast(reminder, now)
+    case 'past':
+      return isReminderPast(reminder, now)
+    case 'overdue':
+      return !reminder.completed && getPaymentStatus(reminder, now) === 'overdue'
+    case 'completed':
+      return Boolean(reminder.completed)
+    default:
+      return true
+  }
+}
+
+function getSearchText(reminder) {
+  const info = reminder.extractedInfo || {}
+  const amount = getAmountDue(reminder)
+  return normalizeText([
+    reminder.title,
+    reminder.description,
+    getPayee(reminder),
+    ...getReminderTags(reminder),
+    info.billName,
+    info.description,
+    reminder.email?.subject,
+    reminder.email?.fromAddress,
+    amount === null ? '' : `${amount} ${formatMoney(amount, getCurrency(reminder))}`
+  ].filter(Boolean).join(' '))
+}
+
+// Case- and accent-insensitive
+function normalizeText(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+function parseAmount(value) {
+  if (value === '' || value === null || value === undefined) return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+function isCalendarDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+}
@@ -0,0 +1,142 @@
+/**
+ * Reminder offsets
+ *
+ * A reminder with a deadline can alert several times before it, e.g. one
+ * month, one week and one day before an insurance renewal:
+ *
+ *   reminderOffsets: ['1 month', '1 week', '1 day']
+ *
+ * `date` always holds the earliest alert and `reminderPeriod` its offset, so
+ * sorting, calendar export and sync keep working with a single date. An empty
+ * list means the reminder has one alert on a custom `date`.
+ *
+ * Reminders saved before offsets existed only have `reminderPeriod`;
+ * `withReminderOffsets` turns that into a one-item list (or an empty one when
+ * the date was picked by hand).
+ */
+
+import { DEFAULT_TIME, addDaysToDate, getReminderInstant } from './dateService'
+
+export const REMINDER_OFFSET_OPTIONS = [
+  { value: '1 day', label: '1 Day Before' },
+  { value: '3 days', label: '3 Days Before' },
+  { value: '1 week', label: '1 Week Before' },
+  { value: '2 weeks', label: '2 Weeks Before' },
+  { value: '3 weeks', label: '3 Weeks Before' },
+  { value: '1 month', label: '1 Month Before' },
+  { value: '2 months', label: '2 Months Before' },
+  { value: '3 months', label: '3 Months Before' },
+  { value: '6 months', label: '6 Months Before' },
+  { value: '1 year', label: '1 Year Before' }
+]
+
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 }
+
+/**
+ * Number of days an offset label stands for ("1 week" -> 7, "5 days" -> 5).
+ * Months count as 30 days and years as 365, as they always have.
+ */
+export function getOffsetDays(offset) {
+  const match = String(offset || '').trim().match(/^(\d+)\s*(day|week|month|year)s?$/i)
+  if (!match) return null
+  return Number(match[1]) * UNIT_DAYS[match[2].toLowerCase()]
+}
+
+export function calculateReminderDate(deadlineDate, offset = '1 day') {
+  const days = getOffsetDays(offset) ?? 1
+  return addDaysToDate(deadlineDate, -days)
+}
+
+/**
+ * The reminder's offsets, largest first, without duplicates.
+ */
+export function getReminderOffsets(reminder) {
+  const offsets = Array.isArray(reminder?.reminderOffsets)
+    ? reminder.reminderOffsets
+    : withReminderOffsets(reminder || {}).reminderOffsets
+
+  return sortOffsets(offsets)
+}
+
+export function sortOffsets(offsets) {
+  const unique = [...new Set(offsets.filter(offset => getOffsetDays(offset) !== null))]
+  return unique.sort((a, b) => getOffsetDays(b) - getOffsetDays(a))
+}
+
+/**
+ * Builds the fields to store for a set of offsets before `deadlineDate`:
+ * { reminderOffsets, reminderPeriod, date }.
+ */
+export function buildOffsetFields(deadlineDate, offsets) {
+  const sorted = sortOffsets(offsets)
+  if (!deadlineDate || sorted.length === 0) {
+    return { reminderOffsets: [], reminderPeriod: null }
+  }
+
+  return {
+    reminderOffsets: sorted,
+    reminderPeriod: sorted[0],
+    date: calculateReminderDate(deadlineDate, sorted[0])
+  }
+}
+
+/**
+ * Every alert of the reminder's current occurrence, earliest first:
+ * [{ date, time, offset }]. `offset` is null for a custom-date alert.
+ */
+export function getAlertDates(reminder) {
+  const time = reminder.time || DEFAULT_TIME
+  const offsets = reminder.deadlineDate ? getReminderOffsets(reminder) : []
+
+  if (offsets.length === 0) {
+    return reminder.date ? [{ date: reminder.date, time, offset: null }] : []
+  }
+
+  return offsets.map(offset => ({
+    date: calculateReminderDate(reminder.deadlineDate, offset),
+    time,
+    offset
+  }))
+}
+
+/**
+ * The next alert that has not fired yet, or null when all have.
+ */
+export function getNextAlert(reminder, now = new Date()) {
+  return getAlertDates(reminder).find(alert => (
+    getReminderInstant(reminder, alert.date, alert.time).getTime() > now.getTime()
+  )) || null
+}
+
+/**
+ * The alert the reminder is waiting on, or its last one once all have fired.
+ */
+export function getCurrentAlert(reminder, now = new Date()) {
+  const alert = getNextAlert(reminder, now) || getAlertDates(reminder).pop()
+  return alert || { date: reminder.date, time: reminder.time, offset: null }
+}
+
+export function describeOffsets(offsets) {
+  const sorted = sortOffsets(offsets || [])
+  if (sorted.length === 0) return ''
+  if (sorted.length === 1) return `${sorted[0]} before`
+  return `${sorted.slice(0, -1).join(', ')} and ${sorted[sorted.length - 1]} before`
+}
+
+/**
+ * Adds `reminderOffsets` to reminders stored before it existed. A legacy
+ * `reminderPeriod` is kept only when `date` still matches it; otherwise the
+ * date was edited by hand and stays a single custom alert.
+ */
+export function withReminderOffsets(reminder) {
+  if (Array.isArray(reminder.reminderOffsets)) return reminder
+
+  const matchesPeriod = reminder.deadlineDate
+    && getOffsetDays(reminder.reminderPeriod) !== null
+    && calculateReminderDate(reminder.deadlineDate, reminder.reminderPeriod) === reminder.date
+
+  return {
+    ...reminder,
+    reminderOffsets: matchesPeriod ? [reminder.reminderPeriod] : []
+  }
+}
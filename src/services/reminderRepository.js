@@ -0,0 +1,248 @@
+/**
+ * Reminder Repository backed by IndexedDB
+ *
+ * Reminder metadata and scanned document images live in separate object
+ * stores, so a handful of large previews no longer blow the ~5MB localStorage
+ * quota. Writes are per record: only reminders that changed are stored.
+ *
+ * On first use the legacy `rakall-reminders` localStorage blob is migrated
+ * into IndexedDB and removed. Records from before multiple reminder offsets,
+ * structured amounts or time zones are upgraded on load (see
+ * reminderOffsetService, paymentService and dateService).
+ */
+
+import { withTimeZone } from './dateService'
+import { withReminderOffsets } from './reminderOffsetService'
+import { withReminderAmount } from './paymentService'
+
+const DB_NAME = 'rakall'
+const DB_VERSION = 1
+const REMINDER_STORE = 'reminders'
+const DOCUMENT_STORE = 'documents'
+const META_STORE = 'meta'
+const LEGACY_STORAGE_KEY = 'rakall-reminders'
+const MIGRATION_KEY = 'legacyLocalStorageMigrated'
+
+let databasePromise = null
+let writeQueue = Promise.resolve()
+// The records IndexedDB holds as far as this session knows: what was loaded,
+// then each record once its write succeeded. A failed write leaves its old
+// entry here, so the next change writes that record again.
+let storedReminders = new Map()
+const documentUrls = new Map()
+// Documents of reminders deleted this session, kept so an undo can put them
+// back; their object URLs stay valid until then
+const detachedDocuments = new Map()
+
+/**
+ * Loads every reminder, re-attaching stored document images as object URLs
+ * on `documentPreview`.
+ */
+export async function loadReminders() {
+  await migrateLegacyStorage()
+
+  const [reminders, documents] = await Promise.all([
+    runRequest(REMINDER_STORE, 'readonly', store => store.getAll()),
+    runRequest(DOCUMENT_STORE, 'readonly', store => store.getAll())
+  ])
+
+  const documentsById = new Map(documents.map(doc => [doc.id, doc]))
+  const upgraded = reminders.map(reminder => withTimeZone(withReminderAmount(withReminderOffsets(reminder))))
+  const changed = upgraded.filter((reminder, index) => reminder !== reminders[index])
+  if (changed.length > 0) {
+    await runRequest(REMINDER_STORE, 'readwrite', store => {
+      changed.forEach(reminder => store.put(reminder))
+    })
+  }
+
+  const loaded = upgraded.map(reminder => {
+    const doc = documentsById.get(reminder.id)
+    if (!doc) return reminder
+    return { ...reminder, documentPreview: getDocumentUrl(doc) }
+  })
+  storedReminders = new Map(loaded.map(reminder => [reminder.id, reminder]))
+  return loaded
+}
+
+export async function saveReminder(reminder) {
+  const { documentPreview, ...metadata } = reminder
+
+  // Only freshly scanned previews (data URLs) need writing; object URLs
+  // point at a blob that is already stored.
+  if (typeof documentPreview === 'string' && documentPreview.startsWith('data:')) {
+    const blob = await dataUrlToBlob(documentPreview)
+    await runRequest(DOCUMENT_STORE, 'readwrite', store => store.put({
+      id: reminder.id,
+      blob
+    }))
+    metadata.hasDocument = true
+  } else if (documentPreview && detachedDocuments.has(reminder.id)) {
+    const blob = detachedDocuments.get(reminder.id)
+    await runRequest(DOCUMENT_STORE, 'readwrite', store => store.put({ id: reminder.id, blob }))
+    detachedDocuments.delete(reminder.id)
+    metadata.hasDocument = true
+  } else if (!documentPreview && metadata.hasDocument) {
+    await deleteDocument(reminder.id)
+    metadata.hasDocument = false
+  }
+
+  await runRequest(REMINDER_STORE, 'readwrite', store => store.put(metadata))
+}
+
+export async function deleteReminder(id) {
+  await runRequest(REMINDER_STORE, 'readwrite', store => store.delete(id))
+
+  const doc = await runRequest(DOCUMENT_STORE, 'readonly', store => store.get(id))
+  if (doc) {
+    detachedDocuments.set(id, doc.blob)
+    await runRequest(DOCUMENT_STORE, 'readwrite', store => store.delete(id))
+  }
+}
+
+/**
+ * Persists the difference between the stored records and `next`. Records are
+ * compared by reference, which matches how App replaces changed items. Calls
+ * are queued so rapid edits are written in order; when a record fails to
+ * write the others are still written, the first error is rethrown and the
+ * record is retried with the next change.
+ */
+export function persistReminderChanges(next) {
+  const write = writeQueue.then(() => writeChanges(next))
+  writeQueue = write.catch(() => {})
+  return write
+}
+
+async function writeChanges(next) {
+  const nextIds = new Set(next.map(reminder => reminder.id))
+  let failure = null
+  const attempt = async (write) => {
+    try {
+      await write()
+    } catch (error) {
+      failure = failure || error
+    }
+  }
+
+  for (const reminder of next) {
+    if (storedReminders.get(reminder.id) === reminder) continue
+    await attempt(async () => {
+      await saveReminder(reminder)
+      storedReminders.set(reminder.id, reminder)
+    })
+  }
+
+  for (const id of [...storedReminders.keys()]) {
+    if (nextIds.has(id)) continue
+    await attempt(async () => {
+      await deleteReminder(id)
+      storedReminders.delete(id)
+    })
+  }
+
+  if (failure) throw failure
+}
+
+async function deleteDocument(id) {
+  await runRequest(DOCUMENT_STORE, 'readwrite', store => store.delete(id))
+  const url = documentUrls.get(id)
+  if (url) {
+    URL.revokeObjectURL(url)
+    documentUrls.delete(id)
+  }
+}
+
+async function migrateLegacyStorage() {
+  const migrated = await runRequest(META_STORE, 'readonly', store => store.get(MIGRATION_KEY))
+  if (migrated?.value) return
+
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY)
+  if (legacy) {
+    let reminders = []
+    try {
+      reminders = JSON.parse(legacy)
+    } catch (error) {
+      console.error('Legacy reminders could not be parsed, skipping migration:', error)
+    }
+
+    for (const reminder of Array.isArray(reminders) ? reminders : []) {
+      await saveReminder(reminder)
+    }
+  }
+
+  await runRequest(META_STORE, 'readwrite', store => store.put({
+    key: MIGRATION_KEY,
+    value: new Date().toISOString()
+  }))
+  localStorage.removeItem(LEGACY_STORAGE_KEY)
+}
+
+function getDocumentUrl(doc) {
+  if (!documentUrls.has(doc.id)) {
+    documentUrls.set(doc.id, URL.createObjectURL(doc.blob))
+  }
+  return documentUrls.get(doc.id)
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl)
+  return response.blob()
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(REMINDER_STORE)) {
+          db.createObjectStore(REMINDER_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(DOCUMENT_STORE)) {
+          db.createObjectStore(DOCUMENT_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        databasePromise = null
+        reject(toStorageError(request.error))
+      }
+    })
+  }
+  return databasePromise
+}
+
+async function runRequest(storeName, mode, callback) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    let transaction
+    try {
+      transaction = db.transaction(storeName, mode)
+    } catch (error) {
+      reject(toStorageError(error))
+      return
+    }
+
+    const request = callback(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(toStorageError(transaction.error))
+    transaction.onabort = () => reject(toStorageError(transaction.error))
+  })
+}
+
+function toStorageError(error) {
+  if (error?.name === 'QuotaExceededError') {
+    const err = new Error('Storage is full. Delete some reminders or their scanned documents and try again.')
+    err.code = 'QUOTA_EXCEEDED'
+    err.cause = error
+    return err
+  }
+
+  const err = new Error(error?.message || 'Failed to access reminder storage.')
+  err.code = 'STORAGE_ERROR'
+  err.cause = error
+  return err
+}
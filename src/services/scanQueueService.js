@@ -0,0 +1,114 @@
+/**
+ * Batch scan queue
+ *
+ * Several documents (picked together, a folder, or dropped on the scanner)
+ * become queue items that are scanned a few at a time:
+ *
+ *   queued → extracting → review → done
+ *                       ↘ failed (retry puts it back in the queue)
+ *
+ * Items in review hold their extracted candidates until each one is approved
+ * or rejected in the shared review table.
+ */
+
+export const MAX_CONCURRENT_SCANS = 2
+
+export const SCAN_STATUSES = {
+  queued: 'Queued',
+  extracting: 'Extracting',
+  review: 'Awaiting review',
+  done: 'Done',
+  failed: 'Failed'
+}
+
+let nextItemId = 1
+
+export function createScanItem(file) {
+  return {
+    id: nextItemId++,
+    file,
+    name: file.webkitRelativePath || file.name,
+    status: 'queued',
+    progress: null,
+    error: null,
+    preview: null,
+    ocrPages: [],
+    candidates: [],
+    created: 0
+  }
+}
+
+/**
+ * Leaves out hidden and system files a folder picker brings along
+ * (.DS_Store, Thumbs.db, ...).
+ */
+export function isScannableFile(file) {
+  const name = file.name.toLowerCase()
+  return file.size > 0 && !name.startsWith('.') && name !== 'thumbs.db' && name !== 'desktop.ini'
+}
+
+/**
+ * Queued items that can start now without going over the concurrency limit.
+ */
+export function getNextScans(items, limit = MAX_CONCURRENT_SCANS) {
+  const running = items.filter(item => item.status === 'extracting').length
+  return items.filter(item => item.status === 'queued').slice(0, Math.max(0, limit - running))
+}
+
+export function countByStatus(items) {
+  const counts = Object.fromEntries(Object.keys(SCAN_STATUSES).map(status => [status, 0]))
+  items.forEach(item => { counts[item.status] += 1 })
+  return counts
+}
+
+/**
+ * Drops approved or rejected candidates from their items; an item with none
+ * left is done. `approvedKeys` count towards the item's `created` total.
+ */
+export function removeCandidates(items, keys, approvedKeys = new Set()) {
+  return items.map(item => {
+    if (item.status !== 'review') return item
+    const remaining = item.candidates.filter(candidate => !keys.has(candidate.key))
+    if (remaining.length === item.candidates.length) return item
+
+    const created = item.created + item.candidates.filter(candidate => approvedKeys.has(candidate.key)).length
+    return {
+      ...item,
+      candidates: remaining,
+      created,
+      status: remaining.length === 0 ? 'done' : 'review'
+    }
+  })
+}
+
+/**
+ * Every file in a drop, walking into dropped folders where the browser
+ * exposes them (webkitGetAsEntry).
+ */
+export async function getDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  if (entries.length === 0) return [...(dataTransfer.files || [])]
+
+  const files = await Promise.all(entries.map(readEntry))
+  return files.flat()
+}
+
+async function readEntry(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => entry.file(file => resolve([file]), reject))
+  }
+
+  const reader = entry.createReader()
+  const children = []
+  // readEntries returns the folder in batches until it comes back empty
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    if (batch.length === 0) break
+    children.push(...batch)
+  }
+  const files = await Promise.all(children.map(readEntry))
+  return files.flat()
+}
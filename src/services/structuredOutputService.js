@@ -0,0 +1,252 @@
+/**
+ * Structured output validation for AI responses
+ *
+ * Extraction prompts ask the model for JSON matching one of the schemas
+ * below. `requestStructuredOutput` parses and validates the reply; when it is
+ * not valid JSON or fields fail validation, the model gets one follow-up
+ * prompt listing the problems and asking for corrected JSON. If the repaired
+ * reply is still unusable, the caller's heuristic parser takes over.
+ *
+ * Items come back with `validationErrors: [{ field, message }]` for any field
+ * that was still invalid (and has been cleared), so the UI can point at the
+ * exact value to fix instead of failing the whole extraction.
+ */
+
+import { createChatCompletion } from './llmClient'
+
+// `purpose` picks the API server endpoint the prompt is sent to
+export const DOCUMENT_SCHEMA = {
+  name: 'bills',
+  purpose: 'document',
+  listKeys: ['bills', 'deadlines'],
+  fields: {
+    billName: { type: 'string', required: true, aliases: ['title', 'name'] },
+    deadlineDate: { type: 'date', aliases: ['date', 'dueDate'] },
+    time: { type: 'time' },
+    amount: { type: 'amount', aliases: ['price', 'total'] },
+    currency: { type: 'string', aliases: ['currencyCode'] },
+    category: { type: 'string', aliases: ['tag'] },
+    description: { type: 'string' },
+    page: { type: 'page', aliases: ['pageNumber'] }
+  }
+}
+
+export const TASK_SCHEMA = {
+  name: 'tasks',
+  purpose: 'tasks',
+  listKeys: ['tasks', 'reminders'],
+  fields: {
+    taskName: { type: 'string', required: true, aliases: ['title', 'task'] },
+    task: { type: 'string', aliases: ['description', 'context'] },
+    date: { type: 'date' },
+    time: { type: 'time' },
+    price: { type: 'amount', aliases: ['amount', 'cost'] },
+    currency: { type: 'string', aliases: ['currencyCode'] },
+    category: { type: 'string', aliases: ['tag'] }
+  }
+}
+
+const FIELD_VALIDATORS = {
+  string: (value) => (typeof value === 'string' && value.trim()
+    ? { value: value.trim() }
+    : { error: 'must be a non-empty string' }),
+  date: (value) => (isCalendarDate(value)
+    ? { value }
+    : { error: `"${value}" is not a valid YYYY-MM-DD date` }),
+  time: (value) => (typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+    ? { value }
+    : { error: `"${value}" is not a valid HH:MM time` }),
+  amount: (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return { value }
+    if (typeof value === 'string' && /\d/.test(value)) return { value: value.trim() }
+    return { error: `"${value}" is not a monetary amount` }
+  },
+  page: (value) => (Number.isInteger(Number(value)) && Number(value) > 0
+    ? { value: Number(value) }
+    : { error: `"${value}" is not a page number` })
+}
+
+/**
+ * Pulls the JSON object or array out of a model reply, tolerating markdown
+ * fences and prose around it.
+ */
+export function parseJsonFromText(content) {
+  if (!content) {
+    throw new Error('The AI response was empty. Please try again.')
+  }
+
+  const jsonBlockMatch = content.match(/```json\s*([\s\S]*?)\s*```/i)
+    || content.match(/```\s*([\s\S]*?)\s*```/)
+  const raw = jsonBlockMatch ? jsonBlockMatch[1] : content
+
+  const objectStart = raw.indexOf('{')
+  const arrayStart = raw.indexOf('[')
+  const isArray = arrayStart >= 0 && (objectStart < 0 || arrayStart < objectStart)
+  const jsonStart = isArray ? arrayStart : objectStart
+  const jsonEnd = raw.lastIndexOf(isArray ? ']' : '}')
+  const jsonString = jsonStart >= 0 && jsonEnd > jsonStart ? raw.slice(jsonStart, jsonEnd + 1) : raw
+
+  return JSON.parse(jsonString)
+}
+
+/**
+ * Validates parsed JSON against a schema. Accepts `{ <listKey>: [...] }`, a
+ * bare array or a single item object. Returns the items (aliases resolved,
+ * invalid fields set to null) and every field-level error found.
+ */
+export function validateStructuredOutput(data, schema) {
+  const list = getItemList(data, schema)
+  if (!list) {
+    return {
+      items: [],
+      errors: [{ item: null, field: schema.name, message: `expected a "${schema.name}" array` }]
+    }
+  }
+
+  const items = []
+  const errors = []
+
+  list.forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ item: index, field: null, message: 'must be an object' })
+      return
+    }
+
+    const item = {}
+    const itemErrors = []
+    Object.entries(schema.fields).forEach(([field, rule]) => {
+      const value = [field, ...(rule.aliases || [])]
+        .map(key => raw[key])
+        .find(candidate => candidate !== undefined && candidate !== null && candidate !== '')
+
+      if (value === undefined) {
+        item[field] = null
+        if (rule.required) {
+          itemErrors.push({ field, message: 'is required' })
+        }
+        return
+      }
+
+      const result = FIELD_VALIDATORS[rule.type](value)
+      item[field] = result.error ? null : result.value
+      if (result.error) {
+        itemErrors.push({ field, message: result.error })
+      }
+    })
+
+    itemErrors.forEach(error => errors.push({ item: index, ...error }))
+    items.push({ ...item, validationErrors: itemErrors })
+  })
+
+  return { items, errors }
+}
+
+/**
+ * Runs a chat completion and returns validated items for `schema`.
+ * `fallback` is called with the field errors when neither the first reply nor
+ * the repaired one produces any item; its result is returned as-is.
+ *
+ * Returns { items, errors, repaired, usedFallback }.
+ */
+export async function requestStructuredOutput({ messages, schema, temperature, max_tokens, fallback }) {
+  const { purpose } = schema
+  const content = await createChatCompletion({ messages, temperature, max_tokens, purpose })
+  const first = checkReply(content, schema)
+  if (first.errors.length === 0) {
+    return { items: first.items, errors: [], repaired: false, usedFallback: false }
+  }
+
+  const repairContent = await createChatCompletion({
+    messages: [
+      ...messages,
+      { role: 'assistant', content: content || '' },
+      { role: 'user', content: buildRepairPrompt(first.errors, schema) }
+    ],
+    temperature: 0,
+    max_tokens,
+    purpose
+  })
+  const repaired = checkReply(repairContent, schema)
+
+  // Keep whichever reply validated better
+  const best = repaired.items.length > 0 && repaired.errors.length <= first.errors.length ? repaired : first
+  if (best.items.length > 0) {
+    return { items: best.items, errors: best.errors, repaired: best === repaired, usedFallback: false }
+  }
+
+  if (fallback) {
+    return { items: fallback(best.errors), errors: best.errors, repaired: false, usedFallback: true }
+  }
+
+  const err = new Error(`The AI response did not match the expected format: ${describeValidationErrors(best.errors)}`)
+  err.code = 'INVALID_AI_OUTPUT'
+  err.validationErrors = best.errors
+  throw err
+}
+
+export function describeValidationErrors(errors) {
+  return errors
+    .map(({ item, field, message }) => {
+      const location = [item !== null && item !== undefined ? `item ${item + 1}` : null, field]
+        .filter(Boolean)
+        .join(' ')
+      return location ? `${location} ${message}` : message
+    })
+    .join('; ')
+}
+
+function checkReply(content, schema) {
+  let data
+  try {
+    data = parseJsonFromText(content)
+  } catch (error) {
+    return { items: [], errors: [{ item: null, field: null, message: 'response was not valid JSON' }] }
+  }
+  return validateStructuredOutput(data, schema)
+}
+
+function buildRepairPrompt(errors, schema) {
+  const fields = Object.entries(schema.fields)
+    .map(([field, rule]) => `- ${field}: ${describeFieldType(rule)}`)
+    .join('\n')
+
+  return `Your previous reply could not be used:
+${errors.map(error => `- ${describeValidationErrors([error])}`).join('\n')}
+
+Reply again with ONLY corrected JSON of the form { "${schema.name}": [ ... ] } where each item has:
+${fields}
+Use null for values that are not in the document. No markdown, no extra text.`
+}
+
+function describeFieldType(rule) {
+  const type = {
+    string: 'string',
+    date: 'date in YYYY-MM-DD format',
+    time: 'time in HH:MM (24h) format',
+    amount: 'number or amount string',
+    page: 'page number'
+  }[rule.type]
+  return rule.required ? `${type} (required)` : `${type} or null`
+}
+
+function getItemList(data, schema) {
+  if (Array.isArray(data)) return data
+  if (!data || typeof data !== 'object') return null
+
+  const listKey = schema.listKeys.find(key => Array.isArray(data[key]))
+  if (listKey) return data[listKey]
+
+  // A single item returned without the wrapper
+  const fieldKeys = Object.entries(schema.fields).flatMap(([field, rule]) => [field, ...(rule.aliases || [])])
+  return fieldKeys.some(key => key in data) ? [data] : null
+}
+
+function isCalendarDate(value) {
+  if (typeof value !== 'string') return false
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!match) return false
+
+  const [, year, month, day] = match.map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
@@ -0,0 +1,76 @@
+/**
+ * Tags and categories for reminders
+ *
+ * A reminder's `tags` is a list of lower-case labels ("utilities", "rent",
+ * "work"). Extraction suggests one category from CATEGORIES — the AI picks it,
+ * the offline rules guess it from keywords — and it becomes the reminder's
+ * first tag on approval. Users can add any tag of their own afterwards.
+ */
+
+export const CATEGORIES = [
+  'utilities',
+  'rent',
+  'work',
+  'subscriptions',
+  'insurance',
+  'taxes',
+  'loans',
+  'health',
+  'education',
+  'personal'
+]
+
+const CATEGORY_KEYWORDS = [
+  [/electric|water|\bgas\b|sewer|internet|broadband|wi-?fi|phone|mobile|utility|power bill|energy/i, 'utilities'],
+  [/\brent\b|lease|landlord|mortgage/i, 'rent'],
+  [/subscription|membership|netflix|spotify|renewal|renews/i, 'subscriptions'],
+  [/insurance|premium|policy/i, 'insurance'],
+  [/\btax(?:es)?\b|\birs\b|\bhmrc\b|\bvat\b/i, 'taxes'],
+  [/loan|credit card|installment|instalment/i, 'loans'],
+  [/doctor|dentist|clinic|hospital|pharmacy|prescription|health/i, 'health'],
+  [/tuition|school|course|exam|university/i, 'education'],
+  [/meeting|client|report|deadline|project|invoice|colleague|boss|office/i, 'work']
+]
+
+export function normalizeTag(value) {
+  if (typeof value !== 'string') return ''
+  return value.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^#/, '')
+}
+
+/**
+ * Cleans a list of tags (or a comma-separated string): trimmed, lower-case,
+ * without blanks or duplicates.
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : (tags || [])
+  return [...new Set(list.map(normalizeTag).filter(Boolean))]
+}
+
+/**
+ * A known category for `value`, or null.
+ */
+export function toCategory(value) {
+  const tag = normalizeTag(value)
+  return CATEGORIES.includes(tag) ? tag : null
+}
+
+/**
+ * Guesses a category from free text, for offline extraction.
+ */
+export function suggestCategory(...texts) {
+  const text = texts.filter(Boolean).join(' ')
+  const match = CATEGORY_KEYWORDS.find(([pattern]) => pattern.test(text))
+  return match ? match[1] : null
+}
+
+export function getReminderTags(reminder) {
+  return normalizeTags(reminder.tags)
+}
+
+/**
+ * Every tag in use plus the built-in categories, used ones first.
+ */
+export function listTags(reminders) {
+  const used = normalizeTags(reminders.flatMap(getReminderTags)).sort()
+  return [...new Set([...used, ...CATEGORIES])]
+}
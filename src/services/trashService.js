@@ -0,0 +1,64 @@
+/**
+ * Trash for deleted reminders
+ *
+ * Deleting a reminder only stamps `deletedAt` on it. Trashed reminders stay in
+ * the repository (scanned document included) but are left out of the list,
+ * the dashboard, notifications, exports and calendar sync. They can be
+ * restored until the retention period from Settings runs out; then
+ * `purgeExpired` drops them for good.
+ */
+
+const RETENTION_KEY = 'rakall-trash-retention-days'
+const DEFAULT_RETENTION_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const TRASH_RETENTION_OPTIONS = [
+  { value: 1, label: '1 day' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 0, label: 'Never (empty it by hand)' }
+]
+
+export function isTrashed(reminder) {
+  return Boolean(reminder.deletedAt)
+}
+
+export function moveToTrash(reminder, now = new Date()) {
+  return { ...reminder, deletedAt: now.toISOString() }
+}
+
+export function restoreFromTrash(reminder, now = new Date()) {
+  const { deletedAt, ...restored } = reminder
+  // A newer updatedAt lets calendar sync put the event back
+  return { ...restored, updatedAt: now.toISOString() }
+}
+
+export function getTrashRetentionDays() {
+  const saved = Number.parseInt(localStorage.getItem(RETENTION_KEY), 10)
+  return TRASH_RETENTION_OPTIONS.some(option => option.value === saved) ? saved : DEFAULT_RETENTION_DAYS
+}
+
+export function saveTrashRetentionDays(days) {
+  localStorage.setItem(RETENTION_KEY, String(days))
+}
+
+/**
+ * When a trashed reminder is deleted for good, or null if it is kept.
+ */
+export function getPurgeDate(reminder, retentionDays = getTrashRetentionDays()) {
+  if (!isTrashed(reminder) || retentionDays === 0) return null
+  return new Date(new Date(reminder.deletedAt).getTime() + retentionDays * DAY_MS)
+}
+
+/**
+ * Drops trashed reminders past the retention period. Returns the same array
+ * when nothing expired.
+ */
+export function purgeExpired(reminders, now = new Date(), retentionDays = getTrashRetentionDays()) {
+  const kept = reminders.filter(reminder => {
+    const purgeAt = getPurgeDate(reminder, retentionDays)
+    return !purgeAt || purgeAt > now
+  })
+  return kept.length === reminders.length ? reminders : kept
+}
@@ -1,9 +1,59 @@
+import { createReadStream, readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The API server (npm run server) holds the AI keys; see server/app.js
+const apiProxy = {
+  '/api': `http://localhost:${process.env.API_PORT || 8787}`
+}
+
+// OCR loads its worker, WASM core and English language data from the app
+// itself rather than a CDN (see src/services/ocrService.js). Only the LSTM
+// cores are needed; the worker picks the SIMD one where the browser has it.
+// Each package is a direct dependency, resolved the way Node finds it.
+const OCR_ASSETS = {
+  'tesseract/worker.min.js': 'tesseract.js/dist/worker.min.js',
+  'tesseract/core/tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'tesseract/core/tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'tesseract/lang/eng.traineddata.gz': '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz'
+}
+
+const require = createRequire(import.meta.url)
+
+function getOcrAssetSource(fileName) {
+  return require.resolve(OCR_ASSETS[fileName])
+}
+
+function ocrAssets() {
+  return {
+    name: 'rakall-ocr-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const fileName = decodeURIComponent(req.url.split('?')[0]).slice(1)
+        if (!OCR_ASSETS[fileName]) {
+          next()
+          return
+        }
+        res.setHeader('Content-Type', fileName.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        createReadStream(getOcrAssetSource(fileName)).on('error', next).pipe(res)
+      })
+    },
+    generateBundle() {
+      Object.keys(OCR_ASSETS).forEach(fileName => {
+        this.emitFile({ type: 'asset', fileName, source: readFileSync(getOcrAssetSource(fileName)) })
+      })
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrAssets()],
   server: {
-    port: 3000
+    port: 3000,
+    proxy: apiProxy
+  },
+  preview: {
+    proxy: apiProxy
   }
 })